@@ -0,0 +1,47 @@
+#!/bin/bash
+set -e
+
+# Download the pinned detector libraries, WASM and models into web/vendor/
+# so the web build can run without CDN access (kiosks, air-gapped networks).
+# Versions must match web/face_detection_assets.js.
+
+MEDIAPIPE_VERSION="0.10.21"
+TFJS_VERSION="4.22.0"
+BLAZEFACE_VERSION="0.1.0"
+
+PROJECT_DIR="$(cd "$(dirname "$0")" && pwd)"
+VENDOR_DIR="$PROJECT_DIR/web/vendor"
+TMP_DIR="$(mktemp -d)"
+trap 'rm -rf "$TMP_DIR"' EXIT
+
+mkdir -p "$VENDOR_DIR/mediapipe" "$VENDOR_DIR/models/blazeface" "$VENDOR_DIR/tfjs"
+
+echo "Fetching MediaPipe tasks-vision $MEDIAPIPE_VERSION..."
+cd "$TMP_DIR"
+npm pack "@mediapipe/tasks-vision@$MEDIAPIPE_VERSION" --silent > /dev/null
+tar xzf mediapipe-tasks-vision-*.tgz
+cp package/vision_bundle.mjs "$VENDOR_DIR/mediapipe/"
+rm -rf "$VENDOR_DIR/mediapipe/wasm"
+cp -r package/wasm "$VENDOR_DIR/mediapipe/wasm"
+rm -rf package
+
+echo "Fetching TensorFlow.js $TFJS_VERSION and BlazeFace $BLAZEFACE_VERSION..."
+npm pack "@tensorflow/tfjs@$TFJS_VERSION" --silent > /dev/null
+tar xzf tensorflow-tfjs-*.tgz
+cp package/dist/tf.min.js "$VENDOR_DIR/tfjs/"
+rm -rf package
+npm pack "@tensorflow-models/blazeface@$BLAZEFACE_VERSION" --silent > /dev/null
+tar xzf tensorflow-models-blazeface-*.tgz
+cp package/dist/blazeface.min.js "$VENDOR_DIR/tfjs/"
+rm -rf package
+
+echo "Fetching face detection models..."
+# No full-range model is published for tasks-vision; set FacePixelConfig.fullRangeModel
+# to a compatible .tflite file to offer modelRange 'full'
+curl -fsSL -o "$VENDOR_DIR/models/blaze_face_short_range.tflite" \
+  "https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite"
+BLAZEFACE_MODEL_URL="https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1"
+curl -fsSL -o "$VENDOR_DIR/models/blazeface/model.json" "$BLAZEFACE_MODEL_URL/model.json?tfjs-format=file"
+curl -fsSL -o "$VENDOR_DIR/models/blazeface/group1-shard1of1.bin" "$BLAZEFACE_MODEL_URL/group1-shard1of1.bin?tfjs-format=file"
+
+echo "Assets ready in $VENDOR_DIR"
@@ -0,0 +1,107 @@
+// Web only: imported by web_face_detection.dart
+import 'dart:html' as html;
+import 'dart:js_util' as js_util;
+import 'logger.dart';
+
+/// A command sent through [FacePixelBridge] failed.
+///
+/// [code] is one of the FACEPIXEL_ERROR_CODES in web/face_bridge.js,
+/// e.g. 'NOT_READY', 'CAMERA_ERROR' or 'INVALID_ARGUMENT'.
+class FacePixelException implements Exception {
+  final String code;
+  final String message;
+  final dynamic details;
+
+  FacePixelException(this.code, this.message, [this.details]);
+
+  @override
+  String toString() => 'FacePixelException($code): $message';
+}
+
+/// Client for the versioned `window.FacePixel` API (web/face_bridge.js).
+///
+/// Call [handshake] once before anything else; it fails with
+/// 'UNSUPPORTED_PROTOCOL' when the page was built for another version.
+class FacePixelBridge {
+  /// Protocol version this app was written against
+  static const int protocolVersion = 1;
+
+  Map<String, dynamic> _capabilities = const {};
+
+  /// Capabilities reported by the page during [handshake]
+  Map<String, dynamic> get capabilities => _capabilities;
+
+  Object get _api {
+    final api = js_util.getProperty<Object?>(html.window, 'FacePixel');
+    if (api == null) {
+      throw FacePixelException('UNSUPPORTED_PROTOCOL', 'window.FacePixel is missing, is face_bridge.js loaded?');
+    }
+    return api;
+  }
+
+  /// Check the page's protocol version and read its capabilities
+  Future<Map<String, dynamic>> handshake() async {
+    final result = await _await(js_util.callMethod<Object>(_api, 'handshake', [protocolVersion]));
+    _capabilities = Map<String, dynamic>.from(js_util.dartify(js_util.getProperty(result, 'capabilities')) as Map);
+    AppLogger.info('Bridge protocol $protocolVersion, ${(_capabilities['commands'] as List).length} commands', 'bridge');
+    return _capabilities;
+  }
+
+  /// Whether the page accepts [command] (known after [handshake])
+  bool supports(String command) => (_capabilities['commands'] as List?)?.contains(command) ?? false;
+
+  /// Run a command and return its result.
+  ///
+  /// Plain JS results (objects, lists) are converted to Dart maps and lists;
+  /// platform objects such as Blob or MediaStream are returned as they are.
+  Future<dynamic> call(String command, [Map<String, dynamic>? params]) async {
+    final promise = js_util.callMethod<Object>(_api, 'call', [
+      command,
+      if (params != null) js_util.jsify(params),
+    ]);
+    return js_util.dartify(await _await(promise));
+  }
+
+  /// Listen to a pipeline event; [callback] receives the event detail
+  /// as Dart maps and lists
+  ///
+  /// Returns an ID for [unsubscribe].
+  int subscribe(String event, void Function(dynamic detail) callback) {
+    try {
+      final id = js_util.callMethod<num>(_api, 'subscribe', [
+        event,
+        js_util.allowInterop((dynamic detail) => callback(js_util.dartify(detail))),
+      ]);
+      return id.toInt();
+    } catch (error) {
+      throw _toException(error);
+    }
+  }
+
+  /// Stop a subscription; returns whether it existed
+  bool unsubscribe(int id) => js_util.callMethod<bool>(_api, 'unsubscribe', [id]);
+
+  Future<Object?> _await(Object promise) async {
+    try {
+      return await js_util.promiseToFuture<Object?>(promise);
+    } catch (error) {
+      throw _toException(error);
+    }
+  }
+
+  static FacePixelException _toException(Object error) {
+    if (error is FacePixelException) return error;
+    try {
+      if (js_util.getProperty(error, 'name') == 'FacePixelError') {
+        return FacePixelException(
+          js_util.getProperty(error, 'code') as String,
+          js_util.getProperty(error, 'message') as String,
+          js_util.dartify(js_util.getProperty(error, 'details')),
+        );
+      }
+    } catch (_) {
+      // Not a JS object; fall through
+    }
+    return FacePixelException('INTERNAL', error.toString());
+  }
+}
@@ -2,9 +2,9 @@ import 'dart:async';
 import 'package:flutter/material.dart';
 
 // Web-specific imports - safe because this file is deferred and only loaded on web
-import 'dart:js_util' as js_util;
 import 'dart:ui_web' as ui_web;
 import 'dart:html' as html;
+import 'face_pixel_bridge.dart';
 import 'logger.dart';
 
 /// Web-specific face detection widget using HTML video element and MediaPipe
@@ -33,10 +33,30 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
   bool _showTealBorder = false;  // Disabled for production
   bool _pixelationEnabled = false;
   int _pixelationLevel = 10;
+  String _redactionStyle = 'blur';  // 'blur', 'pixelate', 'solid' or 'emoji'
+  String _redactionShape = 'rounded';  // 'rounded', 'rect' or 'ellipse'
   bool _permissionDenied = false;
+  String _permissionErrorTitle = "Camera Access Denied";
   String _permissionErrorMessage = "Camera permission denied";
   bool _cameraRequested = false;  // Track if user has requested camera access
   bool _showConfidence = true;  // Toggle for displaying confidence scores
+  String _detectorBackend = 'mediapipe';  // Detector backend registered in face_detection_adapters.js
+  bool _isRecording = false;
+  double? _fileProgress;  // Non-null while an uploaded file is being anonymized
+  String _cameraLabel = '';
+  String _governorSummary = '';  // Detection governor mode and budget, from face_governor.js
+  String _modelRange = 'short';  // 'short' or 'full', as reported by the detector
+  List<String> _modelRanges = const ['short'];  // Ranges the active backend offers
+  String _delegate = 'GPU';  // Delegate in effect ('CPU' after a GPU fallback)
+  bool _forceCpu = false;
+  String _statsSummary = '';  // Latest detectionStats from face_telemetry.js
+  String _logLevel = 'info';  // Lowest level kept in the JS log buffer (logger.js)
+  bool _failClosed = false;  // Cover the frame when detection is unavailable (face_failsafe.js)
+  String? _failSafeReason;  // Why the frame is covered, null while uncovered
+
+  // Versioned JS API (web/face_bridge.js) and our event subscriptions on it
+  final FacePixelBridge _bridge = FacePixelBridge();
+  final List<int> _subscriptions = [];
 
   @override
   void initState() {
@@ -45,6 +65,21 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
     AppLogger.info('Web view initialized', 'web');
   }
 
+  @override
+  void dispose() {
+    for (final id in _subscriptions) {
+      _bridge.unsubscribe(id);
+    }
+    _subscriptions.clear();
+    // Release the camera, detector and overlay when the view goes away
+    if (_bridge.capabilities.isNotEmpty) {
+      _bridge.call('stop').catchError((Object e) {
+        AppLogger.error('Error stopping face detection: $e', 'web', e);
+      });
+    }
+    super.dispose();
+  }
+
   Future<void> _requestCameraAccess() async {
     AppLogger.info('Camera access requested', 'web');
     if (mounted) {
@@ -57,93 +92,384 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
 
   Future<void> _initializeWebCamera() async {
     // Register the video element factory
+    // The camera stream is owned by face_camera.js; Dart only provides the element
     ui_web.platformViewRegistry.registerViewFactory(
       _videoViewType,
       (int viewId) {
         final video = html.VideoElement()
           ..id = 'webcam'  // Must match the ID that face_detection.js expects
           ..autoplay = true
+          ..muted = true
+          ..setAttribute('playsinline', 'true')
           ..style.width = '100%'
           ..style.height = '100%'
           ..style.objectFit = 'cover';
 
-        // Request camera access
-        html.window.navigator.mediaDevices
-            ?.getUserMedia({'video': true, 'audio': false}).then((stream) {
-          video.srcObject = stream;
-
-          // Wait for video to be ready
-          video.onLoadedMetadata.listen((_) {
-            setState(() {
-              _videoSize = Size(
-                video.videoWidth.toDouble(),
-                video.videoHeight.toDouble(),
-              );
-              _debugMessage = "Ready (Web/MediaPipe)";
-            });
-
-            // Start face detection
-            _startFaceDetection();
-          });
-        }).catchError((error) {
-          final errorMsg = error.toString().toLowerCase();
-          final isPermissionError = errorMsg.contains('permission') ||
-                                   errorMsg.contains('notallowed') ||
-                                   errorMsg.contains('denied');
-
-          setState(() {
-            if (isPermissionError) {
-              _permissionDenied = true;
-              _permissionErrorMessage = "Camera access was denied. Please enable camera permissions in your browser settings.";
-            }
-            _debugMessage = "Camera error: $error";
-          });
-        });
+        // Start face detection, which acquires the camera for this element
+        _startFaceDetection(video);
 
         return video;
       },
     );
   }
 
-  /// Apply pixelation using JavaScript overlay
-  void _applyPixelation() {
+  /// Typed camera status published by face_camera.js
+  void _onCameraStatus(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    final status = detail['status'] as String?;
+    AppLogger.debug('Camera status: $status', 'web');
+
+    setState(() {
+      switch (status) {
+        case 'ready':
+          _debugMessage = "Ready (Web/$_detectorBackend)";
+          break;
+        case 'permission-denied':
+          _permissionDenied = true;
+          _permissionErrorTitle = "Camera Access Denied";
+          _permissionErrorMessage = "Camera access was denied. Please enable camera permissions in your browser settings.";
+          break;
+        case 'not-found':
+          _permissionDenied = true;
+          _permissionErrorTitle = "No Camera Found";
+          _permissionErrorMessage = "No camera was found. Please connect a camera.";
+          break;
+        case 'in-use':
+          _permissionDenied = true;
+          _permissionErrorTitle = "Camera In Use";
+          _permissionErrorMessage = "The camera is in use by another application. Please close it.";
+          break;
+        case 'ended':
+          _debugMessage = "Camera disconnected";
+          break;
+        case 'error':
+          _debugMessage = "Camera error: ${detail['message']}";
+          break;
+      }
+    });
+  }
+
+  /// Apply redaction settings using JavaScript overlay
+  Future<void> _applyPixelation() async {
     try {
-      // Call JavaScript function to set pixelation settings
-      js_util.callMethod(
-        html.window,
-        'setPixelationSettings',
-        [_pixelationEnabled, _pixelationLevel],
-      );
-      AppLogger.debug('Pixelation settings changed: enabled=$_pixelationEnabled, level=$_pixelationLevel', 'web');
+      await _bridge.call('setRedactionSettings', {
+        'enabled': _pixelationEnabled,
+        'level': _pixelationLevel,
+        'style': _redactionStyle,
+        'shape': _redactionShape,
+      });
+      AppLogger.debug('Redaction settings changed: enabled=$_pixelationEnabled, level=$_pixelationLevel, style=$_redactionStyle, shape=$_redactionShape', 'web');
     } catch (e) {
       AppLogger.error('Error setting pixelation: $e', 'web', e);
     }
   }
 
-  void _startFaceDetection() {
-    AppLogger.info('Setting up face detection', 'web');
+  /// Switch the JavaScript detector backend without restarting the camera
+  Future<void> _toggleDetectorBackend() async {
+    final nextBackend = _detectorBackend == 'mediapipe' ? 'blazeface' : 'mediapipe';
+    try {
+      await _bridge.call('setDetectorBackend', {'backend': nextBackend});
+      if (mounted) {
+        setState(() => _detectorBackend = nextBackend);
+      }
+      AppLogger.debug('Detector backend: $nextBackend', 'web');
+    } catch (e) {
+      AppLogger.error('Error switching detector backend: $e', 'web', e);
+    }
+  }
 
-    // FIRST: Set up event listener BEFORE starting JS
-    html.window.addEventListener('facesDetected', (html.Event event) {
-      final customEvent = event as html.CustomEvent;
-      final detail = customEvent.detail;
-      if (detail != null && detail['faces'] != null) {
-        final faces = detail['faces'] as List;
-        _onFacesDetected(faces);
+  /// Change detector options; the detector reloads and reports its effective config
+  Future<void> _setDetectorOptions(Map<String, dynamic> options) async {
+    try {
+      await _bridge.call('setDetectorOptions', options);
+    } catch (e) {
+      AppLogger.error('Error changing detector options: $e', 'web', e);
+      if (mounted) {
+        setState(() => _debugMessage = 'Detector options not applied: $e');
+      }
+    }
+  }
+
+  void _onDetectorConfigChanged(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    AppLogger.debug('Detector config: ${detail['backend']} ${detail['modelRange']} range, ${detail['delegate']}, '
+        'confidence=${detail['minConfidence']}, minFaceSize=${detail['minFaceSize']}', 'web');
+    setState(() {
+      _detectorBackend = detail['backend'] as String? ?? _detectorBackend;
+      _modelRange = detail['modelRange'] as String? ?? _modelRange;
+      _delegate = detail['delegate'] as String? ?? _delegate;
+    });
+    _refreshModelRanges();
+  }
+
+  /// Read which model ranges the active backend offers ('full' needs a configured model)
+  Future<void> _refreshModelRanges() async {
+    try {
+      final backends = await _bridge.call('getDetectorBackends') as Map;
+      final active = (backends['available'] as List)
+          .cast<Map>()
+          .firstWhere((backend) => backend['name'] == _detectorBackend, orElse: () => const {});
+      final capabilities = active['capabilities'] as Map?;
+      final ranges = (capabilities?['modelRanges'] as List?)?.cast<String>() ?? const ['short'];
+      if (mounted) {
+        setState(() => _modelRanges = ranges);
+      }
+    } catch (e) {
+      AppLogger.error('Error reading detector backends: $e', 'web', e);
+    }
+  }
+
+  /// Download the JS log buffer as JSON for bug reports
+  Future<void> _exportLogs() async {
+    try {
+      await _bridge.call('exportLogs', {'download': true});
+      AppLogger.info('Logs exported', 'web');
+    } catch (e) {
+      AppLogger.error('Error exporting logs: $e', 'web', e);
+    }
+  }
+
+  Future<void> _setLogLevel(String level) async {
+    try {
+      final effective = await _bridge.call('setLogLevel', {'level': level}) as String;
+      if (mounted) {
+        setState(() => _logLevel = effective);
+      }
+    } catch (e) {
+      AppLogger.error('Error setting log level: $e', 'web', e);
+    }
+  }
+
+  /// Start or stop recording the anonymized output; stopping downloads the clip
+  Future<void> _toggleRecording() async {
+    try {
+      if (_isRecording) {
+        await _bridge.call('stopRecording', {'download': true});
+        AppLogger.info('Recording saved', 'web');
       } else {
-        AppLogger.warning('Received facesDetected event with null detail', 'web');
+        final mimeType = await _bridge.call('startRecording');
+        AppLogger.info('Recording started: $mimeType', 'web');
+      }
+      if (mounted) {
+        setState(() => _isRecording = !_isRecording);
+      }
+    } catch (e) {
+      AppLogger.error('Error toggling recording: $e', 'web', e);
+      if (mounted) {
+        setState(() => _debugMessage = 'Recording error: $e');
+      }
+    }
+  }
+
+  /// Cycle to the next camera without reloading the detector
+  Future<void> _switchCamera() async {
+    try {
+      await _bridge.call('switchCamera');
+    } catch (e) {
+      AppLogger.error('Error switching camera: $e', 'web', e);
+    }
+  }
+
+  /// Request a new camera resolution; the browser picks the closest mode
+  Future<void> _setCameraResolution(int width, int height) async {
+    try {
+      await _bridge.call('setCameraResolution', {'width': width, 'height': height});
+    } catch (e) {
+      AppLogger.error('Error changing camera resolution: $e', 'web', e);
+    }
+  }
+
+  void _onCameraSettingsChanged(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    final width = (detail['width'] as num?)?.toDouble() ?? 0;
+    final height = (detail['height'] as num?)?.toDouble() ?? 0;
+    AppLogger.debug('Camera settings: ${detail['label']} ${width.toInt()}x${height.toInt()} mirrored=${detail['mirrored']}', 'web');
+    setState(() {
+      _cameraLabel = detail['label'] as String? ?? '';
+      if (width > 0 && height > 0) {
+        _videoSize = Size(width, height);
       }
     });
+  }
 
-    AppLogger.debug('Event listener registered', 'web');
+  /// Mode and measured detection time published by the detection governor
+  void _onGovernorState(dynamic detail) {
+    if (detail == null || !mounted) return;
 
-    // SECOND: Call startApp() in JavaScript to initialize MediaPipe and camera
+    final detectMs = (detail['detectMs'] as num?)?.toDouble() ?? 0;
+    final frameCostMs = (detail['frameCostMs'] as num?)?.toDouble() ?? 0;
+    final budgetMs = (detail['budgetMs'] as num?)?.toDouble() ?? 0;
+    final scale = (detail['scale'] as num?)?.toDouble() ?? 1;
+    setState(() {
+      _governorSummary = 'Governor: ${detail['mode']} (every ${detail['frameInterval']}, '
+          '${(scale * 100).toInt()}%) | Detect: ${detectMs.toStringAsFixed(1)}ms | '
+          'Cost: ${frameCostMs.toStringAsFixed(1)}/${budgetMs.toStringAsFixed(0)}ms';
+    });
+  }
+
+  /// Exempt a face from redaction, or redact it again if it is already exempt
+  Future<void> _toggleAllowedFace(FaceBox face) async {
+    final trackId = face.trackId;
+    if (trackId == null) return;
     try {
-      // Call the startApp() function we defined in face_detection.js
-      js_util.callMethod(html.window, 'startApp', []);
-      AppLogger.info('Face detection engine initialized', 'web');
+      await _bridge.call(face.allowed ? 'disallowFace' : 'allowFace', {'faceId': trackId});
+    } catch (e) {
+      AppLogger.error('Error updating face allowlist: $e', 'web', e);
+    }
+  }
+
+  /// Fail-closed mode covered or uncovered the frame
+  void _onFailSafeState(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    final closed = detail['closed'] == true;
+    AppLogger.info('Fail-closed state: ${closed ? 'covered (${detail['reason']})' : 'uncovered'}', 'web');
+    setState(() {
+      _failClosed = detail['enabled'] == true;
+      _failSafeReason = closed ? detail['reason'] as String? : null;
+    });
+  }
+
+  Future<void> _toggleFailClosed() async {
+    try {
+      final effective = await _bridge.call('setFailSafeOptions', {'enabled': !_failClosed});
+      if (mounted) {
+        setState(() => _failClosed = effective['enabled'] == true);
+      }
+    } catch (e) {
+      AppLogger.error('Error toggling fail-closed mode: $e', 'web', e);
+    }
+  }
+
+  /// Pipeline timings published every few seconds by face_telemetry.js
+  void _onDetectionStats(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    String timing(String stage) {
+      final stats = detail['timings'][stage];
+      return '${(stats['p50'] as num).toStringAsFixed(1)}/${(stats['p90'] as num).toStringAsFixed(1)}';
+    }
+
+    final fps = detail['fps'];
+    final frames = detail['frames'];
+    setState(() {
+      _statsSummary = 'Infer p50/p90: ${timing('inference')}ms | Render: ${timing('render')}ms | '
+          'Overlay: ${timing('overlay')}ms\n'
+          'FPS video/processed/detect: ${fps['video'] ?? '-'}/${fps['processed']}/${fps['detection']} | '
+          'Dropped: ${frames['dropped'] ?? '-'} | Stale: ${frames['stale']}';
+    });
+  }
+
+  /// Let the user pick a photo or video file and download an anonymized copy
+  Future<void> _anonymizeFile() async {
+    try {
+      await _bridge.call('pickAndAnonymizeFile');
+    } catch (e) {
+      AppLogger.error('Error opening file picker: $e', 'web', e);
+    }
+  }
+
+  void _onFileProgress(dynamic detail) {
+    if (detail == null || !mounted) return;
+
+    final state = detail['state'] as String?;
+    final fileName = detail['fileName'];
+    setState(() {
+      if (state == 'done' || state == 'error') {
+        _fileProgress = null;
+        _debugMessage = state == 'done'
+            ? 'Anonymized $fileName'
+            : 'File error: ${detail['message']}';
+      } else {
+        _fileProgress = (detail['progress'] as num?)?.toDouble() ?? 0;
+      }
+    });
+  }
+
+  Future<void> _startFaceDetection(html.VideoElement video) async {
+    AppLogger.info('Setting up face detection', 'web');
+
+    // Refuse to drive a page built for another protocol version
+    try {
+      await _bridge.handshake();
+    } catch (e) {
+      AppLogger.error('Face detection bridge unavailable: $e', 'web', e);
+      if (mounted) {
+        setState(() => _debugMessage = 'Web layer mismatch: $e');
+      }
+      return;
+    }
+
+    try {
+      _logLevel = await _bridge.call('getLogLevel') as String;
+    } catch (e) {
+      AppLogger.warning('Could not read JS log level: $e', 'web');
+    }
+
+    try {
+      final failSafe = await _bridge.call('getFailSafeState');
+      _failClosed = failSafe['enabled'] == true;
     } catch (e) {
+      AppLogger.warning('Could not read fail-closed state: $e', 'web');
+    }
+
+    // FIRST: Subscribe to events BEFORE starting JS
+    _subscriptions.addAll([
+      _bridge.subscribe('facesDetected', (detail) {
+        if (detail != null && detail['faces'] != null) {
+          final faces = detail['faces'] as List;
+          _onFacesDetected(faces);
+        } else {
+          AppLogger.warning('Received facesDetected event with null detail', 'web');
+        }
+      }),
+
+      // Camera ready, denied, missing, busy or disconnected
+      _bridge.subscribe('cameraStatus', _onCameraStatus),
+
+      // Active camera changed (device switch or resolution change)
+      _bridge.subscribe('cameraSettingsChanged', _onCameraSettingsChanged),
+
+      // Progress of uploaded photo/video anonymization
+      _bridge.subscribe('fileProgress', _onFileProgress),
+
+      // Effective detector configuration after (re)initialization
+      _bridge.subscribe('detectorConfigChanged', _onDetectorConfigChanged),
+
+      // Periodic pipeline timings for the debug panel
+      _bridge.subscribe('detectionStats', _onDetectionStats),
+
+      // Detection frequency/resolution chosen by the adaptive governor
+      _bridge.subscribe('detectionGovernor', _onGovernorState),
+
+      // Fail-closed mode covered or uncovered the frame
+      _bridge.subscribe('failSafeState', _onFailSafeState),
+
+      // Detector assets could not be loaded from any configured source
+      _bridge.subscribe('faceDetectionError', (detail) {
+        final message = detail != null ? detail['message'] : 'Face detection unavailable';
+        AppLogger.error('Face detection error: $message', 'web');
+        if (mounted) {
+          setState(() => _debugMessage = 'Detection error: $message');
+        }
+      }),
+    ]);
+
+    AppLogger.debug('Event subscriptions registered', 'web');
+
+    // SECOND: Start the detector and camera in JavaScript
+    try {
+      await _bridge.call('start', {'backend': _detectorBackend, 'video': video});
+      AppLogger.info('Face detection engine initialized', 'web');
+    } on FacePixelException catch (e) {
       AppLogger.error('Error initializing face detection: $e', 'web', e);
+      // Camera failures are shown through the cameraStatus event
+      if (e.code != 'CAMERA_ERROR' && mounted) {
+        setState(() => _debugMessage = 'Detection error: ${e.message}');
+      }
     }
   }
 
@@ -169,6 +495,20 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
         width: (face['width'] as num).toDouble(),
         height: (face['height'] as num).toDouble(),
         confidence: (face['confidence'] as num?)?.toDouble() ?? 0.5,
+        trackId: (face['id'] as num?)?.toInt(),
+        allowed: face['allowed'] == true,
+        keypoints: {
+          for (final point in (face['keypoints'] as List?) ?? [])
+            point['name'] as String: Offset((point['x'] as num).toDouble(), (point['y'] as num).toDouble()),
+        },
+        canvasRect: face['canvas'] == null
+            ? null
+            : Rect.fromLTWH(
+                (face['canvas']['x'] as num).toDouble(),
+                (face['canvas']['y'] as num).toDouble(),
+                (face['canvas']['width'] as num).toDouble(),
+                (face['canvas']['height'] as num).toDouble(),
+              ),
       ));
     }
 
@@ -180,12 +520,24 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
   }
 
 
+  /// Face box in canvas coordinates
+  /// Uses the rect computed by face_transform.js (object-fit, mirror, rotation);
+  /// falls back to stretching natural coordinates over the canvas.
+  Rect _faceRectOnCanvas(FaceBox face, double canvasWidth, double canvasHeight) {
+    if (face.canvasRect != null) {
+      return face.canvasRect!;
+    }
+    final scaleX = canvasWidth / _videoSize.width;
+    final scaleY = canvasHeight / _videoSize.height;
+    return Rect.fromLTWH(face.left * scaleX, face.top * scaleY, face.width * scaleX, face.height * scaleY);
+  }
+
   /// Calculate canvas size that fits within screen while maintaining aspect ratio
   /// Uses max 640x480 but shrinks proportionally for smaller screens
   Size _calculateCanvasSize(Size screenSize) {
     // Reserve space for control bar (50px) above and slider (130px) below when enabled
     const double controlBarHeight = 50.0;
-    final double sliderHeight = _pixelationEnabled ? 130.0 : 20.0;
+    final double sliderHeight = _pixelationEnabled ? 180.0 : 20.0;
     const double padding = 16.0;
     
     final double availableWidth = screenSize.width - (padding * 2);
@@ -246,9 +598,9 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                   color: Colors.white,
                 ),
                 const SizedBox(height: 24),
-                const Text(
-                  'Camera Access Denied',
-                  style: TextStyle(
+                Text(
+                  _permissionErrorTitle,
+                  style: const TextStyle(
                     color: Colors.white,
                     fontSize: 20,
                     fontWeight: FontWeight.bold,
@@ -375,6 +727,55 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
         backgroundColor: Colors.black,
         foregroundColor: Colors.white,
         elevation: 0,
+        actions: [
+          PopupMenuButton<String>(
+            tooltip: 'Detector settings',
+            icon: const Icon(Icons.tune),
+            onSelected: (option) {
+              if (option == 'range') {
+                _setDetectorOptions({'modelRange': _modelRange == 'full' ? 'short' : 'full'});
+              } else if (option == 'cpu') {
+                setState(() => _forceCpu = !_forceCpu);
+                _setDetectorOptions({'delegate': _forceCpu ? 'CPU' : 'GPU'});
+              } else if (option == 'failClosed') {
+                _toggleFailClosed();
+              }
+            },
+            itemBuilder: (context) => [
+              if (_modelRanges.contains('full'))
+                CheckedPopupMenuItem(
+                  value: 'range',
+                  checked: _modelRange == 'full',
+                  child: const Text('Full-range model (group shots)'),
+                ),
+              CheckedPopupMenuItem(
+                value: 'cpu',
+                checked: _delegate == 'CPU',
+                child: Text(_delegate == 'CPU' && !_forceCpu ? 'CPU (no GPU available)' : 'Force CPU'),
+              ),
+              CheckedPopupMenuItem(
+                value: 'failClosed',
+                checked: _failClosed,
+                child: const Text('Hide video if detection fails'),
+              ),
+            ],
+          ),
+          PopupMenuButton<List<int>>(
+            tooltip: 'Camera resolution',
+            icon: const Icon(Icons.high_quality),
+            onSelected: (size) => _setCameraResolution(size[0], size[1]),
+            itemBuilder: (context) => const [
+              PopupMenuItem(value: [640, 480], child: Text('480p')),
+              PopupMenuItem(value: [1280, 720], child: Text('720p')),
+              PopupMenuItem(value: [1920, 1080], child: Text('1080p')),
+            ],
+          ),
+          IconButton(
+            tooltip: _cameraLabel.isEmpty ? 'Switch camera' : 'Switch camera ($_cameraLabel)',
+            icon: const Icon(Icons.cameraswitch),
+            onPressed: _switchCamera,
+          ),
+        ],
       ),
       body: Builder(
         builder: (context) {
@@ -391,15 +792,14 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
 
           // Sync canvas dimensions and offset with JavaScript
           WidgetsBinding.instance.addPostFrameCallback((_) {
-            try {
-              js_util.callMethod(
-                html.window,
-                'updateCanvasDimensions',
-                [canvasWidth, canvasHeight, canvasOffset.dx, adjustedCanvasOffsetY],
-              );
-            } catch (e) {
+            _bridge.call('setCanvasLayout', {
+              'width': canvasWidth,
+              'height': canvasHeight,
+              'offsetX': canvasOffset.dx,
+              'offsetY': adjustedCanvasOffsetY,
+            }).catchError((Object e) {
               AppLogger.error('Error updating canvas dimensions: $e', 'web', e);
-            }
+            });
           });
 
           return Container(
@@ -446,16 +846,35 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                     ),
                   ),
 
+                // Tap a blurred face to keep it visible (allowlist); allowed faces get a green outline
+                if (_pixelationEnabled && _videoSize != Size.zero)
+                  ..._detectedFaces.map((face) {
+                    final rect = _faceRectOnCanvas(face, canvasWidth, canvasHeight);
+                    return Positioned(
+                      left: canvasOffset.dx + rect.left,
+                      top: canvasOffset.dy + rect.top,
+                      width: rect.width,
+                      height: rect.height,
+                      child: GestureDetector(
+                        behavior: HitTestBehavior.opaque,
+                        onTap: () => _toggleAllowedFace(face),
+                        child: Container(
+                          decoration: face.allowed
+                              ? BoxDecoration(border: Border.all(color: Colors.greenAccent, width: 2))
+                              : null,
+                        ),
+                      ),
+                    );
+                  }),
+
                 // Face detection boxes - only show when blur is disabled
                 if (!_pixelationEnabled && _videoSize != Size.zero) ...[
                   ..._detectedFaces.map((face) {
-                    final scaleX = canvasWidth / _videoSize.width;
-                    final scaleY = canvasHeight / _videoSize.height;
-
-                    final boxLeft = canvasOffset.dx + (face.left * scaleX);
-                    final boxTop = canvasOffset.dy + (face.top * scaleY);
-                    final boxWidth = face.width * scaleX;
-                    final boxHeight = face.height * scaleY;
+                    final rect = _faceRectOnCanvas(face, canvasWidth, canvasHeight);
+                    final boxLeft = canvasOffset.dx + rect.left;
+                    final boxTop = canvasOffset.dy + rect.top;
+                    final boxWidth = rect.width;
+                    final boxHeight = rect.height;
 
                     return Positioned(
                       left: boxLeft,
@@ -477,12 +896,10 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                   // Confidence labels
                   if (_showConfidence)
                     ..._detectedFaces.map((face) {
-                      final scaleX = canvasWidth / _videoSize.width;
-                      final scaleY = canvasHeight / _videoSize.height;
-
-                      final boxLeft = canvasOffset.dx + (face.left * scaleX);
-                      final boxTop = canvasOffset.dy + (face.top * scaleY);
-                      final boxWidth = face.width * scaleX;
+                      final rect = _faceRectOnCanvas(face, canvasWidth, canvasHeight);
+                      final boxLeft = canvasOffset.dx + rect.left;
+                      final boxTop = canvasOffset.dy + rect.top;
+                      final boxWidth = rect.width;
                       final confidenceText = '${(face.confidence * 100).toStringAsFixed(0)}%';
 
                       return Stack(
@@ -552,6 +969,39 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                             child: const Text('Info', style: TextStyle(fontSize: 14)),
                           ),
                           const SizedBox(width: 8),
+                          ElevatedButton(
+                            onPressed: _toggleDetectorBackend,
+                            style: ElevatedButton.styleFrom(
+                              backgroundColor: Colors.black87,
+                              foregroundColor: Colors.white,
+                              padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 8),
+                            ),
+                            child: Text(
+                              _detectorBackend == 'mediapipe' ? 'MediaPipe' : 'BlazeFace',
+                              style: const TextStyle(fontSize: 14),
+                            ),
+                          ),
+                          const SizedBox(width: 8),
+                          ElevatedButton(
+                            onPressed: _fileProgress == null ? _anonymizeFile : null,
+                            style: ElevatedButton.styleFrom(
+                              backgroundColor: Colors.black87,
+                              foregroundColor: Colors.white,
+                              padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 8),
+                            ),
+                            child: const Text('File', style: TextStyle(fontSize: 14)),
+                          ),
+                          const SizedBox(width: 8),
+                          ElevatedButton(
+                            onPressed: _toggleRecording,
+                            style: ElevatedButton.styleFrom(
+                              backgroundColor: _isRecording ? Colors.red : Colors.black87,
+                              foregroundColor: Colors.white,
+                              padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 8),
+                            ),
+                            child: Text(_isRecording ? 'Stop' : 'Rec', style: const TextStyle(fontSize: 14)),
+                          ),
+                          const SizedBox(width: 8),
                           ElevatedButton(
                             onPressed: () {
                               setState(() => _pixelationEnabled = !_pixelationEnabled);
@@ -570,6 +1020,41 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                   ),
                 ),
 
+                // Fail-closed mode is covering the whole frame
+                if (_failSafeReason != null)
+                  Positioned(
+                    top: canvasOffset.dy + 8,
+                    left: canvasOffset.dx,
+                    width: canvasWidth,
+                    child: Center(
+                      child: Container(
+                        padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 6),
+                        decoration: BoxDecoration(
+                          color: Colors.black87,
+                          borderRadius: BorderRadius.circular(16),
+                        ),
+                        child: Text(
+                          'Video hidden: detection ${_failSafeReason == 'not-ready' ? 'not ready' : _failSafeReason}',
+                          style: const TextStyle(color: Colors.white, fontSize: 12),
+                        ),
+                      ),
+                    ),
+                  ),
+
+                // File anonymization progress along the bottom edge of the video
+                if (_fileProgress != null)
+                  Positioned(
+                    top: canvasOffset.dy + canvasHeight - 4,
+                    left: canvasOffset.dx,
+                    width: canvasWidth,
+                    child: LinearProgressIndicator(
+                      value: _fileProgress,
+                      minHeight: 4,
+                      color: Colors.white,
+                      backgroundColor: Colors.black54,
+                    ),
+                  ),
+
                 // Debug overlay
                 if (_showDebugUI)
                   Positioned(
@@ -591,6 +1076,34 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                           Text('Screen: ${screenSize.width.toInt()}x${screenSize.height.toInt()}', style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
                           Text('Video: ${_videoSize.width.toInt()}x${_videoSize.height.toInt()}', style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
                           Text('Canvas: ${canvasWidth.toInt()}x${canvasHeight.toInt()}', style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
+                          Text('Detector: $_detectorBackend, $_modelRange range, $_delegate', style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
+                          if (_governorSummary.isNotEmpty)
+                            Text(_governorSummary, style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
+                          if (_statsSummary.isNotEmpty)
+                            Text(_statsSummary, style: const TextStyle(color: Colors.grey, fontFamily: 'monospace', fontSize: 11)),
+                          Row(
+                            children: [
+                              TextButton.icon(
+                                onPressed: _exportLogs,
+                                icon: const Icon(Icons.download, size: 16),
+                                label: const Text('Export logs'),
+                                style: TextButton.styleFrom(foregroundColor: Colors.white),
+                              ),
+                              const SizedBox(width: 8),
+                              DropdownButton<String>(
+                                value: _logLevel,
+                                dropdownColor: Colors.black87,
+                                style: const TextStyle(color: Colors.white, fontFamily: 'monospace', fontSize: 11),
+                                underline: const SizedBox.shrink(),
+                                onChanged: (level) {
+                                  if (level != null) _setLogLevel(level);
+                                },
+                                items: const ['debug', 'info', 'warning', 'error']
+                                    .map((level) => DropdownMenuItem(value: level, child: Text(level)))
+                                    .toList(),
+                              ),
+                            ],
+                          ),
                         ],
                       ),
                     ),
@@ -615,7 +1128,7 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                             children: [
                               const Icon(Icons.privacy_tip, color: Colors.white),
                               const SizedBox(width: 8),
-                              const Text('Blur Strength', style: TextStyle(color: Colors.white, fontWeight: FontWeight.bold)),
+                              const Text('Strength', style: TextStyle(color: Colors.white, fontWeight: FontWeight.bold)),
                               const Spacer(),
                               Text(_pixelationLevel.toString(), style: const TextStyle(color: Colors.white, fontWeight: FontWeight.bold)),
                             ],
@@ -633,6 +1146,41 @@ class _WebFaceDetectionViewState extends State<WebFaceDetectionView> {
                               _applyPixelation();
                             },
                           ),
+                          Row(
+                            children: [
+                              Expanded(
+                                child: Wrap(
+                                  spacing: 6,
+                                  children: [
+                                    for (final style in const ['blur', 'pixelate', 'solid', 'emoji'])
+                                      ChoiceChip(
+                                        label: Text(style[0].toUpperCase() + style.substring(1)),
+                                        selected: _redactionStyle == style,
+                                        onSelected: (_) {
+                                          setState(() => _redactionStyle = style);
+                                          _applyPixelation();
+                                        },
+                                      ),
+                                  ],
+                                ),
+                              ),
+                              IconButton(
+                                tooltip: 'Shape: $_redactionShape',
+                                color: Colors.white,
+                                icon: Icon(_redactionShape == 'ellipse'
+                                    ? Icons.circle_outlined
+                                    : _redactionShape == 'rect'
+                                        ? Icons.crop_square
+                                        : Icons.rounded_corner),
+                                onPressed: () {
+                                  const shapes = ['rounded', 'rect', 'ellipse'];
+                                  setState(() => _redactionShape =
+                                      shapes[(shapes.indexOf(_redactionShape) + 1) % shapes.length]);
+                                  _applyPixelation();
+                                },
+                              ),
+                            ],
+                          ),
                         ],
                       ),
                     ),
@@ -668,6 +1216,10 @@ class FaceBox {
   final double width;
   final double height;
   final double confidence;
+  final int? trackId;  // Stable across frames while the face is tracked
+  final bool allowed;  // On the allowlist, left unredacted
+  final Map<String, Offset> keypoints;  // e.g. 'rightEye', 'noseTip', in natural video pixels
+  final Rect? canvasRect;  // Box in canvas pixels, mapped by face_transform.js
 
   FaceBox({
     required this.left,
@@ -675,5 +1227,9 @@ class FaceBox {
     required this.width,
     required this.height,
     this.confidence = 0.5,
+    this.trackId,
+    this.allowed = false,
+    this.keypoints = const {},
+    this.canvasRect,
   });
 }
@@ -0,0 +1,135 @@
+/**
+ * Allowlist re-identification: confirmation and centroid matches (face_allowlist.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, plain } = require('./harness');
+
+const page = createPage();
+
+// Gray levels of each person's face crop, one per signature pixel
+const PEOPLE = {
+  alice: (i) => 128 + 100 * Math.sin(i * 0.3),
+  bob: (i) => 128 + 100 * Math.cos(i * 0.7)
+};
+
+/**
+ * Frame showing one person; the scratch canvas "sees" that person's crop
+ */
+const frameOf = (person) => ({ videoWidth: 640, videoHeight: 480, person: person });
+
+// Scratch canvases read back the crop of whoever was drawn last
+const createElement = page.document.createElement.bind(page.document);
+page.document.createElement = function (tagName) {
+  const element = createElement(tagName);
+  if (tagName === 'canvas') {
+    let drawn = null;
+    element.getContext = () => ({
+      setTransform: () => {},
+      drawImage: (source) => {
+        drawn = source;
+      },
+      getImageData: (x, y, width, height) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+          data.fill(PEOPLE[drawn.person](i), i * 4, i * 4 + 3);
+        }
+        return { data: data, width: width, height: height };
+      }
+    });
+  }
+  return element;
+};
+
+const face = (x) => ({ x: x, y: 100, width: 100, height: 100, confidence: 0.9 });
+
+function createAllowlist() {
+  return page.context.createFaceAllowlist({ probeInterval: 1 });
+}
+
+/**
+ * Enroll alice, then lose her track
+ */
+function enrollAndLose(allowlist, tracker) {
+  const [tracked] = tracker.update([face(100)], 0);
+  allowlist.enroll(tracked, frameOf('alice'), false);
+  tracker.reset();
+  allowlist.apply([], frameOf('alice'), false);
+}
+
+test('re-exempts a returning face only after consecutive matches', () => {
+  const allowlist = createAllowlist();
+  const tracker = page.context.createFaceTracker();
+  enrollAndLose(allowlist, tracker);
+
+  const allowed = [];
+  for (let time = 33; time <= 132; time += 33) {
+    const faces = allowlist.apply(tracker.update([face(300)], time), frameOf('alice'), false);
+    allowed.push(Boolean(faces[0].allowed));
+  }
+  assert.deepEqual(allowed, [false, false, true, true]);
+  assert.equal(plain(allowlist.list())[0].trackId, tracker.update([face(300)], 165)[0].id);
+});
+
+test('a failed check restarts the count', () => {
+  const allowlist = createAllowlist();
+  const tracker = page.context.createFaceTracker();
+  enrollAndLose(allowlist, tracker);
+
+  const allowed = ['alice', 'alice', 'bob', 'alice', 'alice', 'alice'].map((person, index) => {
+    const faces = allowlist.apply(tracker.update([face(300)], 33 * (index + 1)), frameOf(person), false);
+    return Boolean(faces[0].allowed);
+  });
+  assert.deepEqual(allowed, [false, false, false, false, false, true]);
+});
+
+test('drops the exemption when the track continues by centroid distance alone', () => {
+  const allowlist = createAllowlist();
+  const tracker = page.context.createFaceTracker();
+  const [tracked] = tracker.update([face(100)], 0);
+  allowlist.enroll(tracked, frameOf('alice'), false);
+  assert.equal(allowlist.apply(tracker.update([face(110)], 33), frameOf('alice'), false)[0].allowed, true);
+
+  // Too little overlap for IoU: the tracker guesses by center distance
+  const [jumped] = tracker.update([face(180)], 66);
+  assert.equal(jumped.id, tracked.id);
+  assert.equal(jumped.centroidMatched, true);
+  assert.equal(allowlist.apply([jumped], frameOf('bob'), false)[0].allowed, undefined);
+  assert.equal(plain(allowlist.list())[0].trackId, null);
+
+  // Someone else now: never exempted again
+  for (let time = 99; time <= 300; time += 33) {
+    const faces = allowlist.apply(tracker.update([face(180)], time), frameOf('bob'), false);
+    assert.equal(faces[0].allowed, undefined);
+  }
+});
+
+test('a live exemption ends when the tracker continues the face by position alone', async () => {
+  const livePage = createPage({ fixture: 'rear_camera.json' });
+  livePage.context.setRedactionSettings({ enabled: true, style: 'solid' });
+  await livePage.start();
+  const [faceId] = livePage.events('facesDetected')[0].faces.map((tracked) => tracked.id);
+
+  assert.ok(livePage.context.allowFace(faceId));
+  livePage.video.currentTime += 1 / 30;
+  await livePage.runFrame();
+  assert.equal(livePage.overlays().length, 0);
+  assert.equal(livePage.events('facesDetected').pop().faces[0].allowed, true);
+
+  // The box jumps too far for IoU: same track ID, but it may be someone else
+  const [adapter] = livePage.detectors;
+  const detect = adapter.detect;
+  adapter.detect = (frame) => detect(frame).then((boxes) => boxes.map((box) => Object.assign({}, box, { x: box.x + 200 })));
+  livePage.video.currentTime += 1 / 30;
+  await livePage.runFrame();
+
+  const [jumped] = livePage.events('facesDetected').pop().faces;
+  assert.equal(jumped.id, faceId);
+  assert.equal(jumped.allowed, false);
+  assert.equal(livePage.overlays().length, 1);
+  assert.equal(plain(livePage.context.getAllowedFaces())[0].trackId, null);
+  livePage.stop();
+});
@@ -0,0 +1,29 @@
+/**
+ * Detector asset sources and the full-range model (face_detection_assets.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, plain } = require('./harness');
+
+test('MediaPipe offers only short range without a configured full-range model', () => {
+  const page = createPage();
+  const backends = page.evaluate('FaceDetectorBackends');
+
+  assert.deepEqual(plain(backends.capabilities('mediapipe').modelRanges), ['short']);
+  assert.equal(page.context.resolveAssetUrls('vendor/').mediapipeFullRangeModel, null);
+  assert.equal(page.context.resolveAssetUrls('cdn').mediapipeFullRangeModel, null);
+});
+
+test('a configured full-range model is offered and used with every source', () => {
+  const page = createPage({ config: { fullRangeModel: 'models/full.tflite' } });
+  const backends = page.evaluate('FaceDetectorBackends');
+
+  assert.deepEqual(plain(backends.capabilities('mediapipe').modelRanges), ['short', 'full']);
+  assert.deepEqual(plain(backends.capabilities('blazeface').modelRanges), ['short']);
+  for (const source of ['vendor/', 'cdn']) {
+    assert.match(page.context.resolveAssetUrls(source).mediapipeFullRangeModel, /^http:\/\/test\/.*models\/full\.tflite$/);
+  }
+});
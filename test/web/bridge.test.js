@@ -0,0 +1,162 @@
+/**
+ * Versioned FacePixel API: handshake, typed errors and events (face_bridge.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, plain, settle } = require('./harness');
+
+/**
+ * Await a bridge call and return its error's name, code and details
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return { name: error.name, code: error.code, details: plain(error.details) };
+  }
+  assert.fail('expected the call to reject');
+}
+
+test('handshake reports the protocol version and capabilities', async () => {
+  const page = createPage();
+  const bridge = page.context.FacePixel;
+  const result = plain(await bridge.handshake(1));
+
+  assert.equal(result.protocolVersion, 1);
+  assert.ok(result.capabilities.commands.includes('start'));
+  assert.ok(result.capabilities.commands.includes('setRedactionSettings'));
+  assert.ok(result.capabilities.events.includes('facesDetected'));
+  assert.ok(result.capabilities.detectorBackends.includes('fixture'));
+  assert.deepEqual(result.capabilities.stream, { canvas: false, generator: false });
+
+  assert.deepEqual(await rejection(bridge.handshake(2)), {
+    name: 'FacePixelError', code: 'UNSUPPORTED_PROTOCOL', details: { supported: [1] }
+  });
+});
+
+test('rejects unknown commands and invalid arguments with typed codes', async () => {
+  const bridge = createPage().context.FacePixel;
+
+  assert.equal((await rejection(bridge.call('setPixelation'))).code, 'UNKNOWN_COMMAND');
+  assert.equal((await rejection(bridge.call('getLogLevel', 'debug'))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setLogLevel', { level: 'verbose' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setCanvasLayout', { width: 640 }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('start', { backend: 'missing' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('removeRedactionRegion', { id: 42 }))).code, 'NOT_FOUND');
+  assert.equal((await rejection(bridge.call('startRecording'))).code, 'NOT_READY');
+  assert.equal((await rejection(bridge.call('stopRecording'))).code, 'INVALID_STATE');
+  assert.equal((await rejection(bridge.call('pause'))).code, 'INVALID_STATE');
+});
+
+test('setters reject unknown style, shape and option values with INVALID_ARGUMENT', async () => {
+  const page = createPage();
+  const bridge = page.context.FacePixel;
+  const before = plain(await bridge.call('getRedactionSettings'));
+
+  assert.equal((await rejection(bridge.call('setRedactionSettings', { style: 'sparkles' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setRedactionSettings', { enabled: false, shape: 'star' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setFailSafeOptions', { cover: 'white' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('addRedactionRegion', { shape: 'circle', x: 0, y: 0, width: 10, height: 10 }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setDetectorOptions', { modelRange: 'long' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setDetectorOptions', { delegate: 'NPU' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setTrackingOptions', { smoothing: 'x', holdMs: 'abc' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setTrackingOptions', { holdMs: Infinity }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setTrackingOptions', { holdFrames: 3 }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setGovernorOptions', { targetMs: 'fast' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setGovernorOptions', { budgetMs: 'fast' }))).code, 'INVALID_ARGUMENT');
+  assert.equal((await rejection(bridge.call('setGovernorOptions', { enabled: 'no' }))).code, 'INVALID_ARGUMENT');
+
+  // Nothing of a rejected call is applied, valid values still are
+  assert.deepEqual(plain(await bridge.call('getRedactionSettings')), before);
+  assert.equal(plain(await bridge.call('setRedactionSettings', { style: 'solid' })).style, 'solid');
+  assert.equal(plain(await bridge.call('setDetectorOptions', { delegate: 'cpu' })).delegate, 'CPU');
+  assert.equal(plain(await bridge.call('setTrackingOptions', {})).holdMs, 350);
+  assert.equal(plain(await bridge.call('setTrackingOptions', { holdMs: 500 })).holdMs, 500);
+  assert.equal(plain(await bridge.call('setGovernorOptions', {})).budgetMs, 16);
+  assert.equal(plain(await bridge.call('setGovernorOptions', { enabled: false, budgetMs: 20 })).budgetMs, 20);
+});
+
+test('concurrent detector changes apply one after another', async () => {
+  const page = createPage();
+  await page.start();
+  const bridge = page.context.FacePixel;
+  const loaded = page.detectors.length;
+
+  const [, filtered] = await Promise.all([
+    bridge.call('setDetectorOptions', { minConfidence: 0.7 }),
+    bridge.call('setDetectorOptions', { minFaceSize: 40 }),
+    bridge.call('setDetectorBackend', { backend: 'fixture' })
+  ]);
+
+  // The second change starts from the reloaded options instead of undoing them
+  assert.equal(filtered.minFaceSize, 40);
+  const options = page.evaluate('defaultSession').getDetectorOptions();
+  assert.equal(options.minConfidence, 0.7);
+  assert.equal(options.minFaceSize, 40);
+  assert.equal(page.detectors.length, loaded + 1);
+  page.stop();
+});
+
+test('commands resolve with the same results as the legacy globals', async () => {
+  const page = createPage();
+  const bridge = page.context.FacePixel;
+
+  const settings = plain(await bridge.call('setRedactionSettings', { enabled: true, style: 'solid' }));
+  assert.deepEqual(settings, plain(page.context.getRedactionSettings()));
+  assert.equal(settings.style, 'solid');
+
+  const region = plain(await bridge.call('addRedactionRegion', { shape: 'rect', x: 0.1, y: 0.1, width: 0.2, height: 0.2 }));
+  assert.deepEqual(plain(await bridge.call('getRedactionRegions')), [region]);
+  await bridge.call('removeRedactionRegion', { id: region.id });
+  assert.deepEqual(plain(page.context.getRedactionRegions()), []);
+});
+
+test('start runs the pipeline and events reach subscribers', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const bridge = page.context.FacePixel;
+  const received = [];
+  const id = bridge.subscribe('facesDetected', (result) => received.push(result.faces.length));
+
+  await bridge.call('setRedactionSettings', { enabled: true, style: 'solid' });
+  await bridge.call('start', { backend: 'fixture', video: page.video });
+  await settle();
+  assert.deepEqual(received, [2]);
+
+  // A second start keeps the running pipeline
+  await bridge.call('start', { backend: 'fixture', video: page.video });
+  assert.equal(page.detectors.length, 1);
+
+  const entry = plain(await bridge.call('allowFace', { faceId: page.events('facesDetected')[0].faces[0].id }));
+  assert.equal(typeof entry.id, 'number');
+  assert.equal((await rejection(bridge.call('allowFace', { faceId: 999 }))).code, 'NOT_FOUND');
+
+  assert.equal(bridge.unsubscribe(id), true);
+  assert.equal(bridge.unsubscribe(id), false);
+  await page.nextFrame();
+  assert.deepEqual(received, [2]);
+
+  await bridge.call('stop');
+});
+
+test('start rejects with CAMERA_ERROR and the camera status', async () => {
+  const page = createPage();
+  page.context.navigator.mediaDevices.getUserMedia = () => {
+    const error = new Error('Permission denied');
+    error.name = 'NotAllowedError';
+    return Promise.reject(error);
+  };
+
+  assert.deepEqual(await rejection(page.context.FacePixel.call('start', { backend: 'fixture', video: page.video })), {
+    name: 'FacePixelError',
+    code: 'CAMERA_ERROR',
+    details: { status: 'permission-denied', errorName: 'NotAllowedError' }
+  });
+});
+
+test('subscribe refuses unknown events', () => {
+  const bridge = createPage().context.FacePixel;
+  assert.throws(() => bridge.subscribe('faces', () => {}), { name: 'FacePixelError', code: 'UNKNOWN_EVENT' });
+});
@@ -0,0 +1,71 @@
+/**
+ * Raw detector boxes -> natural-space faces (face_detection_adapters.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, loadFixture, plain } = require('./harness');
+
+const page = createPage();
+const normalize = (boxes, width, height, options) =>
+  plain(page.context.normalizeDetections(boxes, width, height, options));
+
+test('mirrors boxes and keypoints for the front camera', () => {
+  const [face] = normalize([{
+    x: 100, y: 120, width: 120, height: 140, confidence: 0.9,
+    keypoints: [{ name: 'rightEye', x: 136, y: 169 }]
+  }], 640, 480, { mirror: true });
+
+  assert.deepEqual(face, {
+    x: 420, y: 120, width: 120, height: 140, confidence: 0.9,
+    keypoints: [{ name: 'rightEye', x: 504, y: 169 }]
+  });
+});
+
+test('keeps source coordinates when not mirrored', () => {
+  const [face] = normalize([{ x: 100, y: 120, width: 120, height: 140, confidence: 0.9 }], 640, 480, { mirror: false });
+  assert.equal(face.x, 100);
+  assert.deepEqual(face.keypoints, []);
+});
+
+test('mirrors by default', () => {
+  const [face] = normalize([{ x: 0, y: 0, width: 100, height: 100, confidence: 0.9 }], 640, 480);
+  assert.equal(face.x, 540);
+});
+
+test('rounds to whole pixels', () => {
+  const [face] = normalize([{ x: 10.4, y: 20.6, width: 99.5, height: 100.2, confidence: 0.9 }], 640, 480, { mirror: false });
+  assert.deepEqual([face.x, face.y, face.width, face.height], [10, 21, 100, 100]);
+});
+
+test('clamps boxes and keypoints to the frame', () => {
+  const boxes = loadFixture('edge_faces.json').frames[0].faces;
+  const faces = normalize(boxes, 640, 480, { mirror: false });
+
+  // Off the left edge: moved inside, the size is kept
+  assert.deepEqual([faces[0].x, faces[0].y, faces[0].width, faces[0].height], [0, 50, 100, 100]);
+  assert.deepEqual(faces[0].keypoints, [{ name: 'rightEar', x: 0, y: 90 }]);
+  // Off the bottom edge: cut at the frame
+  assert.deepEqual([faces[1].x, faces[1].y, faces[1].width, faces[1].height], [300, 420, 100, 60]);
+});
+
+test('drops faces not larger than minFaceSize after clamping', () => {
+  const boxes = loadFixture('edge_faces.json').frames[0].faces;
+
+  // 15x15, 20x40 and a box with 20px left inside the frame are dropped at the default 20
+  assert.equal(normalize(boxes, 640, 480, { mirror: false }).length, 2);
+  assert.equal(normalize(boxes, 640, 480, { mirror: false, minFaceSize: 10 }).length, 5);
+  assert.equal(normalize(boxes, 640, 480, { mirror: false, minFaceSize: 80 }).length, 1);
+});
+
+test('scales boxes and keypoints from a downscaled frame', () => {
+  const [box] = plain(page.context.scaleDetections([{
+    x: 50, y: 60, width: 70, height: 80, confidence: 0.9,
+    keypoints: [{ name: 'noseTip', x: 85, y: 100 }]
+  }], 2));
+
+  assert.deepEqual([box.x, box.y, box.width, box.height], [100, 120, 140, 160]);
+  assert.deepEqual(box.keypoints, [{ name: 'noseTip', x: 170, y: 200 }]);
+});
@@ -0,0 +1,110 @@
+/**
+ * Fail-closed mode: the frame is covered whenever detection cannot be trusted
+ * (face_failsafe.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+/**
+ * Show a new video frame 33ms later (the fixture keeps its last faces)
+ */
+async function step(page) {
+  page.video.currentTime += 1 / 30;
+  page.advanceClock(33);
+  await page.runFrame();
+}
+
+/**
+ * Start a fail-closed page with solid redaction and detect until it uncovers
+ */
+async function startFailClosedPage(failSafe) {
+  const page = createPage({ fixture: 'two_faces.json', config: { failClosed: true } });
+  page.context.setRedactionSettings({ enabled: true, style: 'solid' });
+  if (failSafe) {
+    page.context.setFailSafeOptions(failSafe);
+  }
+  await page.start();
+
+  // Covered until the first detections came back
+  const session = page.evaluate('defaultSession');
+  assert.equal(session.getFailSafeState().reason, 'not-ready');
+  for (let i = 0; i < 3; i++) {
+    await step(page);
+  }
+  assert.equal(session.getFailSafeState().closed, false);
+  return page;
+}
+
+/**
+ * Whether the overlay is the single full-frame cover
+ */
+function isCovered(page) {
+  const overlays = page.overlays();
+  return overlays.length === 1 && overlays[0].style.width === '640px' && overlays[0].style.height === '480px';
+}
+
+test('covers the frame from the first detector error until recoverFrames detections succeed', async () => {
+  const page = await startFailClosedPage();
+  const session = page.evaluate('defaultSession');
+  assert.ok(!isCovered(page));
+
+  page.detectError = new Error('Detector crashed');
+  await step(page);
+  assert.equal(session.getFailSafeState().reason, 'error');
+  assert.ok(isCovered(page));
+
+  page.detectError = null;
+  const covered = [];
+  for (let i = 0; i < 4; i++) {
+    await step(page);
+    covered.push(session.getFailSafeState().closed);
+  }
+  // The third success is evaluated at the start of the next frame
+  assert.deepEqual(covered, [true, true, true, false]);
+  assert.ok(!isCovered(page));
+
+  const reasons = page.events('failSafeState').map((state) => state.reason);
+  assert.deepEqual(reasons, ['not-ready', null, 'error', null]);
+  page.stop();
+});
+
+test('covers the frame while a detection never comes back', async () => {
+  const page = await startFailClosedPage({ maxDetectionGapMs: 40 });
+  try {
+    const session = page.evaluate('defaultSession');
+    page.detectors[0].detect = () => new Promise(() => {});
+    await step(page);
+    assert.equal(session.getFailSafeState().closed, false);
+
+    // The loop is stuck waiting for the detector; only time passes
+    page.advanceClock(100);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await page.runFrame();
+    assert.equal(session.getFailSafeState().reason, 'unhealthy');
+    assert.ok(isCovered(page));
+  } finally {
+    page.stop();
+  }
+});
+
+test('covers the frame while no detector could be loaded', async () => {
+  const page = createPage({ fixture: 'two_faces.json', config: { failClosed: true } });
+  const backends = page.evaluate('FaceDetectorBackends');
+  const create = backends.create;
+  backends.create = (name) => {
+    const adapter = create(name);
+    adapter.init = () => Promise.reject(new Error('Model failed to load'));
+    return adapter;
+  };
+  await page.start();
+  await step(page);
+
+  assert.equal(page.evaluate('defaultSession').getFailSafeState().reason, 'not-ready');
+  assert.ok(isCovered(page));
+  assert.deepEqual(page.events('facesDetected'), []);
+  page.stop();
+});
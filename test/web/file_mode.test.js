@@ -0,0 +1,179 @@
+/**
+ * File mode: video files are detected frame by frame and fail closed
+ * (face_file_mode.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+/**
+ * Install the browser APIs file mode needs and return the recorder log
+ * Video elements created from here on load a fixture "file" of the given
+ * duration as soon as src is set; seeks complete asynchronously unless
+ * stallSeeks is set. An infinite duration never becomes finite.
+ * @param {object} options - { duration, failAt: media time whose detection throws, stallSeeks }
+ */
+function installFileFakes(page, options) {
+  const settings = Object.assign({ duration: 0.1, failAt: null, stallSeeks: false }, options);
+  const log = { recorders: [], videos: [] };
+
+  class PageURL extends URL {
+    static createObjectURL() {
+      return 'blob:fixture';
+    }
+
+    static revokeObjectURL() {}
+  }
+  page.context.URL = PageURL;
+
+  page.context.MediaRecorder = class {
+    static isTypeSupported(type) {
+      return type === 'video/webm';
+    }
+
+    constructor(stream, recorderOptions) {
+      this.stream = stream;
+      this.mimeType = recorderOptions.mimeType;
+      this.state = 'inactive';
+      log.recorders.push(this);
+    }
+
+    start() {
+      this.state = 'recording';
+    }
+
+    pause() {
+      this.state = 'paused';
+    }
+
+    resume() {
+      this.state = 'recording';
+    }
+
+    stop() {
+      this.state = 'inactive';
+      this.ondataavailable({ data: new Blob(['frames']) });
+      this.onstop();
+    }
+  };
+
+  const createElement = page.document.createElement.bind(page.document);
+  page.document.createElement = function (tagName) {
+    const element = createElement(tagName);
+    if (tagName !== 'video') {
+      return element;
+    }
+    log.videos.push(element);
+    element.played = false;
+    element.play = () => {
+      element.played = true;
+      return Promise.resolve();
+    };
+    element.removeAttribute = () => {};
+    element.load = () => {};
+
+    let time = 0;
+    Object.defineProperty(element, 'currentTime', {
+      get: () => time,
+      set: (value) => {
+        time = value;
+        if (settings.failAt !== null && value >= settings.failAt) {
+          page.detectError = new Error('Detector crashed');
+        }
+        if (!settings.stallSeeks) {
+          setImmediate(() => element.onseeked && element.onseeked());
+        }
+      }
+    });
+    Object.defineProperty(element, 'src', {
+      set: () => {
+        // Loads before the detector is ready
+        element.videoWidth = 640;
+        element.videoHeight = 480;
+        element.duration = settings.duration;
+        element.readyState = 4;
+        element.onloadeddata();
+      }
+    });
+    return element;
+  };
+  return log;
+}
+
+async function startFilePage(options) {
+  const page = createPage({ fixture: 'two_faces.json' });
+  await page.start();
+  page.stop();
+  page.detectCalls.length = 0;
+  return { page: page, log: installFileFakes(page, options) };
+}
+
+const videoFile = () => ({ name: 'clip.webm', type: 'video/webm' });
+
+test('detects every exported frame of a paused, stepped video', { timeout: 5000 }, async () => {
+  const { page, log } = await startFilePage({ duration: 0.1 });
+  const blob = await page.context.anonymizeFile(videoFile(), {});
+
+  assert.equal(blob.size > 0, true);
+  const [video] = log.videos;
+  const [recorder] = log.recorders;
+  const track = recorder.stream.getVideoTracks()[0];
+
+  // 0.1s at 30 fps: three frames, each detected at its own media time
+  assert.deepEqual(page.detectCalls.map((call) => Math.round(call.frameTime * 30)), [0, 1, 2]);
+  assert.ok(page.detectCalls.every((call) => call.frame === video));
+  assert.equal(track.frameRate, 0);
+  assert.equal(track.requestedFrames, 3);
+  assert.equal(video.played, false);
+  assert.equal(recorder.state, 'inactive');
+  assert.deepEqual(page.events('fileProgress').map((event) => event.state).slice(-1), ['done']);
+});
+
+test('fails the export instead of writing undetected frames', { timeout: 5000 }, async () => {
+  const { page, log } = await startFilePage({ duration: 0.1, failAt: 1 / 30 });
+
+  await assert.rejects(page.context.anonymizeFile(videoFile(), {}), /export aborted/);
+
+  const [recorder] = log.recorders;
+  const track = recorder.stream.getVideoTracks()[0];
+  assert.equal(track.requestedFrames, 1);
+  assert.equal(track.readyState, 'ended');
+  assert.equal(recorder.state, 'inactive');
+
+  const last = page.events('fileProgress').pop();
+  assert.equal(last.state, 'error');
+  assert.match(last.message, /0\.03s/);
+});
+
+/**
+ * Shorten the file mode's video timeout so a stalled step fails at once
+ */
+function shortenVideoTimeout(page) {
+  const timeout = page.evaluate('FILE_VIDEO_TIMEOUT_MS');
+  page.context.setTimeout = (callback, ms) => setTimeout(callback, ms >= timeout ? 10 : ms);
+}
+
+test('a duration that never becomes finite fails the job and frees file mode', { timeout: 5000 }, async () => {
+  const { page } = await startFilePage({ duration: Infinity });
+  shortenVideoTimeout(page);
+
+  await assert.rejects(page.context.anonymizeFile(videoFile(), {}), /duration timed out/);
+  assert.equal(page.evaluate('fileJobActive'), false);
+  assert.equal(page.events('fileProgress').pop().state, 'error');
+
+  // The next upload is processed, not refused as a concurrent job
+  await assert.rejects(page.context.anonymizeFile(videoFile(), {}), /duration timed out/);
+});
+
+test('a seek that never completes fails the job and frees file mode', { timeout: 5000 }, async () => {
+  const { page, log } = await startFilePage({ duration: 0.1, stallSeeks: true });
+  shortenVideoTimeout(page);
+
+  await assert.rejects(page.context.anonymizeFile(videoFile(), {}), /seek timed out/);
+  assert.equal(page.evaluate('fileJobActive'), false);
+  assert.equal(page.detectCalls.length, 0);
+  assert.equal(log.recorders[0].state, 'inactive');
+});
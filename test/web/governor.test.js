@@ -0,0 +1,83 @@
+/**
+ * Adaptive detection: governor levels, predicted frames and downscaled input
+ * (face_governor.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+/**
+ * Make every detection take inference.ms on the page clock
+ * The fixture boxes are in full frame pixels; they are scaled to the
+ * detector's input like a real detector's would be.
+ */
+function slowDetector(page, inference) {
+  const [adapter] = page.detectors;
+  const detect = adapter.detect;
+  adapter.detect = (frame) => {
+    page.advanceClock(inference.ms);
+    const scale = (frame.width || frame.videoWidth) / page.fixture.video.width;
+    return detect(frame).then((boxes) => boxes.map((box) => Object.assign({}, box, {
+      x: box.x * scale,
+      y: box.y * scale,
+      width: box.width * scale,
+      height: box.height * scale,
+      keypoints: []
+    })));
+  };
+}
+
+async function step(page) {
+  page.video.currentTime += 1 / 30;
+  page.advanceClock(33);
+  await page.runFrame();
+}
+
+test('steps down on slow detection, predicts skipped frames and scales boxes back', async () => {
+  const page = createPage({ fixture: 'rear_camera.json' });
+  await page.start();
+  const inference = { ms: 40 };
+  slowDetector(page, inference);
+  const [first] = page.events('facesDetected')[0].faces;
+
+  for (let i = 0; i < 40; i++) {
+    await step(page);
+  }
+
+  const modes = page.events('detectionGovernor').map((state) => state.mode);
+  assert.deepEqual(modes.filter((mode, index) => mode !== modes[index - 1]), ['reduced-rate', 'downscaled']);
+  assert.equal(page.context.getGovernorState().scale, 0.75);
+
+  // Downscaled input, every 2nd frame; boxes stay where the face is
+  const lastCall = page.detectCalls[page.detectCalls.length - 1];
+  assert.equal(lastCall.frame.width, 960);
+  const results = page.events('facesDetected').slice(-4);
+  assert.deepEqual(results.map((result) => result.frame.detected), [true, false, true, false]);
+  for (const result of results) {
+    const [face] = result.faces;
+    assert.deepEqual([face.x, face.y, face.width, face.height], [first.x, first.y, first.width, first.height]);
+  }
+  page.stop();
+});
+
+test('steps back up to full quality once detection is fast again', async () => {
+  const page = createPage({ fixture: 'rear_camera.json' });
+  await page.start();
+  const inference = { ms: 40 };
+  slowDetector(page, inference);
+  for (let i = 0; i < 40; i++) {
+    await step(page);
+  }
+  assert.equal(page.context.getGovernorState().mode, 'downscaled');
+
+  inference.ms = 1;
+  for (let i = 0; i < 150 && page.context.getGovernorState().mode !== 'full'; i++) {
+    await step(page);
+  }
+  assert.equal(page.context.getGovernorState().mode, 'full');
+  assert.equal(page.detectCalls[page.detectCalls.length - 1].frame.width, 1280);
+  page.stop();
+});
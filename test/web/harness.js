@@ -0,0 +1,612 @@
+/**
+ * Headless harness for the web layer
+ * Loads the classic scripts from web/ (in index.html order) into a Node vm
+ * context with a small fake DOM, a fake camera and a fixture-driven detector,
+ * so the detection pipeline runs deterministically without a browser:
+ *
+ *   const page = createPage({ fixture: 'two_faces.json' });
+ *   await page.start();              // startApp('fixture', video)
+ *   await page.nextFrame();          // advance the video to the next fixture frame
+ *   page.events('facesDetected');    // event details dispatched on window
+ *   page.openResources();            // camera tracks, detectors, listeners still held
+ *
+ * Fixtures (test/web/fixtures/*.json) replay recorded detector output:
+ *   {
+ *     video: { width, height, facingMode },
+ *     frames: [{ time, faces: [{ x, y, width, height, confidence, keypoints }] }]
+ *   }
+ * Face boxes are raw detector output: source pixels, never mirrored.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const WEB_DIR = path.join(__dirname, '..', '..', 'web');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Loaded by Flutter's build, not part of the web layer
+const SKIPPED_SCRIPTS = ['flutter_bootstrap.js'];
+
+/**
+ * Script files in the order index.html loads them
+ * @returns {string[]}
+ */
+function readPageScripts() {
+  const html = fs.readFileSync(path.join(WEB_DIR, 'index.html'), 'utf8');
+  const scripts = [];
+  const pattern = /<script src="([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (SKIPPED_SCRIPTS.indexOf(match[1]) === -1) {
+      scripts.push(match[1]);
+    }
+  }
+  return scripts;
+}
+
+/**
+ * @param {string} name - File in test/web/fixtures
+ * @returns {object} Parsed fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+}
+
+/**
+ * Copy a value out of the vm realm so assert.deepStrictEqual can compare it
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 2D context that accepts every call and records it
+ */
+function createFakeContext2D(canvas) {
+  const calls = [];
+  const state = { filter: 'none', imageSmoothingEnabled: true, fillStyle: '#000000', calls: calls, canvas: canvas };
+  return new Proxy(state, {
+    get: function (target, property) {
+      if (property in target) {
+        return target[property];
+      }
+      if (property === 'getImageData') {
+        return (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width: width, height: height });
+      }
+      return (...args) => {
+        calls.push({ method: property, args: args });
+      };
+    },
+    set: function (target, property, value) {
+      target[property] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * Event target that counts its listeners, so tests can check that nothing is left behind
+ * Listeners added with { once: true } remove themselves and are not counted.
+ */
+function createCountingTarget() {
+  const target = new EventTarget();
+  const listeners = [];
+  return {
+    addEventListener: (type, listener, listenerOptions) => {
+      const once = Boolean(listenerOptions && listenerOptions.once);
+      if (!once && !listeners.some((entry) => entry.type === type && entry.listener === listener)) {
+        listeners.push({ type: type, listener: listener });
+      }
+      target.addEventListener(type, listener, listenerOptions);
+    },
+    removeEventListener: (type, listener, listenerOptions) => {
+      const index = listeners.findIndex((entry) => entry.type === type && entry.listener === listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+      target.removeEventListener(type, listener, listenerOptions);
+    },
+    dispatchEvent: (event) => target.dispatchEvent(event),
+    listenerCount: (type) => listeners.filter((entry) => entry.type === type).length
+  };
+}
+
+class FakeElement {
+  constructor(tagName, document) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = document;
+    this.style = {};
+    this.children = [];
+    this.parentNode = null;
+    this.textContent = '';
+    this.id = '';
+    this.width = tagName === 'canvas' ? 300 : 0;
+    this.height = tagName === 'canvas' ? 150 : 0;
+    this.context2d = null;
+  }
+
+  set innerHTML(value) {
+    if (value !== '') {
+      throw new Error('The fake DOM only supports clearing innerHTML');
+    }
+    for (const child of this.children) {
+      child.parentNode = null;
+    }
+    this.children = [];
+  }
+
+  appendChild(child) {
+    if (child.parentNode) {
+      child.remove();
+    }
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.children = this.parentNode.children.filter((child) => child !== this);
+      this.parentNode = null;
+    }
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  click() {}
+
+  getContext(type) {
+    if (type !== '2d') {
+      return null;
+    }
+    if (!this.context2d) {
+      this.context2d = createFakeContext2D(this);
+    }
+    return this.context2d;
+  }
+
+  toBlob(callback, mimeType) {
+    callback(new Blob([''], { type: mimeType || 'image/png' }));
+  }
+
+  /**
+   * Stream of the canvas; requestFrame() counts the frames pushed into it
+   */
+  captureStream(frameRate) {
+    const track = {
+      kind: 'video',
+      readyState: 'live',
+      frameRate: frameRate,
+      requestedFrames: 0,
+      requestFrame: () => {
+        track.requestedFrames++;
+      },
+      stop: () => {
+        track.readyState = 'ended';
+      }
+    };
+    return {
+      getTracks: () => [track],
+      getVideoTracks: () => [track]
+    };
+  }
+}
+
+/**
+ * Video element fed by a fake camera stream
+ * Setting srcObject loads the stream's size and fires onloadedmetadata.
+ */
+class FakeVideoElement extends FakeElement {
+  constructor(document) {
+    super('video', document);
+    this.videoWidth = 0;
+    this.videoHeight = 0;
+    this.readyState = 0;
+    this.currentTime = 0;
+    this.paused = true;
+    this.onloadedmetadata = null;
+    this._srcObject = null;
+  }
+
+  get srcObject() {
+    return this._srcObject;
+  }
+
+  set srcObject(stream) {
+    this._srcObject = stream;
+    if (!stream) {
+      this.videoWidth = 0;
+      this.videoHeight = 0;
+      this.readyState = 0;
+      return;
+    }
+    const settings = stream.getVideoTracks()[0].getSettings();
+    queueMicrotask(() => {
+      this.videoWidth = settings.width;
+      this.videoHeight = settings.height;
+      this.readyState = 4;
+      if (this.onloadedmetadata) {
+        this.onloadedmetadata();
+      }
+    });
+  }
+
+  play() {
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+}
+
+class FakeDocument {
+  constructor() {
+    this.baseURI = 'http://test/';
+    this.body = new FakeElement('body', this);
+    this.visibilityState = 'visible';
+    this.listeners = createCountingTarget();
+  }
+
+  addEventListener(type, listener, listenerOptions) {
+    this.listeners.addEventListener(type, listener, listenerOptions);
+  }
+
+  removeEventListener(type, listener, listenerOptions) {
+    this.listeners.removeEventListener(type, listener, listenerOptions);
+  }
+
+  dispatchEvent(event) {
+    return this.listeners.dispatchEvent(event);
+  }
+
+  /**
+   * @param {string} className - Class to look for
+   * @returns {FakeElement[]} Elements in the tree with that class
+   */
+  findByClass(className) {
+    const found = [];
+    const search = (element) => {
+      if (element.className === className) {
+        found.push(element);
+      }
+      element.children.forEach(search);
+    };
+    search(this.body);
+    return found;
+  }
+
+  createElement(tagName) {
+    return tagName === 'video' ? new FakeVideoElement(this) : new FakeElement(tagName, this);
+  }
+
+  getElementById(id) {
+    const search = (element) => {
+      if (element.id === id) {
+        return element;
+      }
+      for (const child of element.children) {
+        const found = search(child);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return search(this.body);
+  }
+}
+
+/**
+ * Camera stream whose track reports the fixture's size and facing mode
+ * @param {object} video - { facingMode, width, height }
+ * @param {object[]} tracks - Every track opened so far (to check they are stopped)
+ */
+function createFakeStream(video, tracks) {
+  const track = {
+    kind: 'video',
+    label: `Fixture camera (${video.facingMode})`,
+    readyState: 'live',
+    enabled: true,
+    getSettings: () => ({
+      deviceId: 'fixture',
+      facingMode: video.facingMode,
+      width: video.width,
+      height: video.height,
+      frameRate: 30
+    }),
+    addEventListener: () => {},
+    stop: () => {
+      track.readyState = 'ended';
+    }
+  };
+  tracks.push(track);
+  return {
+    getTracks: () => [track],
+    getVideoTracks: () => [track]
+  };
+}
+
+const FIXTURE_CAPABILITIES = { keypoints: true, gpu: false, modelRanges: ['short'] };
+
+/**
+ * Detector adapter that replays a fixture
+ * Returns the faces of the latest fixture frame at or before the video time.
+ */
+function createFixtureDetector(fixture, page) {
+  return function () {
+    const adapter = {
+      name: 'fixture',
+      capabilities: Object.assign({}, FIXTURE_CAPABILITIES),
+      disposed: false,
+      init: () => {
+        page.detectors.push(adapter);
+        return Promise.resolve();
+      },
+      getConfig: () => ({ modelRange: 'short', delegate: 'CPU' }),
+      detect: (frame) => {
+        page.detectCalls.push({ time: page.video.currentTime, frame: frame, frameTime: frame.currentTime });
+        if (page.detectError) {
+          return Promise.reject(page.detectError);
+        }
+        let current = { faces: [] };
+        for (const entry of fixture.frames) {
+          if (entry.time <= page.video.currentTime) {
+            current = entry;
+          }
+        }
+        return Promise.resolve(current.faces.map((face) => Object.assign({}, face, {
+          keypoints: (face.keypoints || []).map((point) => Object.assign({}, point))
+        })));
+      },
+      dispose: () => {
+        adapter.disposed = true;
+      }
+    };
+    return adapter;
+  };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+async function settle() {
+  for (let i = 0; i < 10; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/**
+ * Create a page with the web scripts loaded
+ * @param {object} options
+ * @param {string} options.fixture - Fixture file name (default 'two_faces.json')
+ * @param {string} options.objectFit - Computed object-fit of the video (default 'cover', like index.html)
+ * @param {number} options.devicePixelRatio - Default 1
+ * @param {object} options.config - window.FacePixelConfig
+ * @returns {object} Page handle
+ */
+function createPage(options) {
+  const settings = { fixture: 'two_faces.json', objectFit: 'cover', devicePixelRatio: 1 };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  const fixture = loadFixture(settings.fixture);
+  const document = new FakeDocument();
+  const events = createCountingTarget();
+  const mediaDevices = createCountingTarget();
+  const recorded = [];
+  // Animation frame ID -> callback
+  const frameCallbacks = new Map();
+  let nextFrameId = 1;
+  const clock = { now: 0 };
+  const storage = new Map();
+
+  const page = {
+    fixture: fixture,
+    document: document,
+    detectCalls: [],
+    detectError: null,
+    detectors: [],
+    tracks: [],
+    frameIndex: 0,
+    video: null,
+    context: null
+  };
+
+  const video = document.createElement('video');
+  video.id = 'webcam';
+  video.facingMode = fixture.video.facingMode || 'user';
+  page.video = video;
+
+  const outputCanvas = document.createElement('canvas');
+  outputCanvas.id = 'anonymizedCanvas';
+  document.body.appendChild(outputCanvas);
+
+  const context = {
+    console: console,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    setInterval: setInterval,
+    clearInterval: clearInterval,
+    queueMicrotask: queueMicrotask,
+    CustomEvent: CustomEvent,
+    Event: Event,
+    EventTarget: EventTarget,
+    Blob: Blob,
+    URL: URL,
+    document: document,
+    location: { hostname: 'test', href: 'http://test/' },
+    navigator: {
+      userAgent: 'node-test',
+      mediaDevices: {
+        getUserMedia: () => Promise.resolve(page.createCameraStream()),
+        enumerateDevices: () => Promise.resolve([]),
+        addEventListener: mediaDevices.addEventListener,
+        removeEventListener: mediaDevices.removeEventListener
+      }
+    },
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    },
+    performance: { now: () => clock.now },
+    devicePixelRatio: settings.devicePixelRatio,
+    FacePixelConfig: settings.config,
+    requestAnimationFrame: (callback) => {
+      const id = nextFrameId++;
+      frameCallbacks.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame: (id) => {
+      frameCallbacks.delete(id);
+    },
+    getComputedStyle: (element) => ({ objectFit: element.style.objectFit || settings.objectFit }),
+    addEventListener: (type, listener, listenerOptions) => events.addEventListener(type, listener, listenerOptions),
+    removeEventListener: (type, listener, listenerOptions) => events.removeEventListener(type, listener, listenerOptions),
+    dispatchEvent: (event) => {
+      recorded.push({ type: event.type, detail: event.detail });
+      return events.dispatchEvent(event);
+    }
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  for (const script of readPageScripts()) {
+    const file = path.join(WEB_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  vm.runInContext('FaceDetectorBackends', context).register('fixture', createFixtureDetector(fixture, page), FIXTURE_CAPABILITIES);
+
+  page.context = context;
+
+  /**
+   * Run an expression in the page (e.g. a function or const declared by a script)
+   */
+  page.evaluate = function (expression) {
+    return vm.runInContext(expression, context);
+  };
+
+  /**
+   * Start the app like Flutter does and process the first fixture frame
+   * @param {string} backend - Detector backend (default 'fixture')
+   */
+  page.start = async function (backend) {
+    page.video.currentTime = fixture.frames.length > 0 ? fixture.frames[0].time : 0;
+    await context.startApp(backend || 'fixture', page.video);
+    await settle();
+  };
+
+  /**
+   * Advance to the next fixture frame and run one loop iteration
+   * @returns {boolean} Whether there was a next frame
+   */
+  page.nextFrame = async function () {
+    if (page.frameIndex + 1 >= fixture.frames.length) {
+      return false;
+    }
+    page.frameIndex++;
+    const entry = fixture.frames[page.frameIndex];
+    clock.now += Math.max(1, (entry.time - page.video.currentTime) * 1000);
+    page.video.currentTime = entry.time;
+    await page.runFrame();
+    return true;
+  };
+
+  /**
+   * Run queued animation frame callbacks once
+   */
+  page.runFrame = async function () {
+    const callbacks = Array.from(frameCallbacks.values());
+    frameCallbacks.clear();
+    for (const callback of callbacks) {
+      callback(clock.now);
+    }
+    await settle();
+  };
+
+  /**
+   * Advance the fake clock
+   */
+  page.advanceClock = function (ms) {
+    clock.now += ms;
+  };
+
+  /**
+   * @param {string} type - Event type
+   * @returns {object[]} Details of every event of that type, copied out of the page
+   */
+  page.events = function (type) {
+    return recorded.filter((event) => event.type === type).map((event) => plain(event.detail));
+  };
+
+  /**
+   * @returns {FakeElement[]} Overlay divs currently in the blur overlay container
+   */
+  page.overlays = function () {
+    const container = document.getElementById('blurOverlayContainer');
+    return container ? container.children.slice() : [];
+  };
+
+  /**
+   * Stop the loop and release the fake camera
+   */
+  page.stop = function () {
+    context.stopFaceDetection();
+  };
+
+  /**
+   * A stream from the fixture camera, as getUserMedia resolves it
+   */
+  page.createCameraStream = function () {
+    return createFakeStream({
+      facingMode: video.facingMode,
+      width: fixture.video.width,
+      height: fixture.video.height
+    }, page.tracks);
+  };
+
+  /**
+   * Show or hide the page ('visible' or 'hidden') and fire visibilitychange
+   */
+  page.setVisibility = function (visibilityState) {
+    document.visibilityState = visibilityState;
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  /**
+   * Count what a running pipeline holds; all zero once everything is released
+   * @returns {object} { cameraTracks, detectors, animationFrames, overlayRoots,
+   *   resizeListeners, visibilityListeners, deviceChangeListeners }
+   */
+  page.openResources = function () {
+    return {
+      cameraTracks: page.tracks.filter((track) => track.readyState === 'live').length,
+      detectors: page.detectors.filter((adapter) => !adapter.disposed).length,
+      animationFrames: frameCallbacks.size,
+      overlayRoots: document.findByClass('facepixel-overlay-root').length,
+      resizeListeners: events.listenerCount('resize'),
+      visibilityListeners: document.listeners.listenerCount('visibilitychange'),
+      deviceChangeListeners: mediaDevices.listenerCount('devicechange')
+    };
+  };
+
+  return page;
+}
+
+module.exports = {
+  createPage: createPage,
+  loadFixture: loadFixture,
+  plain: plain,
+  readPageScripts: readPageScripts,
+  settle: settle
+};
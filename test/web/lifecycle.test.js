@@ -0,0 +1,160 @@
+/**
+ * Session lifecycle: idempotent start/pause/resume/stop/dispose, nothing
+ * left behind across restarts, pause while hidden (face_session.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./harness');
+
+const RELEASED = {
+  cameraTracks: 0,
+  detectors: 0,
+  animationFrames: 0,
+  overlayRoots: 0,
+  resizeListeners: 0,
+  visibilityListeners: 0,
+  deviceChangeListeners: 0
+};
+
+// One running session holds one of each
+const RUNNING = {
+  cameraTracks: 1,
+  detectors: 1,
+  animationFrames: 1,
+  overlayRoots: 1,
+  resizeListeners: 1,
+  visibilityListeners: 1,
+  deviceChangeListeners: 1
+};
+
+function states(page) {
+  return page.events('sessionState').map((event) => event.state);
+}
+
+test('stop releases the camera, detector, overlay and listeners', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  await page.start();
+  assert.deepEqual(page.openResources(), RUNNING);
+
+  page.stop();
+  assert.deepEqual(page.openResources(), RELEASED);
+  assert.equal(page.video.srcObject, null);
+
+  // Stopping again changes nothing
+  page.stop();
+  assert.deepEqual(states(page), ['starting', 'running', 'idle']);
+});
+
+test('restarts and repeated starts do not leak', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+
+  for (let i = 0; i < 3; i++) {
+    await page.start();
+    await page.start();
+    assert.deepEqual(page.openResources(), RUNNING, `run ${i + 1}`);
+    page.stop();
+    assert.deepEqual(page.openResources(), RELEASED, `after run ${i + 1}`);
+  }
+
+  assert.equal(page.detectors.length, 3);
+  assert.equal(page.tracks.length, 3);
+});
+
+test('stop during start gives up what the start acquires', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const session = page.evaluate('defaultSession');
+
+  // While the detector loads
+  const first = session.start({ backend: 'fixture', video: page.video });
+  session.stop();
+  await first;
+  await settle();
+  assert.deepEqual(page.openResources(), RELEASED);
+
+  // While the browser opens the camera
+  let openCamera;
+  page.context.navigator.mediaDevices.getUserMedia = () => new Promise((resolve) => {
+    openCamera = resolve;
+  });
+  const second = session.start({ backend: 'fixture', video: page.video });
+  await settle();
+  session.stop();
+  openCamera(page.createCameraStream());
+  await second;
+  await settle();
+
+  assert.deepEqual(page.openResources(), RELEASED);
+  assert.equal(session.getState(), 'idle');
+  assert.deepEqual(page.events('facesDetected'), []);
+});
+
+test('pauses while the page is hidden and resumes when shown', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const bridge = page.context.FacePixel;
+  await page.start();
+  const track = page.tracks[0];
+
+  page.setVisibility('hidden');
+  assert.equal(await bridge.call('getSessionState'), 'paused');
+  assert.equal(track.enabled, false);
+  assert.equal(page.openResources().animationFrames, 0);
+  await page.nextFrame();
+  assert.equal(page.events('facesDetected').length, 1);
+
+  page.setVisibility('visible');
+  assert.equal(track.enabled, true);
+  await settle();
+  assert.equal(page.events('facesDetected').length, 2);
+  assert.deepEqual(page.openResources(), RUNNING);
+
+  // Paused by the app: showing the page does not resume
+  assert.equal(await bridge.call('pause'), 'paused');
+  page.setVisibility('hidden');
+  page.setVisibility('visible');
+  assert.equal(await bridge.call('getSessionState'), 'paused');
+  assert.equal(await bridge.call('resume'), 'running');
+
+  assert.deepEqual(page.events('sessionState').slice(2).map((event) => [event.state, event.reason]), [
+    ['paused', 'hidden'], ['running', null], ['paused', 'user'], ['running', null]
+  ]);
+  page.stop();
+  assert.deepEqual(page.openResources(), RELEASED);
+});
+
+test('a camera reopened while paused stays disabled until resume', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const bridge = page.context.FacePixel;
+  await page.start();
+
+  page.setVisibility('hidden');
+  await bridge.call('switchCamera', { facingMode: 'environment' });
+  await bridge.call('setCameraResolution', { width: 1280, height: 720 });
+  assert.equal(page.tracks.length, 3);
+  assert.ok(page.tracks.every((track) => track.enabled === false));
+  assert.equal(await bridge.call('getSessionState'), 'paused');
+
+  page.setVisibility('visible');
+  assert.equal(page.tracks[2].enabled, true);
+
+  // Stopped while paused: the next start delivers frames again
+  assert.equal(await bridge.call('pause'), 'paused');
+  page.stop();
+  await page.start();
+  assert.equal(page.tracks[3].enabled, true);
+  page.stop();
+});
+
+test('a disposed session cannot be started again', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const session = page.context.createFaceSession({ video: page.video });
+  await session.start({ backend: 'fixture' });
+  assert.equal(session.getState(), 'running');
+
+  session.dispose();
+  assert.equal(session.getState(), 'disposed');
+  assert.deepEqual(page.openResources(), RELEASED);
+  await assert.rejects(session.start({ backend: 'fixture' }), /disposed/);
+});
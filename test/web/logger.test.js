@@ -0,0 +1,142 @@
+/**
+ * Log buffer persistence in the page and the worker (logger.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const LOGGER_SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'web', 'logger.js'), 'utf8');
+
+/**
+ * IndexedDB with one object store, enough for the logger
+ * @param {object[]} rows - Stored entries, shared across "page loads"
+ */
+function createFakeIndexedDB(rows) {
+  const later = (callback) => setImmediate(callback);
+  const store = {
+    add: (entry) => rows.push(entry),
+    count: () => {
+      const request = {};
+      later(() => {
+        request.result = rows.length;
+        request.onsuccess && request.onsuccess();
+      });
+      return request;
+    },
+    getAll: () => {
+      const request = {};
+      later(() => {
+        request.result = rows.slice();
+        request.onsuccess();
+      });
+      return request;
+    },
+    clear: () => rows.splice(0)
+  };
+  const db = {
+    transaction: () => {
+      const transaction = { objectStore: () => store };
+      later(() => setImmediate(() => transaction.oncomplete && transaction.oncomplete()));
+      return transaction;
+    }
+  };
+  return {
+    open: () => {
+      const request = { result: db };
+      later(() => request.onsuccess());
+      return request;
+    }
+  };
+}
+
+/**
+ * Run logger.js in a fresh global scope
+ * @param {object} options - { page: whether window exists, rows: persisted entries, now,
+ *   postMessage: the worker's self.postMessage }
+ */
+function loadLogger(options) {
+  const timers = [];
+  const context = {
+    console: console,
+    Date: class extends Date {
+      static now() {
+        return options.now;
+      }
+    },
+    setTimeout: (callback, ms) => {
+      timers.push(ms);
+      return setTimeout(callback, ms);
+    },
+    clearTimeout: clearTimeout,
+    indexedDB: createFakeIndexedDB(options.rows || [])
+  };
+  if (options.postMessage) {
+    context.self = context;
+    context.postMessage = options.postMessage;
+  }
+  if (options.page) {
+    context.window = context;
+    context.window.addEventListener = () => {};
+    context.location = { hostname: 'test', href: 'http://test/' };
+    context.localStorage = { getItem: () => null, setItem: () => {} };
+  }
+  vm.createContext(context);
+  vm.runInContext(LOGGER_SOURCE, context);
+  return { logger: vm.runInContext('AppLogger', context), timers: timers };
+}
+
+test('only warnings and errors are persisted; info stays in this session', async () => {
+  const rows = [];
+  const first = loadLogger({ page: true, rows: rows, now: 1000 });
+  first.logger.info('Anonymizing video file (video/webm)', 'web');
+  first.logger.warning('GPU delegate unavailable', 'web');
+  first.logger.error('Detection error', 'web', new Error('crashed'));
+  const report = JSON.parse(await first.logger.exportLogs());
+
+  assert.deepEqual(rows.map((entry) => entry.level), ['warning', 'error']);
+  assert.deepEqual(report.entries.map((entry) => entry.level), ['info', 'warning', 'error']);
+
+  // After a reload the previous session's warnings remain, its info does not
+  const second = loadLogger({ page: true, rows: rows, now: 2000 });
+  second.logger.info('Started', 'web');
+  const reloaded = JSON.parse(await second.logger.exportLogs());
+  assert.deepEqual(reloaded.entries.map((entry) => entry.message),
+    ['GPU delegate unavailable', 'Detection error', 'Started']);
+});
+
+test('the worker keeps a bounded buffer and never schedules writes', () => {
+  const { logger, timers } = loadLogger({ page: false, now: 1000 });
+  for (let i = 0; i < 1500; i++) {
+    logger.error(`Worker error ${i}`, 'worker');
+  }
+
+  assert.deepEqual(timers, []);
+  const entries = logger.getEntries();
+  assert.equal(entries.length, 1000);
+  assert.equal(entries[999].message, 'Worker error 1499');
+});
+
+test('the worker forwards warnings and errors to the page export', async () => {
+  const rows = [];
+  const page = loadLogger({ page: true, rows: rows, now: 1000 });
+  const posted = [];
+  const worker = loadLogger({ page: false, now: 1000, postMessage: (message) => posted.push(message) });
+
+  worker.logger.info('Detection worker ready', 'web');
+  worker.logger.warning('GPU delegate unavailable', 'web');
+  worker.logger.error('Detection error', 'web', new Error('crashed'));
+  assert.deepEqual(posted.map((message) => [message.type, message.entry.level]), [['log', 'warning'], ['log', 'error']]);
+  assert.deepEqual(worker.timers, []);
+
+  // The page keeps and persists them like its own entries
+  posted.forEach((message) => page.logger.importEntry(JSON.parse(JSON.stringify(message.entry))));
+  const report = JSON.parse(await page.logger.exportLogs());
+  assert.deepEqual(report.entries.map((entry) => entry.message), ['GPU delegate unavailable', 'Detection error']);
+  assert.equal(report.entries[1].error.message, 'crashed');
+  assert.deepEqual(rows.map((entry) => entry.level), ['warning', 'error']);
+});
@@ -0,0 +1,193 @@
+/**
+ * Overlay benchmark: per-frame cost of the on-screen redaction overlays
+ * Compares rebuilding the overlay every frame (innerHTML = '' and a fresh div,
+ * plus a fresh mosaic canvas for 'pixelate', per face) with the pooled
+ * renderer (face_overlay_renderer.js), on the harness's fake DOM:
+ *
+ *   node test/web/overlay_benchmark.js [frames] [faces]
+ *
+ * The fake DOM has no layout, style recalculation or compositing, so the
+ * times only cover the script side. The element, canvas and style write
+ * counts are what the browser pays for on top: every new element with a
+ * backdrop-filter is a new compositing layer, every style write a style
+ * recalculation, and left/top (unlike transform) also trigger layout.
+ *
+ * Not a test file: `node --test test/web/` does not pick it up.
+ */
+
+'use strict';
+
+const { createPage } = require('./harness');
+
+const FRAMES = Number(process.argv[2]) || 600;
+const FACES = Number(process.argv[3]) || 4;
+const STYLES = ['blur', 'pixelate', 'emoji'];
+// Updates within one frame from outside the detection loop (settings, regions, resize)
+const CHANGES_PER_FRAME = 3;
+
+/**
+ * Load the page and count element creations and style writes
+ */
+function createBenchmarkPage() {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const counts = { elements: 0, canvases: 0, styleWrites: 0 };
+  const createElement = page.document.createElement.bind(page.document);
+
+  page.document.createElement = function (tagName) {
+    const element = createElement(tagName);
+    counts.elements++;
+    if (tagName === 'canvas') {
+      counts.canvases++;
+    }
+    element.style = new Proxy(element.style, {
+      set: function (target, property, value) {
+        counts.styleWrites++;
+        target[property] = value;
+        return true;
+      }
+    });
+    return element;
+  };
+
+  // Animation frames are run by the benchmark
+  const frameCallbacks = [];
+  page.context.requestAnimationFrame = (callback) => frameCallbacks.push(callback);
+  page.context.cancelAnimationFrame = () => {};
+  page.runAnimationFrame = () => frameCallbacks.splice(0).forEach((callback) => callback(0));
+
+  const video = page.document.createElement('video');
+  video.videoWidth = 640;
+  video.videoHeight = 480;
+  page.benchmarkVideo = video;
+  page.counts = counts;
+  return page;
+}
+
+/**
+ * Overlays for one frame: faces drifting across a 640x480 view
+ */
+function frameOverlays(page, frame, settings) {
+  const overlays = [];
+  for (let i = 0; i < FACES; i++) {
+    const phase = frame / 30 + i * 1.7;
+    const rect = {
+      x: 80 + i * 110 + Math.sin(phase) * 40,
+      y: 120 + Math.cos(phase * 0.8) * 30,
+      width: 90 + Math.sin(phase * 0.5) * 6,
+      height: 110 + Math.sin(phase * 0.5) * 7
+    };
+    overlays.push({
+      rect: rect,
+      settings: settings,
+      video: page.benchmarkVideo,
+      naturalRegion: rect,
+      mirrored: true,
+      clipPath: undefined
+    });
+  }
+  return overlays;
+}
+
+/**
+ * The overlay update before the pooled renderer: clear and recreate every frame
+ */
+function rebuildOverlays(page, root, overlays) {
+  const document = page.document;
+  const context = page.context;
+  root.innerHTML = '';
+
+  for (const overlay of overlays) {
+    const rect = overlay.rect;
+    const settings = overlay.settings;
+    const element = document.createElement('div');
+    element.style.position = 'absolute';
+    element.style.left = `${rect.x}px`;
+    element.style.top = `${rect.y}px`;
+    element.style.width = `${rect.width}px`;
+    element.style.height = `${rect.height}px`;
+    element.style.pointerEvents = 'none';
+    element.style.overflow = 'hidden';
+
+    const look = context.describeRedactionOverlay(settings, rect.width, rect.height);
+    element.style.borderRadius = look.borderRadius;
+    element.style.backdropFilter = look.backdropFilter;
+    element.style.webkitBackdropFilter = look.backdropFilter;
+    element.style.backgroundColor = look.backgroundColor;
+    element.textContent = look.text;
+    if (look.text) {
+      element.style.display = 'flex';
+      element.style.alignItems = 'center';
+      element.style.justifyContent = 'center';
+      element.style.fontSize = look.fontSize;
+      element.style.lineHeight = '1';
+    }
+    if (look.mosaic) {
+      const canvas = document.createElement('canvas');
+      canvas.width = look.mosaic.columns;
+      canvas.height = look.mosaic.rows;
+      canvas.style.display = 'block';
+      canvas.style.width = '100%';
+      canvas.style.height = '100%';
+      canvas.style.imageRendering = 'pixelated';
+      context.drawOverlayMosaic(canvas, overlay.video, overlay.naturalRegion, overlay.mirrored);
+      element.appendChild(canvas);
+    }
+    root.appendChild(element);
+  }
+}
+
+/**
+ * Run one strategy over FRAMES frames
+ * @param {string} strategy - 'rebuild' or 'pooled'
+ * @param {string} style - Redaction style
+ * @param {number} changes - Overlay updates per frame
+ * @returns {object} Per-frame averages
+ */
+function runStrategy(strategy, style, changes) {
+  const page = createBenchmarkPage();
+  const root = page.document.createElement('div');
+  page.document.body.appendChild(root);
+  const renderer = page.context.createOverlayRenderer(root);
+  const settings = Object.assign({}, page.evaluate('DEFAULT_REDACTION_SETTINGS'), { enabled: true, style: style });
+  Object.assign(page.counts, { elements: 0, canvases: 0, styleWrites: 0 });
+
+  const start = process.hrtime.bigint();
+  for (let frame = 0; frame < FRAMES; frame++) {
+    if (strategy === 'rebuild') {
+      // Every update rebuilt the overlay at once
+      for (let change = 0; change < changes; change++) {
+        rebuildOverlays(page, root, frameOverlays(page, frame, settings));
+      }
+    } else if (changes === 1) {
+      // The detection loop writes at once
+      renderer.render(frameOverlays(page, frame, settings));
+    } else {
+      for (let change = 0; change < changes; change++) {
+        renderer.update(frameOverlays(page, frame, settings));
+      }
+      page.runAnimationFrame();
+    }
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return {
+    strategy: strategy,
+    style: style,
+    'updates/frame': changes,
+    'ms/frame': (elapsedMs / FRAMES).toFixed(4),
+    'elements/frame': (page.counts.elements / FRAMES).toFixed(2),
+    'canvases/frame': (page.counts.canvases / FRAMES).toFixed(2),
+    'style writes/frame': (page.counts.styleWrites / FRAMES).toFixed(1)
+  };
+}
+
+const rows = [];
+for (const changes of [1, CHANGES_PER_FRAME]) {
+  for (const style of STYLES) {
+    rows.push(runStrategy('rebuild', style, changes));
+    rows.push(runStrategy('pooled', style, changes));
+  }
+}
+
+console.log(`${FRAMES} frames, ${FACES} faces moving every frame (fake DOM: script cost only)`);
+console.table(rows);
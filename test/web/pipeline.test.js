@@ -0,0 +1,261 @@
+/**
+ * Detection loop end to end: fixture detector -> tracking -> 'facesDetected'
+ * event and blur overlay (face_detection.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+const FACE_KEYPOINTS = ['rightEye', 'leftEye', 'noseTip', 'mouth', 'rightEar', 'leftEar'];
+
+/**
+ * Read an overlay div's position (translate transform) and size as numbers
+ */
+function overlayRect(element) {
+  const [x, y] = element.style.transform.match(/-?[\d.]+/g).map(parseFloat);
+  return {
+    x: x,
+    y: y,
+    width: parseFloat(element.style.width),
+    height: parseFloat(element.style.height)
+  };
+}
+
+function assertRectClose(actual, expected, message) {
+  for (const key of ['x', 'y', 'width', 'height']) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 0.01,
+      `${message}: ${key} is ${actual[key]}, expected ${expected[key]}`);
+  }
+}
+
+/**
+ * Start a page with solid redaction (no pixelate canvases in the overlay)
+ */
+async function startPage(options) {
+  const page = createPage(options);
+  page.context.setRedactionSettings({ enabled: true, style: 'solid' });
+  await page.start();
+  return page;
+}
+
+test('facesDetected carries the version 2 result', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  const [result] = page.events('facesDetected');
+
+  assert.equal(result.version, 2);
+  assert.deepEqual(result.frame, {
+    index: 1, timestamp: 0, mediaTime: 0, width: 640, height: 480, mirrored: true, detected: true
+  });
+  assert.equal(result.faces.length, 2);
+
+  for (const face of result.faces) {
+    assert.deepEqual(Object.keys(face).sort(), [
+      'allowed', 'canvas', 'confidence', 'height', 'id', 'keypoints',
+      'missedFrames', 'normalized', 'width', 'x', 'y'
+    ]);
+    assert.equal(typeof face.id, 'number');
+    assert.equal(face.missedFrames, 0);
+    assert.equal(face.allowed, false);
+    assert.deepEqual(face.keypoints.map((point) => point.name), FACE_KEYPOINTS);
+    for (const point of face.keypoints) {
+      assert.deepEqual(point.normalized, {
+        x: Math.round((point.x / 640) * 10000) / 10000,
+        y: Math.round((point.y / 480) * 10000) / 10000
+      });
+    }
+  }
+  assert.notEqual(result.faces[0].id, result.faces[1].id);
+
+  const face = result.faces[0];
+  assert.deepEqual([face.x, face.y, face.width, face.height, face.confidence], [420, 120, 120, 140, 0.95]);
+  assert.deepEqual(face.normalized, { x: 0.6563, y: 0.25, width: 0.1875, height: 0.2917 });
+  // Default 640x480 canvas with 'cover': canvas pixels equal natural pixels
+  assert.deepEqual(face.canvas, { x: 420, y: 120, width: 120, height: 140 });
+  page.stop();
+});
+
+test('mirrors front camera faces and keeps rear camera faces as captured', async () => {
+  const front = await startPage({ fixture: 'two_faces.json' });
+  const [frontResult] = front.events('facesDetected');
+  assert.equal(frontResult.frame.mirrored, true);
+  assert.equal(frontResult.faces[0].x, 640 - (100 + 120));
+  assert.equal(frontResult.faces[0].keypoints[0].x, 640 - 136);
+  front.stop();
+
+  const rear = await startPage({ fixture: 'rear_camera.json' });
+  const [rearResult] = rear.events('facesDetected');
+  assert.equal(rearResult.frame.mirrored, false);
+  assert.equal(rearResult.faces[0].x, 200);
+  assert.equal(rearResult.faces[0].keypoints[0].x, 290);
+  rear.stop();
+});
+
+test('clamps and filters faces before they are reported', async () => {
+  const page = await startPage({ fixture: 'edge_faces.json' });
+  const [result] = page.events('facesDetected');
+
+  assert.deepEqual(result.faces.map((face) => [face.x, face.y, face.width, face.height]), [
+    [0, 50, 100, 100],
+    [300, 420, 100, 60]
+  ]);
+  page.stop();
+});
+
+test('keeps face IDs across frames and holds a face after it is lost', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  await page.nextFrame();
+  await page.nextFrame();
+
+  const results = page.events('facesDetected');
+  assert.equal(results.length, 3);
+  const ids = results.map((result) => result.faces.map((face) => face.id));
+  assert.deepEqual(ids[1], ids[0]);
+  assert.deepEqual(ids[2], ids[0]);
+  assert.deepEqual(results[2].faces.map((face) => face.missedFrames), [0, 1]);
+  assert.deepEqual(results.map((result) => result.frame.index), [1, 2, 3]);
+  assert.equal(page.detectCalls.length, 3);
+  page.stop();
+});
+
+test('places one overlay per face, mirrored like the preview', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  const overlays = page.overlays();
+
+  assert.equal(overlays.length, 2);
+  assertRectClose(overlayRect(overlays[0]), { x: 420, y: 120, width: 120, height: 140 }, 'first face');
+  assertRectClose(overlayRect(overlays[1]), { x: 160, y: 100, width: 80, height: 90 }, 'second face');
+  page.stop();
+});
+
+test('removes overlays when redaction is disabled', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  page.context.setRedactionSettings({ enabled: false });
+  page.context.updateBlurOverlay();
+
+  assert.equal(page.overlays().length, 0);
+  page.stop();
+});
+
+// Rear camera fixture: 1280x720 frame, one face at (200, 150) 300x340, unmirrored
+const PLACEMENT_CASES = [
+  {
+    name: 'cover, same aspect ratio',
+    canvas: [640, 360, 0, 0],
+    expected: { x: 100, y: 75, width: 150, height: 170 }
+  },
+  {
+    name: 'cover, square canvas with offset (cropped at the left edge)',
+    canvas: [400, 400, 10, 20],
+    expected: { x: 10, y: 20 + 150 * (400 / 720), width: (500 * 400 / 720) - (1280 * 400 / 720 - 400) / 2, height: 340 * (400 / 720) }
+  },
+  {
+    name: 'contain, square canvas (letterboxed)',
+    objectFit: 'contain',
+    canvas: [400, 400, 0, 0],
+    expected: { x: 62.5, y: 87.5 + 46.875, width: 93.75, height: 106.25 }
+  },
+  {
+    name: 'fill, stretched',
+    objectFit: 'fill',
+    canvas: [320, 360, 5, 5],
+    expected: { x: 5 + 50, y: 5 + 75, width: 75, height: 170 }
+  },
+  {
+    name: 'cover, rotated 90 degrees',
+    canvas: [360, 640, 0, 0, 90],
+    expected: { x: 115, y: 100, width: 170, height: 150 }
+  },
+  {
+    name: 'cover, rotated 180 degrees',
+    canvas: [640, 360, 0, 0, 180],
+    expected: { x: 640 - 250, y: 360 - 245, width: 150, height: 170 }
+  }
+];
+
+for (const placement of PLACEMENT_CASES) {
+  test(`overlay placement: ${placement.name}`, async () => {
+    const page = await startPage({ fixture: 'rear_camera.json', objectFit: placement.objectFit });
+    page.context.updateCanvasDimensions(...placement.canvas);
+    page.context.updateBlurOverlay();
+
+    const overlays = page.overlays();
+    assert.equal(overlays.length, 1);
+    assertRectClose(overlayRect(overlays[0]), placement.expected, placement.name);
+    page.stop();
+  });
+}
+
+test('drops overlays for faces cropped out of view', async () => {
+  const page = await startPage({ fixture: 'rear_camera.json' });
+  // Tall canvas with 'cover' shows only the middle of the frame; the face is left of it
+  page.context.updateCanvasDimensions(100, 720, 0, 0);
+  page.context.updateBlurOverlay();
+
+  assert.equal(page.overlays().length, 0);
+  page.stop();
+});
+
+test('reuses overlay elements and mosaic canvases across frames', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  page.context.setRedactionSettings({ enabled: true, style: 'pixelate' });
+  await page.start();
+  const [first, second] = page.overlays();
+  const canvases = [first.children[0], second.children[0]];
+  assert.equal(canvases[0].tagName, 'CANVAS');
+
+  await page.nextFrame();
+  const overlays = page.overlays();
+  assert.equal(overlays[0], first);
+  assert.equal(overlays[1], second);
+  assert.deepEqual(overlays.map((overlay) => overlay.children[0]), canvases);
+
+  // A style without a mosaic keeps the element and drops its canvas
+  page.context.setRedactionSettings({ style: 'solid' });
+  page.context.updateBlurOverlay();
+  assert.equal(page.overlays()[0], first);
+  assert.equal(first.children.length, 0);
+  page.stop();
+});
+
+test('batches overlay changes outside the loop into the next animation frame', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  page.context.setRedactionSettings({ style: 'blur' });
+  page.context.setRedactionSettings({ enabled: false });
+
+  // Nothing written yet, one frame requested besides the detection loop's
+  assert.equal(page.overlays().length, 2);
+  assert.equal(page.openResources().animationFrames, 2);
+
+  await page.runFrame();
+  assert.equal(page.overlays().length, 0);
+  page.stop();
+});
+
+test('draws the output from the frame the faces were detected in', async () => {
+  const page = await startPage({ fixture: 'two_faces.json' });
+  const detected = page.detectCalls[0].frame;
+  assert.equal(detected.tagName, 'CANVAS');
+  assert.deepEqual([detected.width, detected.height], [640, 480]);
+
+  // The output draws that copy, never the live video, which may have moved on
+  const output = page.document.getElementById('anonymizedCanvas').getContext('2d');
+  const drawn = output.calls.filter((call) => call.method === 'drawImage').map((call) => call.args[0]);
+  assert.equal(drawn[0], detected);
+  assert.ok(!drawn.includes(page.video));
+  page.stop();
+});
+
+test('reports canvas rects for the current layout', async () => {
+  const page = await startPage({ fixture: 'rear_camera.json' });
+  page.context.updateCanvasDimensions(640, 360, 0, 0);
+  await page.runFrame();
+  page.video.currentTime = 0.033;
+  await page.runFrame();
+
+  const results = page.events('facesDetected');
+  assert.deepEqual(results[results.length - 1].faces[0].canvas, { x: 100, y: 75, width: 150, height: 170 });
+  page.stop();
+});
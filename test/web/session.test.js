@@ -0,0 +1,133 @@
+/**
+ * Several sessions on one page: separate videos, overlays scoped to their
+ * containers, settings and events (face_session.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, plain, settle } = require('./harness');
+
+/**
+ * A video that already plays a 640x480 source, shown at 320x240 inside a container
+ */
+function createSessionView(page, offsetX, offsetY) {
+  const container = page.document.createElement('div');
+  page.document.body.appendChild(container);
+  const video = page.document.createElement('video');
+  Object.assign(video, {
+    videoWidth: 640,
+    videoHeight: 480,
+    readyState: 4,
+    clientWidth: 320,
+    clientHeight: 240,
+    offsetLeft: offsetX,
+    offsetTop: offsetY
+  });
+  container.appendChild(video);
+  return { container: container, video: video };
+}
+
+/**
+ * Create and start a session on a view; returns the session and the results it emitted
+ */
+async function startSession(page, view, redaction) {
+  const session = page.context.createFaceSession({
+    video: view.video,
+    camera: false,
+    container: view.container,
+    redaction: redaction
+  });
+  const results = [];
+  session.addEventListener('facesDetected', (event) => results.push(plain(event.detail)));
+  await session.start({ backend: 'fixture' });
+  await settle();
+  return { session: session, results: results };
+}
+
+function overlayRoot(view) {
+  return view.container.children.find((child) => child.className === 'facepixel-overlay-root');
+}
+
+test('sessions draw overlays into their own containers', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const left = createSessionView(page, 0, 0);
+  const right = createSessionView(page, 100, 20);
+
+  const first = await startSession(page, left, { enabled: true, style: 'solid' });
+  const second = await startSession(page, right, { enabled: true, style: 'solid' });
+
+  assert.equal(first.results.length, 1);
+  assert.equal(second.results.length, 1);
+  assert.notEqual(first.session.id, second.session.id);
+
+  // Session events stay on the session, Flutter's window listeners see nothing
+  assert.deepEqual(page.events('facesDetected'), []);
+  assert.deepEqual(page.overlays(), []);
+
+  for (const view of [left, right]) {
+    const root = overlayRoot(view);
+    assert.equal(root.style.position, 'absolute');
+    assert.equal(view.container.style.position, 'relative');
+    assert.equal(root.children.length, 2);
+    assert.equal(root.children[0].style.position, 'absolute');
+  }
+
+  // The first fixture face (100, 120, 120x140), scaled by 0.5 into the video's box
+  const face = right.container.children[1].children[0].style;
+  assert.deepEqual([face.transform, face.width, face.height], ['translate(150px, 80px)', '60px', '70px']);
+  assert.equal(overlayRoot(left).children[0].style.transform, 'translate(50px, 60px)');
+
+  first.session.stop();
+  second.session.stop();
+});
+
+test('sessions keep separate settings and lifecycles', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const left = createSessionView(page, 0, 0);
+  const right = createSessionView(page, 0, 0);
+
+  const first = await startSession(page, left, { enabled: true, style: 'solid' });
+  const second = await startSession(page, right);
+
+  assert.equal(overlayRoot(left).children.length, 2);
+  assert.equal(overlayRoot(right).children.length, 0);
+  assert.equal(first.session.getRedactionSettings().style, 'solid');
+  assert.equal(second.session.getRedactionSettings().enabled, false);
+  assert.equal(page.context.getRedactionSettings().enabled, false);
+
+  first.session.addRegion({ shape: 'rect', x: 0.5, y: 0.5, width: 0.2, height: 0.2 });
+  assert.equal(first.session.getRegions().length, 1);
+  assert.deepEqual(plain(second.session.getRegions()), []);
+
+  // Stopping one session leaves the other running on its own video
+  first.session.stop();
+  assert.equal(first.session.isRunning(), false);
+  assert.equal(second.session.isRunning(), true);
+
+  right.video.currentTime = 0.1;
+  await page.runFrame();
+  assert.equal(first.results.length, 1);
+  assert.equal(second.results.length, 2);
+
+  second.session.stop();
+});
+
+test('the default session keeps the window API and events', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const view = createSessionView(page, 0, 0);
+  const other = await startSession(page, view, { enabled: true, style: 'solid' });
+
+  page.context.setRedactionSettings({ enabled: true, style: 'solid' });
+  await page.start();
+
+  assert.equal(page.events('facesDetected').length, 1);
+  assert.equal(page.overlays().length, 2);
+  assert.equal(other.results.length, 1);
+  assert.equal(page.evaluate('defaultSession').isRunning(), true);
+
+  page.stop();
+  assert.equal(other.session.isRunning(), true);
+  other.session.stop();
+});
@@ -0,0 +1,77 @@
+/**
+ * Tracked boxes: coverage and hold time (face_tracking.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, plain } = require('./harness');
+
+const page = createPage();
+const face = (x, y) => ({ x: x, y: y, width: 100, height: 100, confidence: 0.9 });
+const boxOf = (tracked) => [tracked.x, tracked.y, tracked.width, tracked.height];
+
+test('the reported box covers the raw detection of a moving face', () => {
+  const tracker = page.context.createFaceTracker({ smoothing: 0.5 });
+  tracker.update([face(100, 100)], 0);
+
+  // Smoothed box lags at x=130, the face is already at x=160
+  const [moved] = plain(tracker.update([face(160, 100)], 33));
+  assert.deepEqual(boxOf(moved), [130, 100, 130, 100]);
+
+  // Moving back, the box still reaches both the smoothed and the raw position
+  const [back] = plain(tracker.update([face(100, 100)], 66));
+  assert.deepEqual(boxOf(back), [100, 100, 115, 100]);
+});
+
+test('predicted frames move the raw detection with the track', () => {
+  const tracker = page.context.createFaceTracker({ smoothing: 0.5 });
+  tracker.update([face(100, 100)], 0);
+  tracker.update([face(160, 100)], 33);
+
+  const [predicted] = plain(tracker.predict());
+  assert.deepEqual(boxOf(predicted), [160, 100, 130, 100]);
+});
+
+test('holds a lost face for holdMs however many detection passes run', () => {
+  const tracker = page.context.createFaceTracker({ holdMs: 350 });
+  tracker.update([face(100, 100)], 0);
+
+  // Twenty missed passes within the hold time
+  for (let time = 10; time <= 200; time += 10) {
+    assert.equal(tracker.update([], time).length, 1);
+  }
+  const [held] = plain(tracker.update([], 350));
+  assert.equal(held.missedFrames, 21);
+  assert.deepEqual(boxOf(held), [100, 100, 100, 100]);
+
+  // The next pass past the hold time drops it
+  assert.equal(tracker.update([], 351).length, 0);
+});
+
+test('a single missed pass is held even when it comes after the hold time', () => {
+  const tracker = page.context.createFaceTracker({ holdMs: 350 });
+  tracker.update([face(100, 100)], 0);
+
+  assert.equal(tracker.update([], 500).length, 1);
+  assert.equal(tracker.update([], 1000).length, 0);
+});
+
+test('setOptions ignores invalid values and clamps the rest', () => {
+  const tracker = page.context.createFaceTracker();
+  const defaults = plain(tracker.setOptions({}));
+
+  // Neither a string smoothing nor a string hold reaches the tracker
+  assert.deepEqual(plain(tracker.setOptions({ smoothing: 'x', holdMs: 'abc', iouThreshold: NaN })), defaults);
+  tracker.update([face(100, 100)], 0);
+  const [moved] = plain(tracker.update([face(160, 100)], 33));
+  assert.deepEqual(boxOf(moved), [130, 100, 130, 100]);
+  assert.equal(tracker.update([], 200).length, 1);
+  assert.equal(tracker.update([], 300).length, 1);
+
+  const clamped = plain(tracker.setOptions({ smoothing: 4, holdMs: -10, maxPredictFrames: 2.6 }));
+  assert.equal(clamped.smoothing, 1);
+  assert.equal(clamped.holdMs, 0);
+  assert.equal(clamped.maxPredictFrames, 3);
+});
@@ -0,0 +1,169 @@
+/**
+ * Off-main-thread detection: worker results, ordering, crashes and disposal
+ * (face_detection_worker_client.js)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./harness');
+
+/**
+ * Replace Worker with a fake that runs the fixture detector
+ * Every detection "takes" options.inferenceMs on the page clock. With
+ * options.manual, detect messages wait in worker.queue until replied to.
+ * @returns {object[]} Workers created so far
+ */
+function installFakeWorker(page, options) {
+  const settings = Object.assign({ inferenceMs: 0, manual: false }, options);
+  const workers = [];
+  const fixtureDetector = page.evaluate('FaceDetectorBackends').create('fixture');
+
+  page.context.OffscreenCanvas = function () {};
+  page.context.createImageBitmap = (frame) => Promise.resolve({ frame: frame, closed: false, close() { this.closed = true; } });
+  page.context.Worker = function (url) {
+    const worker = {
+      url: url,
+      onmessage: null,
+      onerror: null,
+      queue: [],
+      terminated: false,
+      postMessage: function (message) {
+        if (message.type === 'init') {
+          setImmediate(() => worker.onmessage({ data: { type: 'ready', config: { modelRange: 'short', delegate: 'CPU' } } }));
+        } else if (message.type === 'detect') {
+          worker.queue.push(message);
+          if (!settings.manual) {
+            worker.reply(message);
+          }
+        } else if (message.type === 'dispose') {
+          worker.terminated = true;
+        }
+      },
+      terminate: function () {
+        worker.terminated = true;
+      },
+      reply: function (message, boxes) {
+        worker.queue = worker.queue.filter((entry) => entry !== message);
+        const result = boxes ? Promise.resolve(boxes) : fixtureDetector.detect(message.frame);
+        result.then((found) => setImmediate(() => {
+          page.advanceClock(settings.inferenceMs);
+          worker.onmessage({ data: { type: 'result', frameId: message.frameId, timestamp: message.timestamp, boxes: found } });
+        }));
+      }
+    };
+    workers.push(worker);
+    return worker;
+  };
+  return workers;
+}
+
+test('keeps every result from a worker slower than the frame rate', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  installFakeWorker(page, { inferenceMs: 400 });
+  page.context.setWorkerDetection(true);
+  page.context.setRedactionSettings({ enabled: true, style: 'solid' });
+  await page.start();
+  while (await page.nextFrame()) {
+    // Every fixture frame
+  }
+
+  const results = page.events('facesDetected');
+  assert.equal(results.length, 3);
+  assert.equal(page.context.getDetectorOptions().worker, true);
+  assert.equal(results[0].faces.length, 2);
+  assert.equal(page.overlays().length, 2);
+  assert.equal(page.evaluate('defaultSession').getFailSafeState().closed, false);
+  page.stop();
+});
+
+test('drops a result only when a newer frame came back first', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const workers = installFakeWorker(page, { manual: true });
+  const adapter = page.context.createWorkerDetectorAdapter('fixture');
+  await adapter.init({});
+  const worker = workers[0];
+
+  const older = adapter.detect(page.video, 0);
+  const newer = adapter.detect(page.video, 33);
+  await settle();
+  const [olderMessage, newerMessage] = worker.queue;
+
+  worker.reply(newerMessage, [{ x: 1, y: 2, width: 30, height: 30 }]);
+  assert.equal((await newer).length, 1);
+  worker.reply(olderMessage, [{ x: 1, y: 2, width: 30, height: 30 }]);
+  assert.equal(await older, null);
+  adapter.dispose();
+});
+
+test('detect rejects once the worker is disposed', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const workers = installFakeWorker(page, { manual: true });
+  const backends = page.evaluate('FaceDetectorBackends');
+  const create = backends.create;
+  let built = 0;
+  backends.create = (name) => {
+    built++;
+    return create(name);
+  };
+  const adapter = page.context.createWorkerDetectorAdapter('fixture');
+  assert.equal(adapter.capabilities.worker, true);
+  assert.equal(adapter.capabilities.keypoints, true);
+  await adapter.init({});
+
+  // Pending, in flight (bitmap being created) and new frames
+  const pending = adapter.detect(page.video, 0);
+  await settle();
+  const inFlight = adapter.detect(page.video, 33);
+  adapter.dispose();
+
+  await assert.rejects(pending, /disposed/);
+  await assert.rejects(inFlight, /disposed/);
+  await assert.rejects(adapter.detect(page.video, 66), /disposed/);
+  assert.equal(workers[0].terminated, true);
+  assert.equal(workers[0].queue.length, 1);
+  // Reading the capabilities built no main-thread adapter
+  assert.equal(built, 0);
+});
+
+test('a worker crash after init rejects pending and later frames', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const workers = installFakeWorker(page, { manual: true });
+  page.context.setWorkerDetection(true);
+  await page.start();
+  await page.runFrame();
+  const worker = workers[0];
+  assert.equal(worker.queue.length, 1);
+
+  worker.onerror({ message: 'out of memory' });
+  assert.equal(worker.terminated, true);
+
+  // The waiting frame and every later one fail instead of stalling the loop
+  const failSafe = () => page.evaluate('defaultSession').getFailSafeState();
+  await settle();
+  assert.equal(failSafe().consecutiveErrors, 1);
+  for (let i = 0; i < 2; i++) {
+    page.video.currentTime += 1 / 30;
+    page.advanceClock(33);
+    await page.runFrame();
+  }
+  assert.equal(failSafe().consecutiveErrors, 3);
+  assert.match(failSafe().lastError, /out of memory/);
+  assert.equal(worker.queue.length, 1);
+  page.stop();
+});
+
+test('warnings and errors logged in the worker reach the page log', async () => {
+  const page = createPage({ fixture: 'two_faces.json' });
+  const workers = installFakeWorker(page, { manual: true });
+  const adapter = page.context.createWorkerDetectorAdapter('fixture');
+  await adapter.init({});
+
+  const entry = { timestamp: 1, level: 'error', tag: 'web', message: 'Detection error', error: { name: 'Error', message: 'crashed', stack: null } };
+  workers[0].onmessage({ data: { type: 'log', entry: entry } });
+  const logged = page.evaluate('AppLogger').getEntries().pop();
+  assert.equal(logged.message, 'Detection error');
+  assert.equal(logged.error.message, 'crashed');
+  adapter.dispose();
+});
@@ -0,0 +1,310 @@
+/**
+ * Face allowlist
+ * Lets the user keep chosen people (a streamer, an interviewer) unredacted
+ * while everyone else stays anonymized. Enrolling a face binds its entry to
+ * the face's tracking ID; when that track ends, new faces are compared with
+ * the entry's signature so the exemption follows the person back into view.
+ * A face is only exempted again after confirmMatches consecutive checks, and
+ * a track the tracker continued by centroid distance alone (it may now be
+ * someone else) loses its exemption until it is re-identified.
+ *
+ * The signature is a deliberately small on-device descriptor: the face crop
+ * scaled to SIGNATURE_SIZE x SIGNATURE_SIZE grayscale, normalized for
+ * brightness and contrast and compared by cosine similarity. It tells a few
+ * people in one session apart; it is not a face recognizer and never leaves
+ * the page.
+ */
+
+// Logger, face_transform.js, face_detection_adapters.js and face_tracking.js
+// required to be loaded before this script
+
+// Side of the grayscale thumbnail used as the signature
+const SIGNATURE_SIZE = 16;
+
+const DEFAULT_ALLOWLIST_OPTIONS = {
+  matchThreshold: 0.93,   // Cosine similarity needed to re-identify a person
+  confirmMatches: 3,      // Consecutive matching checks before a face is exempted
+  probeInterval: 10,      // Frames between signature checks of an unknown face
+  refreshInterval: 30,    // Frames between signature refreshes of a followed face
+  refreshWeight: 0.1      // Share of a refreshed signature blended into the stored one
+};
+
+/**
+ * Compute the signature of a face
+ * @param {CanvasRenderingContext2D} ctx - Scratch context of SIGNATURE_SIZE px
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source - Raw frame
+ * @param {object} face - Box in natural coordinates
+ * @param {boolean} mirrored - Whether natural space is mirrored
+ * @returns {Float32Array|null} Unit-length vector, or null for a flat crop
+ */
+function computeFaceSignature(ctx, source, face, mirrored) {
+  const region = mirrorRect(face, getFrameSize(source).width, mirrored);
+  if (region.width <= 0 || region.height <= 0) {
+    return null;
+  }
+
+  applyMirrorTransform(ctx, SIGNATURE_SIZE, mirrored);
+  ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  const pixels = ctx.getImageData(0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE).data;
+
+  const vector = new Float32Array(SIGNATURE_SIZE * SIGNATURE_SIZE);
+  let mean = 0;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+    mean += vector[i];
+  }
+  mean /= vector.length;
+
+  // Zero mean and unit length: brightness and contrast changes cancel out
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] -= mean;
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm < 1e-6) {
+    return null;
+  }
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two unit-length signatures
+ * @returns {number} -1 to 1
+ */
+function signatureSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Blend a fresh signature into a stored one and renormalize
+ */
+function blendSignature(stored, fresh, weight) {
+  let norm = 0;
+  for (let i = 0; i < stored.length; i++) {
+    stored[i] = stored[i] * (1 - weight) + fresh[i] * weight;
+    norm += stored[i] * stored[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < stored.length; i++) {
+      stored[i] /= norm;
+    }
+  }
+}
+
+/**
+ * Create a face allowlist
+ * @param {object} options - See DEFAULT_ALLOWLIST_OPTIONS
+ * @returns {object} Allowlist with enroll(), remove(), clear(), list(), apply()
+ */
+function createFaceAllowlist(options) {
+  const settings = Object.assign({}, DEFAULT_ALLOWLIST_OPTIONS, options);
+  const scratchCanvas = document.createElement('canvas');
+  scratchCanvas.width = SIGNATURE_SIZE;
+  scratchCanvas.height = SIGNATURE_SIZE;
+  const scratchCtx = scratchCanvas.getContext('2d', { willReadFrequently: true });
+
+  let entries = [];
+  let nextEntryId = 1;
+  let frameIndex = 0;
+  // Track ID -> frame index of its last signature check
+  let lastProbe = new Map();
+  // Track ID -> { entry, matches } for a face matching a lost entry so far
+  let candidates = new Map();
+
+  function describe(entry) {
+    return {
+      id: entry.id,
+      label: entry.label,
+      trackId: entry.trackId,
+      hasSignature: entry.signature !== null,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * Give lost entries a chance to claim an unknown face
+   */
+  function reidentify(faces, source, mirrored, boundIds) {
+    const lostEntries = entries.filter((entry) => entry.trackId === null && entry.signature !== null);
+    if (lostEntries.length === 0) {
+      return;
+    }
+
+    for (const face of faces) {
+      if (boundIds.has(face.id)) {
+        continue;
+      }
+      const probedAt = lastProbe.get(face.id);
+      if (probedAt !== undefined && frameIndex - probedAt < settings.probeInterval) {
+        continue;
+      }
+      lastProbe.set(face.id, frameIndex);
+
+      const signature = computeFaceSignature(scratchCtx, source, face, mirrored);
+      if (!signature) {
+        continue;
+      }
+
+      let best = null;
+      let bestScore = settings.matchThreshold;
+      for (const entry of lostEntries) {
+        if (entry.trackId !== null) {
+          continue;
+        }
+        const score = signatureSimilarity(entry.signature, signature);
+        if (score >= bestScore) {
+          bestScore = score;
+          best = entry;
+        }
+      }
+
+      // One similar crop is not enough: the same entry has to win every check in a row
+      const candidate = candidates.get(face.id);
+      if (!best) {
+        candidates.delete(face.id);
+        continue;
+      }
+      const matches = candidate && candidate.entry === best ? candidate.matches + 1 : 1;
+      if (matches < settings.confirmMatches) {
+        candidates.set(face.id, { entry: best, matches: matches });
+        continue;
+      }
+
+      candidates.delete(face.id);
+      best.trackId = face.id;
+      best.lastRefresh = frameIndex;
+      boundIds.add(face.id);
+      AppLogger.info(`Allowed face ${best.id} recognized as track ${face.id} ` +
+        `(similarity ${bestScore.toFixed(2)}, ${matches} checks)`, 'web');
+    }
+  }
+
+  return {
+    /**
+     * Exempt a tracked face from redaction
+     * @param {object} face - Tracked face in natural coordinates (needs id)
+     * @param {HTMLVideoElement|HTMLImageElement} source - Current raw frame for the signature
+     * @param {boolean} mirrored - Whether natural space is mirrored
+     * @param {string} label - Optional name shown in Flutter
+     * @returns {object} The entry
+     */
+    enroll: function (face, source, mirrored, label) {
+      const existing = entries.find((entry) => entry.trackId === face.id);
+      if (existing) {
+        return describe(existing);
+      }
+
+      const entry = {
+        id: nextEntryId++,
+        label: label || `Person ${nextEntryId - 1}`,
+        trackId: face.id,
+        signature: source ? computeFaceSignature(scratchCtx, source, face, mirrored) : null,
+        lastRefresh: frameIndex,
+        createdAt: Date.now()
+      };
+      entries.push(entry);
+      if (!entry.signature) {
+        AppLogger.warning(`Allowed face ${entry.id} has no signature; it only follows its track`, 'web');
+      }
+      return describe(entry);
+    },
+
+    /**
+     * @param {number} id - Entry ID
+     * @returns {boolean} Whether an entry was removed
+     */
+    remove: function (id) {
+      const count = entries.length;
+      entries = entries.filter((entry) => entry.id !== id);
+      for (const [trackId, candidate] of candidates) {
+        if (candidate.entry.id === id) {
+          candidates.delete(trackId);
+        }
+      }
+      return entries.length !== count;
+    },
+
+    clear: function () {
+      entries = [];
+      lastProbe = new Map();
+      candidates = new Map();
+    },
+
+    /**
+     * @returns {object[]} [{ id, label, trackId, hasSignature, createdAt }]
+     */
+    list: function () {
+      return entries.map(describe);
+    },
+
+    /**
+     * Follow entries across the current frame and flag exempt faces
+     * @param {object[]} faces - Tracked faces for the frame
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source - Frame the faces were found in
+     * @param {boolean} mirrored - Whether natural space is mirrored
+     * @returns {object[]} Faces, with allowed: true on exempt ones
+     */
+    apply: function (faces, source, mirrored) {
+      frameIndex++;
+      if (entries.length === 0) {
+        return faces;
+      }
+
+      const presentIds = new Set(faces.map((face) => face.id));
+      const guessedIds = new Set(faces.filter((face) => face.centroidMatched).map((face) => face.id));
+      const boundIds = new Set();
+      for (const id of guessedIds) {
+        // Whoever the track continues with now has to be identified from scratch
+        candidates.delete(id);
+        lastProbe.delete(id);
+      }
+      for (const entry of entries) {
+        if (entry.trackId !== null && !presentIds.has(entry.trackId)) {
+          AppLogger.debug(`Allowed face ${entry.id} lost track ${entry.trackId}`, 'web');
+          entry.trackId = null;
+        } else if (entry.trackId !== null && guessedIds.has(entry.trackId)) {
+          AppLogger.debug(`Allowed face ${entry.id} dropped track ${entry.trackId} after a centroid match`, 'web');
+          entry.trackId = null;
+        }
+        if (entry.trackId !== null) {
+          boundIds.add(entry.trackId);
+        }
+      }
+
+      reidentify(faces, source, mirrored, boundIds);
+
+      for (const id of lastProbe.keys()) {
+        if (!presentIds.has(id)) {
+          lastProbe.delete(id);
+          candidates.delete(id);
+        }
+      }
+
+      return faces.map((face) => {
+        const entry = entries.find((candidate) => candidate.trackId === face.id);
+        if (!entry) {
+          return face;
+        }
+        // Keep the signature current as lighting and pose drift
+        if (entry.signature && frameIndex - entry.lastRefresh >= settings.refreshInterval) {
+          entry.lastRefresh = frameIndex;
+          const fresh = computeFaceSignature(scratchCtx, source, face, mirrored);
+          if (fresh && signatureSimilarity(entry.signature, fresh) >= settings.matchThreshold) {
+            blendSignature(entry.signature, fresh, settings.refreshWeight);
+          }
+        }
+        return Object.assign({}, face, { allowed: true });
+      });
+    }
+  };
+}
@@ -0,0 +1,699 @@
+/**
+ * FacePixel bridge
+ * The one versioned entry point for Flutter (and any other host page) into
+ * the web pipeline. Clients check the protocol version first, then send
+ * commands and subscribe to events:
+ *
+ *   const { capabilities } = await FacePixel.handshake(1);
+ *   await FacePixel.call('setRedactionSettings', { enabled: true, style: 'blur' });
+ *   const id = FacePixel.subscribe('facesDetected', (result) => { ... });
+ *   FacePixel.unsubscribe(id);
+ *
+ * Every command returns a Promise. Failures reject with an Error whose name
+ * is 'FacePixelError' and whose code is one of FACEPIXEL_ERROR_CODES; details
+ * holds extra data (e.g. the camera status) and cause the original error.
+ *
+ * The window globals this replaces (startApp, setRedactionSettings, ...) keep
+ * working but are deprecated; each command names the global it replaces.
+ */
+
+// All pipeline scripts required to be loaded before this script
+
+// Bumped on breaking changes to command names, parameters, results or events
+const FACEPIXEL_PROTOCOL_VERSION = 1;
+
+const FACEPIXEL_ERROR_CODES = {
+  UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',  // Client expects another protocol version
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  INVALID_STATE: 'INVALID_STATE',    // e.g. pause before start, stopRecording while idle
+  NOT_READY: 'NOT_READY',            // Needs the camera and output, call 'start' first
+  NOT_SUPPORTED: 'NOT_SUPPORTED',    // Browser lacks the feature
+  NOT_FOUND: 'NOT_FOUND',            // No face, region or allowlist entry with that ID
+  CAMERA_ERROR: 'CAMERA_ERROR',
+  DETECTOR_ERROR: 'DETECTOR_ERROR',
+  INTERNAL: 'INTERNAL'
+};
+
+// Window CustomEvents clients may subscribe to; the callback gets event.detail
+const FACEPIXEL_EVENTS = [
+  'facesDetected',
+  'faceDetectionError',
+  'cameraStatus',
+  'cameraSettingsChanged',
+  'detectorConfigChanged',
+  'detectionGovernor',
+  'detectionStats',
+  'failSafeState',
+  'redactionRegionsChanged',
+  'allowlistChanged',
+  'recordingStateChanged',
+  'fileProgress',
+  'sessionState'
+];
+
+/**
+ * Create a typed bridge error
+ * @param {string} code - One of FACEPIXEL_ERROR_CODES
+ * @param {string} message - Human readable description
+ * @param {object} extra - Optional { details, cause }
+ * @returns {Error}
+ */
+function createFacePixelError(code, message, extra) {
+  const error = new Error(message);
+  error.name = 'FacePixelError';
+  error.code = code;
+  error.details = (extra && extra.details) || null;
+  if (extra && extra.cause) {
+    error.cause = extra.cause;
+  }
+  return error;
+}
+
+/**
+ * Read a command's parameter object (missing parameters are an empty object)
+ */
+function readCommandParams(params) {
+  if (params === undefined || params === null) {
+    return {};
+  }
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, 'Command parameters must be an object');
+  }
+  return params;
+}
+
+function requireNumberParam(params, key) {
+  const value = params[key];
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `'${key}' must be a number`);
+  }
+  return value;
+}
+
+/**
+ * An optional parameter must be one of the listed values when it is given
+ * @param {string} what - Name used in the error, e.g. 'redaction style'
+ */
+function requireChoiceParam(params, key, choices, what) {
+  if (params[key] !== undefined && choices.indexOf(params[key]) === -1) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT,
+      `Unknown ${what}: ${params[key]} (expected ${choices.join(', ')})`);
+  }
+}
+
+/**
+ * An options object may only hold keys of its defaults, each with the
+ * default's type (numbers must also be finite)
+ * @param {object} defaults - e.g. DEFAULT_TRACKING_OPTIONS
+ * @param {string} what - Name used in the error, e.g. 'tracking'
+ */
+function requireOptionParams(params, defaults, what) {
+  Object.keys(params).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+      throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unknown ${what} option: ${key}`);
+    }
+    const type = typeof defaults[key];
+    if (type === 'number') {
+      requireNumberParam(params, key);
+    } else if (typeof params[key] !== type) {
+      throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `'${key}' must be a ${type}`);
+    }
+  });
+}
+
+function requireFound(value, message) {
+  if (value === null || value === undefined || value === false) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_FOUND, message);
+  }
+  return value;
+}
+
+/**
+ * @returns {HTMLCanvasElement} The compositor's output, once it has drawn a frame
+ */
+function requireAnonymizedOutput() {
+  const canvas = window.getAnonymizedCanvas();
+  if (!canvas || canvas.width === 0) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_READY, 'Anonymized output is not ready, start the camera first');
+  }
+  return canvas;
+}
+
+/**
+ * Coordinates in canvas px need the video to be shown
+ */
+function requireViewForCanvasSpace(space) {
+  if (space === 'canvas' && !defaultSession.getVideo()) {
+    throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_READY, 'Canvas coordinates need a running camera');
+  }
+}
+
+function requireRegion(id) {
+  return requireFound(defaultSession.getRegions().find((region) => region.id === id), `No redaction region ${id}`);
+}
+
+/**
+ * Wrap a startup failure from FaceSession.start (face_session.js)
+ */
+function startupError(error) {
+  if (error.startupStage === 'camera') {
+    return createFacePixelError(FACEPIXEL_ERROR_CODES.CAMERA_ERROR, String(error.message || error), {
+      details: { status: classifyCameraError(error), errorName: error.name || null },
+      cause: error
+    });
+  }
+  if (error.startupStage === 'detector') {
+    return createFacePixelError(FACEPIXEL_ERROR_CODES.DETECTOR_ERROR, error.message, { cause: error });
+  }
+  return error;
+}
+
+/**
+ * Commands accepted by FacePixel.call()
+ * run(params) returns the result (or a Promise of it). Errors that are not
+ * already FacePixelErrors are reported with the command's failure code.
+ */
+const FACEPIXEL_COMMANDS = {
+  // Lifecycle
+
+  start: {
+    replaces: 'startApp',
+    run: async function (params) {
+      if (params.backend !== undefined && !FaceDetectorBackends.has(params.backend)) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unknown detector backend: ${params.backend}`);
+      }
+      AppLogger.info('Starting face detection application', 'bridge');
+      try {
+        await defaultSession.start({ backend: params.backend, video: params.video });
+      } catch (error) {
+        throw startupError(error);
+      }
+      AppLogger.info('Application startup complete', 'bridge');
+    }
+  },
+
+  stop: {
+    replaces: 'stopFaceDetection',
+    run: function () {
+      stopFaceDetection();
+    }
+  },
+
+  // pause, resume and getSessionState have no window global
+  pause: {
+    replaces: null,
+    run: function () {
+      if (defaultSession.getState() === SESSION_STATES.IDLE) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_STATE, 'Face detection is not running');
+      }
+      defaultSession.pause();
+      return defaultSession.getState();
+    }
+  },
+  resume: {
+    replaces: null,
+    run: function () {
+      if (defaultSession.getState() === SESSION_STATES.IDLE) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_STATE, 'Face detection is not running');
+      }
+      defaultSession.resume();
+      return defaultSession.getState();
+    }
+  },
+  getSessionState: {
+    replaces: null,
+    run: () => defaultSession.getState()
+  },
+
+  /**
+   * Where Flutter lays out the video: { width, height, offsetX, offsetY, rotation }
+   */
+  setCanvasLayout: {
+    replaces: 'updateCanvasDimensions',
+    run: function (params) {
+      const width = requireNumberParam(params, 'width');
+      const height = requireNumberParam(params, 'height');
+      if (params.rotation !== undefined && [0, 90, 180, 270].indexOf(params.rotation) === -1) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, 'rotation must be 0, 90, 180 or 270');
+      }
+      updateCanvasDimensions(width, height, params.offsetX, params.offsetY, params.rotation);
+    }
+  },
+
+  // Redaction
+
+  setRedactionSettings: {
+    replaces: 'setRedactionSettings',
+    run: function (params) {
+      requireChoiceParam(params, 'style', REDACTION_STYLES, 'redaction style');
+      requireChoiceParam(params, 'shape', REDACTION_SHAPES, 'redaction shape');
+      return window.setRedactionSettings(params);
+    }
+  },
+  getRedactionSettings: {
+    replaces: 'getRedactionSettings',
+    run: () => window.getRedactionSettings()
+  },
+
+  // Detector
+
+  setDetectorBackend: {
+    replaces: 'setDetectorBackend',
+    failure: FACEPIXEL_ERROR_CODES.DETECTOR_ERROR,
+    run: async function (params) {
+      if (!FaceDetectorBackends.has(params.backend)) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unknown detector backend: ${params.backend}`);
+      }
+      if (!await window.setDetectorBackend(params.backend)) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.DETECTOR_ERROR, `Detector backend '${params.backend}' failed to load`);
+      }
+      return window.getDetectorOptions();
+    }
+  },
+  setDetectorOptions: {
+    replaces: 'setDetectorOptions',
+    failure: FACEPIXEL_ERROR_CODES.DETECTOR_ERROR,
+    run: function (params) {
+      requireChoiceParam(params, 'modelRange', DETECTOR_MODEL_RANGES, 'model range');
+      // Delegates are accepted in any case, like mergeDetectorOptions does
+      const delegate = typeof params.delegate === 'string' ? params.delegate.toUpperCase() : params.delegate;
+      requireChoiceParam({ delegate: delegate }, 'delegate', DETECTOR_DELEGATES, 'delegate');
+      return window.setDetectorOptions(params);
+    }
+  },
+  getDetectorOptions: {
+    replaces: 'getDetectorOptions',
+    run: () => window.getDetectorOptions()
+  },
+  getDetectorBackends: {
+    replaces: 'getDetectorBackends',
+    run: () => window.getDetectorBackends()
+  },
+  setWorkerDetection: {
+    replaces: 'setWorkerDetection',
+    failure: FACEPIXEL_ERROR_CODES.DETECTOR_ERROR,
+    run: async function (params) {
+      if (!await window.setWorkerDetection(params.enabled)) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.DETECTOR_ERROR, 'Detector failed to reload');
+      }
+      return window.getDetectorOptions();
+    }
+  },
+  setTrackingOptions: {
+    replaces: 'setTrackingOptions',
+    run: function (params) {
+      requireOptionParams(params, DEFAULT_TRACKING_OPTIONS, 'tracking');
+      return window.setTrackingOptions(params);
+    }
+  },
+  setGovernorOptions: {
+    replaces: 'setGovernorOptions',
+    run: function (params) {
+      requireOptionParams(params, DEFAULT_GOVERNOR_OPTIONS, 'governor');
+      return window.setGovernorOptions(params);
+    }
+  },
+  getGovernorState: {
+    replaces: 'getGovernorState',
+    run: () => window.getGovernorState()
+  },
+  setFailSafeOptions: {
+    replaces: 'setFailSafeOptions',
+    run: function (params) {
+      requireChoiceParam(params, 'cover', FAILSAFE_COVERS, 'fail-safe cover');
+      return window.setFailSafeOptions(params);
+    }
+  },
+  getFailSafeState: {
+    replaces: 'getFailSafeState',
+    run: () => window.getFailSafeState()
+  },
+
+  // Camera
+
+  listCameras: {
+    replaces: 'listCameras',
+    failure: FACEPIXEL_ERROR_CODES.CAMERA_ERROR,
+    run: () => window.listCameras()
+  },
+  /**
+   * { deviceId } or { facingMode }; no parameters cycles to the next camera
+   */
+  switchCamera: {
+    replaces: 'switchCamera',
+    failure: FACEPIXEL_ERROR_CODES.CAMERA_ERROR,
+    run: (params) => window.switchCamera(params)
+  },
+  setCameraResolution: {
+    replaces: 'setCameraResolution',
+    failure: FACEPIXEL_ERROR_CODES.CAMERA_ERROR,
+    run: (params) => window.setCameraResolution(requireNumberParam(params, 'width'), requireNumberParam(params, 'height'))
+  },
+  getCameraSettings: {
+    replaces: 'getCameraSettings',
+    run: () => window.getCameraSettings()
+  },
+
+  // Output: frames, recording and streams
+
+  captureAnonymizedFrame: {
+    replaces: 'captureAnonymizedFrame',
+    run: function (params) {
+      requireAnonymizedOutput();
+      return window.captureAnonymizedFrame(params.mimeType, params.quality);
+    }
+  },
+  isRecording: {
+    replaces: 'isRecording',
+    run: () => window.isRecording()
+  },
+  startRecording: {
+    replaces: 'startRecording',
+    run: function (params) {
+      if (window.isRecording()) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_STATE, 'Recording already in progress');
+      }
+      requireAnonymizedOutput();
+      if (!pickRecordingMimeType(params.mimeType)) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_SUPPORTED, 'MediaRecorder is not supported in this browser');
+      }
+      return window.startRecording(params);
+    }
+  },
+  /**
+   * { download, filename }; resolves with the recorded Blob
+   */
+  stopRecording: {
+    replaces: 'stopRecording',
+    run: function (params) {
+      if (!window.isRecording()) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_STATE, 'No recording in progress');
+      }
+      return window.stopRecording(params);
+    }
+  },
+  getAnonymizedStream: {
+    replaces: 'getAnonymizedStream',
+    run: function (params) {
+      if (params.source !== undefined && STREAM_SOURCES.indexOf(params.source) === -1) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unknown stream source: ${params.source}`);
+      }
+      requireAnonymizedOutput();
+      const support = getStreamSupport();
+      if (!support.canvas && !support.generator) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_SUPPORTED, 'MediaStream output is not supported in this browser');
+      }
+      if (params.source && params.source !== 'auto' && !support[params.source]) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.NOT_SUPPORTED, `MediaStream source '${params.source}' is not supported in this browser`);
+      }
+      return window.getAnonymizedStream(params);
+    }
+  },
+  stopAnonymizedStreams: {
+    replaces: 'stopAnonymizedStreams',
+    run: () => window.stopAnonymizedStreams()
+  },
+  getAnonymizedStreamSupport: {
+    replaces: 'getAnonymizedStreamSupport',
+    run: () => window.getAnonymizedStreamSupport()
+  },
+
+  // Manual regions; see window.addRedactionRegion for the region fields
+
+  addRedactionRegion: {
+    replaces: 'addRedactionRegion',
+    run: function (params) {
+      requireChoiceParam(params, 'shape', REGION_SHAPES, 'region shape');
+      requireViewForCanvasSpace(params.space);
+      const region = window.addRedactionRegion(params);
+      if (!region) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, 'Invalid region definition');
+      }
+      return region;
+    }
+  },
+  /**
+   * { id, ...changes }
+   */
+  updateRedactionRegion: {
+    replaces: 'updateRedactionRegion',
+    run: function (params) {
+      requireRegion(params.id);
+      requireChoiceParam(params, 'shape', REGION_SHAPES, 'region shape');
+      requireViewForCanvasSpace(params.space);
+      const changes = Object.assign({}, params);
+      delete changes.id;
+      const region = window.updateRedactionRegion(params.id, changes);
+      if (!region) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, 'Invalid region definition');
+      }
+      return region;
+    }
+  },
+  /**
+   * { id, dx, dy, space }
+   */
+  moveRedactionRegion: {
+    replaces: 'moveRedactionRegion',
+    run: function (params) {
+      requireRegion(params.id);
+      requireViewForCanvasSpace(params.space);
+      return window.moveRedactionRegion(params.id, params.dx, params.dy, params.space);
+    }
+  },
+  removeRedactionRegion: {
+    replaces: 'removeRedactionRegion',
+    run: function (params) {
+      requireFound(window.removeRedactionRegion(params.id), `No redaction region ${params.id}`);
+    }
+  },
+  clearRedactionRegions: {
+    replaces: 'clearRedactionRegions',
+    run: () => window.clearRedactionRegions()
+  },
+  getRedactionRegions: {
+    replaces: 'getRedactionRegions',
+    run: () => window.getRedactionRegions()
+  },
+
+  // Allowlist
+
+  /**
+   * { faceId, label }; faceId is the tracking ID from 'facesDetected'
+   */
+  allowFace: {
+    replaces: 'allowFace',
+    run: (params) => requireFound(window.allowFace(params.faceId, params.label), `Face ${params.faceId} is not in view`)
+  },
+  /**
+   * { x, y, label } in Flutter canvas px
+   */
+  allowFaceAt: {
+    replaces: 'allowFaceAt',
+    run: function (params) {
+      const x = requireNumberParam(params, 'x');
+      const y = requireNumberParam(params, 'y');
+      requireViewForCanvasSpace('canvas');
+      return requireFound(window.allowFaceAt(x, y, params.label), `No face at (${x}, ${y})`);
+    }
+  },
+  disallowFace: {
+    replaces: 'disallowFace',
+    run: function (params) {
+      requireFound(window.disallowFace(params.faceId), `Face ${params.faceId} is not allowed`);
+    }
+  },
+  /**
+   * { id } of an allowlist entry
+   */
+  removeAllowedFace: {
+    replaces: 'removeAllowedFace',
+    run: function (params) {
+      requireFound(window.removeAllowedFace(params.id), `No allowlist entry ${params.id}`);
+    }
+  },
+  clearAllowedFaces: {
+    replaces: 'clearAllowedFaces',
+    run: () => window.clearAllowedFaces()
+  },
+  getAllowedFaces: {
+    replaces: 'getAllowedFaces',
+    run: () => window.getAllowedFaces()
+  },
+
+  // Files
+
+  /**
+   * { file, ...options } where options are those of window.anonymizeFile
+   */
+  anonymizeFile: {
+    replaces: 'anonymizeFile',
+    run: function (params) {
+      const file = params.file;
+      if (!file || typeof file.type !== 'string') {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, "'file' must be a File");
+      }
+      if (!file.type.startsWith('image/') && !file.type.startsWith('video/')) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unsupported file type: ${file.type || 'unknown'}`);
+      }
+      if (fileJobActive) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_STATE, 'A file is already being processed');
+      }
+      const options = Object.assign({}, params);
+      delete options.file;
+      return window.anonymizeFile(file, options);
+    }
+  },
+  /**
+   * Opens the browser's file picker; progress and errors arrive as 'fileProgress'
+   */
+  pickAndAnonymizeFile: {
+    replaces: 'pickAndAnonymizeFile',
+    run: (params) => window.pickAndAnonymizeFile(params)
+  },
+
+  // Logs
+
+  exportLogs: {
+    replaces: 'exportLogs',
+    run: (params) => window.exportLogs(params)
+  },
+  setLogLevel: {
+    replaces: 'setLogLevel',
+    run: function (params) {
+      if (LOG_LEVELS[params.level] === undefined) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, `Unknown log level: ${params.level}`);
+      }
+      return window.setLogLevel(params.level);
+    }
+  },
+  getLogLevel: {
+    replaces: 'getLogLevel',
+    run: () => window.getLogLevel()
+  }
+};
+
+/**
+ * What this build and browser support, sent in the handshake
+ * @returns {object}
+ */
+function describeFacePixelCapabilities() {
+  const stream = getStreamSupport();
+  return {
+    protocolVersion: FACEPIXEL_PROTOCOL_VERSION,
+    commands: Object.keys(FACEPIXEL_COMMANDS),
+    events: FACEPIXEL_EVENTS.slice(),
+    detectorBackends: FaceDetectorBackends.list(),
+    worker: supportsWorkerDetection(),
+    recording: pickRecordingMimeType() !== null,
+    stream: { canvas: stream.canvas, generator: stream.generator },
+    redactionStyles: REDACTION_STYLES.slice(),
+    redactionShapes: REDACTION_SHAPES.slice(),
+    regionShapes: REGION_SHAPES.slice(),
+    failSafeCovers: FAILSAFE_COVERS.slice()
+  };
+}
+
+const FacePixel = (function () {
+  // Subscription ID -> { eventName, listener }
+  const subscriptions = new Map();
+  let nextSubscriptionId = 1;
+
+  return Object.freeze({
+    protocolVersion: FACEPIXEL_PROTOCOL_VERSION,
+    errorCodes: FACEPIXEL_ERROR_CODES,
+
+    /**
+     * Check that this page speaks the client's protocol version
+     * @param {number} clientVersion - FACEPIXEL_PROTOCOL_VERSION the client was built for
+     * @returns {Promise<object>} { protocolVersion, capabilities }; rejects
+     *   with UNSUPPORTED_PROTOCOL on a mismatch
+     */
+    handshake: function (clientVersion) {
+      if (clientVersion !== FACEPIXEL_PROTOCOL_VERSION) {
+        AppLogger.error(`Client expects protocol ${clientVersion}, page provides ${FACEPIXEL_PROTOCOL_VERSION}`, 'bridge');
+        return Promise.reject(createFacePixelError(FACEPIXEL_ERROR_CODES.UNSUPPORTED_PROTOCOL,
+          `Protocol version ${clientVersion} is not supported (page provides ${FACEPIXEL_PROTOCOL_VERSION})`,
+          { details: { supported: [FACEPIXEL_PROTOCOL_VERSION] } }));
+      }
+      AppLogger.info(`Bridge handshake, protocol ${FACEPIXEL_PROTOCOL_VERSION}`, 'bridge');
+      return Promise.resolve({
+        protocolVersion: FACEPIXEL_PROTOCOL_VERSION,
+        capabilities: describeFacePixelCapabilities()
+      });
+    },
+
+    /**
+     * @returns {object} See describeFacePixelCapabilities
+     */
+    getCapabilities: function () {
+      return describeFacePixelCapabilities();
+    },
+
+    /**
+     * Run a command
+     * @param {string} command - Key of FACEPIXEL_COMMANDS
+     * @param {object} params - Command parameters
+     * @returns {Promise<*>} Command result; rejects with a FacePixelError
+     */
+    call: function (command, params) {
+      const spec = Object.prototype.hasOwnProperty.call(FACEPIXEL_COMMANDS, command)
+        ? FACEPIXEL_COMMANDS[command]
+        : null;
+      if (!spec) {
+        return Promise.reject(createFacePixelError(FACEPIXEL_ERROR_CODES.UNKNOWN_COMMAND, `Unknown command: ${command}`));
+      }
+
+      return new Promise((resolve) => resolve(spec.run(readCommandParams(params))))
+        .catch((error) => {
+          if (error && error.name === 'FacePixelError') {
+            throw error;
+          }
+          const code = spec.failure || FACEPIXEL_ERROR_CODES.INTERNAL;
+          AppLogger.error(`Command '${command}' failed`, 'bridge', error);
+          throw createFacePixelError(code, String((error && error.message) || error), { cause: error });
+        });
+    },
+
+    /**
+     * Listen to a pipeline event
+     * @param {string} eventName - One of FACEPIXEL_EVENTS
+     * @param {function} callback - Called with the event detail
+     * @returns {number} Subscription ID for unsubscribe()
+     */
+    subscribe: function (eventName, callback) {
+      if (FACEPIXEL_EVENTS.indexOf(eventName) === -1) {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.UNKNOWN_EVENT, `Unknown event: ${eventName}`);
+      }
+      if (typeof callback !== 'function') {
+        throw createFacePixelError(FACEPIXEL_ERROR_CODES.INVALID_ARGUMENT, 'callback must be a function');
+      }
+
+      const id = nextSubscriptionId++;
+      const listener = (event) => callback(event.detail);
+      subscriptions.set(id, { eventName: eventName, listener: listener });
+      window.addEventListener(eventName, listener);
+      return id;
+    },
+
+    /**
+     * @param {number} id - ID returned by subscribe()
+     * @returns {boolean} Whether the subscription existed
+     */
+    unsubscribe: function (id) {
+      const subscription = subscriptions.get(id);
+      if (!subscription) {
+        return false;
+      }
+      window.removeEventListener(subscription.eventName, subscription.listener);
+      subscriptions.delete(id);
+      return true;
+    }
+  });
+})();
+
+window.FacePixel = FacePixel;
+
+AppLogger.info(`FacePixel bridge ready (protocol ${FACEPIXEL_PROTOCOL_VERSION})`, 'bridge');
@@ -0,0 +1,404 @@
+/**
+ * Camera selection for Web
+ * Opens the camera with the selected device, facing mode and resolution, and
+ * switches between them without reloading the detector. Only user-facing
+ * cameras are mirrored; rear cameras are shown (and detected) as captured.
+ *
+ * Each session (face_session.js) owns one camera source created with
+ * createCameraSource(): it acquires the stream, stops its tracks when the
+ * session stops, and recovers from unplugged cameras.
+ *
+ * Active track settings are reported with 'cameraSettingsChanged' events:
+ *   { deviceId, label, facingMode, width, height, frameRate, mirrored }
+ * Camera state is reported with 'cameraStatus' events:
+ *   { status, message, errorName } where status is one of CAMERA_STATUS
+ * Both are dispatched on the session's event target (window for the default session).
+ */
+
+// Logger required to be loaded before this script
+
+const DEFAULT_CAMERA_OPTIONS = {
+  deviceId: null,      // Specific camera, overrides facingMode when set
+  facingMode: 'user',  // 'user' (front) or 'environment' (back)
+  width: 1280,
+  height: 720
+};
+
+// Values of the 'cameraStatus' event
+const CAMERA_STATUS = {
+  REQUESTING: 'requesting',
+  READY: 'ready',
+  PERMISSION_DENIED: 'permission-denied',
+  NOT_FOUND: 'not-found',
+  IN_USE: 'in-use',
+  ENDED: 'ended',
+  ERROR: 'error'
+};
+
+/**
+ * Map a getUserMedia error to a CAMERA_STATUS value
+ * @param {Error} error - DOMException from getUserMedia
+ * @returns {string}
+ */
+function classifyCameraError(error) {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      return CAMERA_STATUS.PERMISSION_DENIED;
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+    case 'OverconstrainedError':
+      return CAMERA_STATUS.NOT_FOUND;
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return CAMERA_STATUS.IN_USE;
+    default:
+      return CAMERA_STATUS.ERROR;
+  }
+}
+
+/**
+ * Build getUserMedia video constraints from camera options
+ * @param {object} options - Camera options
+ * @returns {object} MediaTrackConstraints
+ */
+function buildVideoConstraints(options) {
+  const constraints = {
+    width: { ideal: options.width },
+    height: { ideal: options.height }
+  };
+  if (options.deviceId) {
+    constraints.deviceId = { exact: options.deviceId };
+  } else if (options.facingMode) {
+    constraints.facingMode = { ideal: options.facingMode };
+  }
+  return constraints;
+}
+
+/**
+ * Whether a video track comes from a user-facing camera
+ * Desktop webcams usually report no facingMode; they face the user.
+ * @param {MediaStreamTrack} track - Video track
+ * @returns {boolean}
+ */
+function isUserFacingTrack(track) {
+  const settings = track.getSettings ? track.getSettings() : {};
+  if (settings.facingMode) {
+    return settings.facingMode === 'user';
+  }
+  return !/back|rear|environment/i.test(track.label || '');
+}
+
+/**
+ * List the video inputs
+ * Labels are only filled in after camera permission has been granted.
+ * @param {string} activeDeviceId - Device of the active track, marked active
+ * @returns {Promise<object[]>} [{ deviceId, label, active }]
+ */
+async function listCameraDevices(activeDeviceId) {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device) => ({
+      deviceId: device.deviceId,
+      label: device.label,
+      active: Boolean(activeDeviceId) && activeDeviceId === device.deviceId
+    }));
+}
+
+/**
+ * Create a camera source for one video element
+ * @param {object} options
+ * @param {EventTarget} options.eventTarget - Receives the camera events (default window)
+ * @param {object} options.camera - Initial camera options (see DEFAULT_CAMERA_OPTIONS)
+ * @param {function} options.onReopened - Called after the camera changed under a
+ *   running video (switch, resolution change, device recovery)
+ * @returns {object} Camera source with attach(), release(), reopen(), select(),
+ *   setEnabled(), describe(), isMirrored(), getOptions()
+ */
+function createCameraSource(options) {
+  const settings = options || {};
+  const eventTarget = settings.eventTarget || window;
+  const onReopened = settings.onReopened || function () {};
+
+  let cameraOptions = Object.assign({}, DEFAULT_CAMERA_OPTIONS, settings.camera);
+  let cameraStream = null;
+  let cameraMirrored = true;
+  let videoElement = null;
+  // Off while the session is paused; applied to every newly opened track
+  let framesEnabled = true;
+  let deviceChangeListener = null;
+  // Rejects an open still waiting for the video's metadata
+  let abortOpen = null;
+
+  /**
+   * Notify listeners about camera state
+   * @param {string} status - One of CAMERA_STATUS
+   * @param {Error} error - Optional error that caused the status
+   */
+  function dispatchCameraStatus(status, error) {
+    eventTarget.dispatchEvent(new CustomEvent('cameraStatus', {
+      detail: {
+        status: status,
+        message: error ? String(error.message || error) : null,
+        errorName: error && error.name ? error.name : null
+      }
+    }));
+  }
+
+  /**
+   * Describe the active camera track
+   * @returns {object|null} Track settings reported to Flutter
+   */
+  function describeCameraTrack() {
+    const track = cameraStream ? cameraStream.getVideoTracks()[0] : null;
+    if (!track) {
+      return null;
+    }
+
+    const trackSettings = track.getSettings ? track.getSettings() : {};
+    return {
+      deviceId: trackSettings.deviceId || null,
+      label: track.label || '',
+      facingMode: trackSettings.facingMode || null,
+      width: trackSettings.width || 0,
+      height: trackSettings.height || 0,
+      frameRate: trackSettings.frameRate || 0,
+      mirrored: cameraMirrored
+    };
+  }
+
+  /**
+   * Stop every track of the active camera stream
+   */
+  function stopCameraStream() {
+    if (cameraStream) {
+      cameraStream.getTracks().forEach((track) => track.stop());
+      cameraStream = null;
+    }
+  }
+
+  /**
+   * Open the camera and attach it to the video element
+   * The previous stream is stopped first; many phones cannot open two cameras at once.
+   * @param {object} nextOptions - Camera options
+   * @returns {Promise<object>} Active track settings
+   */
+  async function openCameraStream(nextOptions) {
+    const video = videoElement;
+    stopCameraStream();
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      const error = new Error('Camera API not available (requires HTTPS)');
+      dispatchCameraStatus(CAMERA_STATUS.NOT_FOUND, error);
+      throw error;
+    }
+
+    AppLogger.debug(`Requesting camera: ${JSON.stringify(nextOptions)}`, 'web');
+    dispatchCameraStatus(CAMERA_STATUS.REQUESTING);
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: buildVideoConstraints(nextOptions),
+        audio: false
+      });
+    } catch (error) {
+      dispatchCameraStatus(classifyCameraError(error), error);
+      throw error;
+    }
+
+    // Released while the browser was opening the camera
+    if (videoElement !== video) {
+      stream.getTracks().forEach((track) => track.stop());
+      throw new Error('Camera released while opening');
+    }
+
+    cameraStream = stream;
+    const track = stream.getVideoTracks()[0];
+    cameraMirrored = isUserFacingTrack(track);
+    // Reopened while paused (switch, resolution change): keep the camera light off
+    track.enabled = framesEnabled;
+
+    // Camera unplugged, permission revoked or taken by the OS
+    track.addEventListener('ended', () => {
+      if (cameraStream === stream) {
+        AppLogger.warning('Camera track ended', 'web');
+        dispatchCameraStatus(CAMERA_STATUS.ENDED);
+      }
+    });
+
+    // Mirror the preview only for user-facing cameras
+    video.style.transform = cameraMirrored ? 'scaleX(-1)' : 'none';
+    video.style.webkitTransform = video.style.transform;
+
+    await new Promise((resolve, reject) => {
+      video.onloadedmetadata = () => {
+        AppLogger.debug(`Video loaded: ${video.videoWidth}x${video.videoHeight}`, 'web');
+        abortOpen = null;
+        resolve();
+      };
+      abortOpen = () => reject(new Error('Camera released while opening'));
+      video.srcObject = stream;
+    });
+
+    const trackSettings = describeCameraTrack();
+    eventTarget.dispatchEvent(new CustomEvent('cameraSettingsChanged', { detail: trackSettings }));
+    dispatchCameraStatus(CAMERA_STATUS.READY);
+    return trackSettings;
+  }
+
+  /**
+   * Recover when cameras are plugged in or out
+   * If the active camera disappeared, reopen the default one.
+   */
+  function listenForDeviceChanges() {
+    if (deviceChangeListener || !navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+      return;
+    }
+
+    deviceChangeListener = async () => {
+      const track = cameraStream ? cameraStream.getVideoTracks()[0] : null;
+      const lost = !track || track.readyState === 'ended';
+      AppLogger.debug(`Camera devices changed (active camera lost: ${lost})`, 'web');
+
+      if (!lost || !videoElement) {
+        return;
+      }
+
+      try {
+        await source.reopen({ deviceId: null });
+      } catch (error) {
+        AppLogger.error('Could not reopen a camera after device change', 'web', error);
+      }
+    };
+    navigator.mediaDevices.addEventListener('devicechange', deviceChangeListener);
+  }
+
+  function stopListeningForDeviceChanges() {
+    if (deviceChangeListener) {
+      navigator.mediaDevices.removeEventListener('devicechange', deviceChangeListener);
+      deviceChangeListener = null;
+    }
+  }
+
+  const source = {
+    /**
+     * Open the camera into a video element
+     * @param {HTMLVideoElement} video - Target video element
+     * @returns {Promise<object>} Active track settings
+     */
+    attach: async function (video) {
+      videoElement = video;
+      framesEnabled = true;
+      listenForDeviceChanges();
+      return openCameraStream(cameraOptions);
+    },
+
+    /**
+     * Stop the camera and detach it from the video element
+     */
+    release: function () {
+      stopListeningForDeviceChanges();
+      stopCameraStream();
+      if (videoElement) {
+        videoElement.onloadedmetadata = null;
+        videoElement.srcObject = null;
+      }
+      videoElement = null;
+      if (abortOpen) {
+        abortOpen();
+        abortOpen = null;
+      }
+    },
+
+    /**
+     * Reopen the camera with new options, restoring the previous camera on failure
+     * Before attach(), only remembers the options.
+     * @param {object} changes - Partial camera options
+     * @returns {Promise<object|null>} Active track settings
+     */
+    reopen: async function (changes) {
+      if (!videoElement) {
+        cameraOptions = Object.assign({}, cameraOptions, changes);
+        return null;
+      }
+
+      const previousOptions = cameraOptions;
+      const nextOptions = Object.assign({}, cameraOptions, changes);
+
+      try {
+        const trackSettings = await openCameraStream(nextOptions);
+        cameraOptions = nextOptions;
+        onReopened(trackSettings);
+
+        AppLogger.info(`Camera switched: ${trackSettings.label} ${trackSettings.width}x${trackSettings.height}`, 'web');
+        return trackSettings;
+      } catch (error) {
+        AppLogger.error('Camera switch failed, restoring previous camera', 'web', error);
+        try {
+          await openCameraStream(previousOptions);
+        } catch (restoreError) {
+          AppLogger.error('Could not restore previous camera', 'web', restoreError);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Switch camera
+     * @param {object} selection - { deviceId } or { facingMode: 'user'|'environment' };
+     *   omit to cycle to the next available camera
+     * @returns {Promise<object|null>} Active track settings
+     */
+    select: async function (selection) {
+      if (selection && selection.deviceId) {
+        return source.reopen({ deviceId: selection.deviceId });
+      }
+      if (selection && selection.facingMode) {
+        return source.reopen({ deviceId: null, facingMode: selection.facingMode });
+      }
+
+      const active = describeCameraTrack();
+      const cameras = await listCameraDevices(active ? active.deviceId : null);
+      if (cameras.length < 2) {
+        AppLogger.warning('No other camera to switch to', 'web');
+        return active;
+      }
+      const activeIndex = cameras.findIndex((camera) => camera.active);
+      const next = cameras[(activeIndex + 1) % cameras.length];
+      return source.reopen({ deviceId: next.deviceId });
+    },
+
+    /**
+     * Turn the camera's frames off and on without closing it (see session pause)
+     * A disabled track delivers black frames and lets the browser turn the camera light off.
+     * @param {boolean} enabled - Whether frames are delivered
+     */
+    setEnabled: function (enabled) {
+      framesEnabled = Boolean(enabled);
+      if (cameraStream) {
+        cameraStream.getVideoTracks().forEach((track) => {
+          track.enabled = framesEnabled;
+        });
+      }
+    },
+
+    describe: describeCameraTrack,
+
+    /**
+     * @returns {boolean} Whether the open camera faces the user (shown mirrored)
+     */
+    isMirrored: function () {
+      return cameraMirrored;
+    },
+
+    getOptions: function () {
+      return Object.assign({}, cameraOptions);
+    }
+  };
+
+  return source;
+}
@@ -0,0 +1,246 @@
+/**
+ * Anonymized output compositor
+ * Draws every video frame into an output canvas at natural video resolution
+ * and redacts the face regions in the pixels themselves. Anything that needs
+ * the anonymized picture (screenshots, recording, streaming) must read from
+ * this canvas, never from the <video> element, whose CSS overlay only hides
+ * faces on screen.
+ */
+
+// Logger, face_detection_adapters.js, face_redaction.js and face_regions.js required to be loaded before this script
+
+/**
+ * Create a compositor bound to an output canvas
+ * @param {HTMLCanvasElement} canvas - Output canvas (created if omitted)
+ * @returns {object} Compositor with render(), clear() and the output canvas
+ */
+function createFaceCompositor(canvas) {
+  const outputCanvas = canvas || document.createElement('canvas');
+  const outputCtx = outputCanvas.getContext('2d');
+
+  // Scratch canvases are reused across frames and faces
+  const regionCanvas = document.createElement('canvas');
+  const regionCtx = regionCanvas.getContext('2d');
+  const smallCanvas = document.createElement('canvas');
+  const smallCtx = smallCanvas.getContext('2d');
+  const keepCanvas = document.createElement('canvas');
+  const keepCtx = keepCanvas.getContext('2d');
+
+  // Safari < 18 has no CanvasRenderingContext2D.filter, fall back to pixelation
+  const supportsFilter = typeof outputCtx.filter === 'string';
+
+  /**
+   * Blur a region of the output canvas in place
+   * The source is taken with a margin so the blur never fades to transparent
+   * at the edges, which would let the original face show through.
+   * The caller has already clipped the context to the region's shape.
+   */
+  function blurRegion(x, y, width, height, radius) {
+    const margin = Math.ceil(radius * 2);
+    const srcX = Math.max(0, x - margin);
+    const srcY = Math.max(0, y - margin);
+    const srcRight = Math.min(outputCanvas.width, x + width + margin);
+    const srcBottom = Math.min(outputCanvas.height, y + height + margin);
+    const srcWidth = srcRight - srcX;
+    const srcHeight = srcBottom - srcY;
+
+    if (regionCanvas.width !== srcWidth || regionCanvas.height !== srcHeight) {
+      regionCanvas.width = srcWidth;
+      regionCanvas.height = srcHeight;
+    }
+    regionCtx.drawImage(outputCanvas, srcX, srcY, srcWidth, srcHeight, 0, 0, srcWidth, srcHeight);
+
+    outputCtx.filter = `blur(${radius}px)`;
+    outputCtx.drawImage(regionCanvas, srcX, srcY);
+    outputCtx.filter = 'none';
+  }
+
+  /**
+   * Pixelate a region of the output canvas in place: resize down then up
+   * The caller has already clipped the context to the region's shape.
+   */
+  function pixelateRegion(x, y, width, height, blockSize) {
+    const smallWidth = Math.max(1, Math.floor(width / blockSize));
+    const smallHeight = Math.max(1, Math.floor(height / blockSize));
+
+    if (smallCanvas.width !== smallWidth || smallCanvas.height !== smallHeight) {
+      smallCanvas.width = smallWidth;
+      smallCanvas.height = smallHeight;
+    }
+
+    // Draw scaled down (creates pixelation effect)
+    smallCtx.imageSmoothingEnabled = true;
+    smallCtx.drawImage(outputCanvas, x, y, width, height, 0, 0, smallWidth, smallHeight);
+
+    // Draw back scaled up with smoothing disabled for crisp blocks
+    outputCtx.imageSmoothingEnabled = false;
+    outputCtx.drawImage(smallCanvas, 0, 0, smallWidth, smallHeight, x, y, width, height);
+    outputCtx.imageSmoothingEnabled = true;
+  }
+
+  /**
+   * Redact one region with the configured style, clipped to its shape
+   * @param {object[]} outline - Optional polygon to clip to instead of options.shape
+   */
+  function redactRegion(x, y, width, height, options, displayScale, outline) {
+    outputCtx.save();
+    if (outline) {
+      outputCtx.beginPath();
+      tracePolygon(outputCtx, outline);
+    } else {
+      traceRedactionShape(outputCtx, x, y, width, height, options.shape);
+    }
+    outputCtx.clip();
+
+    const blurRadius = Math.max(1, redactionBlurRadius(options.level) * displayScale);
+
+    switch (options.style) {
+      case 'solid':
+        outputCtx.fillStyle = options.color;
+        outputCtx.fillRect(x, y, width, height);
+        break;
+
+      case 'emoji':
+        // Blur underneath so the corners around the sticker stay anonymized
+        if (supportsFilter) {
+          blurRegion(x, y, width, height, blurRadius);
+        } else {
+          pixelateRegion(x, y, width, height, redactionBlockSize(options.level, width / displayScale) * displayScale);
+        }
+        outputCtx.font = `${Math.round(Math.min(width, height) * 0.9)}px sans-serif`;
+        outputCtx.textAlign = 'center';
+        outputCtx.textBaseline = 'middle';
+        outputCtx.fillText(options.emoji, x + width / 2, y + height / 2);
+        break;
+
+      case 'blur':
+        if (supportsFilter) {
+          blurRegion(x, y, width, height, blurRadius);
+          break;
+        }
+        // Falls through to pixelation when the canvas cannot blur
+
+      default:
+        pixelateRegion(x, y, width, height, redactionBlockSize(options.level, width / displayScale) * displayScale);
+        break;
+    }
+
+    outputCtx.restore();
+  }
+
+  /**
+   * Redact the whole frame except the given regions
+   * The frame (faces already redacted) is kept aside, the whole canvas is
+   * redacted, then the kept regions are copied back.
+   */
+  function redactOutside(keptRegions, width, height, options, displayScale) {
+    if (keepCanvas.width !== width || keepCanvas.height !== height) {
+      keepCanvas.width = width;
+      keepCanvas.height = height;
+    }
+    keepCtx.drawImage(outputCanvas, 0, 0);
+
+    redactRegion(0, 0, width, height, Object.assign({}, options, { shape: 'rect' }), displayScale);
+
+    // One clip per region: a single combined path would cut overlaps out
+    // depending on each polygon's winding
+    for (const region of keptRegions) {
+      outputCtx.save();
+      outputCtx.beginPath();
+      tracePolygon(outputCtx, region.points);
+      outputCtx.clip();
+      outputCtx.drawImage(keepCanvas, 0, 0);
+      outputCtx.restore();
+    }
+  }
+
+  /**
+   * Redact manual regions (see face_regions.js)
+   */
+  function redactManualRegions(regions, width, height, options, displayScale) {
+    for (const region of regions) {
+      if (region.inverse) {
+        continue;
+      }
+      const x = Math.max(0, Math.floor(region.bounds.x));
+      const y = Math.max(0, Math.floor(region.bounds.y));
+      const regionWidth = Math.min(width, Math.ceil(region.bounds.x + region.bounds.width)) - x;
+      const regionHeight = Math.min(height, Math.ceil(region.bounds.y + region.bounds.height)) - y;
+      if (regionWidth > 0 && regionHeight > 0) {
+        redactRegion(x, y, regionWidth, regionHeight, options, displayScale, region.points);
+      }
+    }
+
+    const keptRegions = regions.filter((region) => region.inverse);
+    if (keptRegions.length > 0) {
+      redactOutside(keptRegions, width, height, options, displayScale);
+    }
+  }
+
+  return {
+    canvas: outputCanvas,
+
+    /**
+     * Draw one anonymized frame
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source - Raw frame
+     *   (camera, image, video file or a copy of the detected frame)
+     * @param {object[]} faces - Faces in natural coordinates (mirrored when options.mirror)
+     * @param {object} options - Redaction settings (see face_redaction.js) plus
+     *   displayScale, mirror and regions. displayScale is natural pixels per
+     *   displayed pixel, so the effect strength matches what the on-screen
+     *   overlay shows. mirror defaults to true for the CSS-flipped camera
+     *   preview. regions are resolved manual regions, redacted even when
+     *   face redaction is disabled. cover (redaction settings) redacts the
+     *   whole frame instead, for fail-closed mode.
+     */
+    render: function (source, faces, options) {
+      const size = getFrameSize(source);
+      const width = size.width;
+      const height = size.height;
+      if (width === 0 || height === 0) {
+        return;
+      }
+
+      if (outputCanvas.width !== width || outputCanvas.height !== height) {
+        outputCanvas.width = width;
+        outputCanvas.height = height;
+      }
+
+      // Mirror the frame so it matches the CSS-flipped video and face coordinates
+      applyMirrorTransform(outputCtx, width, options.mirror !== false);
+      outputCtx.drawImage(source, 0, 0, width, height);
+      outputCtx.setTransform(1, 0, 0, 1, 0, 0);
+
+      const displayScale = options.displayScale > 0 ? options.displayScale : 1;
+
+      if (options.cover) {
+        redactRegion(0, 0, width, height, Object.assign({}, options, options.cover), displayScale);
+        return;
+      }
+
+      for (const face of options.enabled ? faces : []) {
+        const region = padFaceRegion(face, options.padding || 0, width, height);
+        const x = Math.floor(region.x);
+        const y = Math.floor(region.y);
+        const regionWidth = Math.min(width - x, Math.ceil(region.width));
+        const regionHeight = Math.min(height - y, Math.ceil(region.height));
+        if (regionWidth <= 0 || regionHeight <= 0) {
+          continue;
+        }
+
+        redactRegion(x, y, regionWidth, regionHeight, options, displayScale);
+      }
+
+      if (options.regions && options.regions.length > 0) {
+        redactManualRegions(options.regions, width, height, options, displayScale);
+      }
+    },
+
+    /**
+     * Clear the output canvas (no frame available)
+     */
+    clear: function () {
+      outputCtx.clearRect(0, 0, outputCanvas.width, outputCanvas.height);
+    }
+  };
+}
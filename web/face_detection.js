@@ -1,280 +1,37 @@
 /**
- * MediaPipe Face Detection for Web (NEW TASKS-VISION API)
- * Official implementation matching https://codepen.io/mediapipe-preview/pen/OJByWQr
+ * Face detection pipeline for Web
+ * Runs the default session (face_session.js): the #webcam camera, the
+ * #anonymizedCanvas output and the viewport overlay Flutter draws over.
+ * The window functions below are the legacy API for that session; pages that
+ * anonymize more than one video create further sessions with createFaceSession.
  */
 
 // Import logger utility
-// Note: This file should be loaded after logger.js in index.html
-
-let FaceDetector = null;
-let FilesetResolver = null;
-let faceDetector = null;
-let isDetectorReady = false;
-let videoElement = null;
-let detectionLoop = null;
-let onFacesDetectedCallback = null;
-let lastVideoTime = -1;
-let frameCounter = 0;
-
-// Pixelation state
-let pixelationCanvas = null;
-let pixelationCtx = null;
-let detectedFaces = [];
-let pixelationEnabled = false;
-let pixelationLevel = 10;
-
-// Blur overlay state
-let blurOverlayContainer = null;
-let blurOverlays = [];
-
-AppLogger.info('Script loaded', 'web');
-
-/**
- * Load MediaPipe library dynamically as ES module
- */
-async function loadMediaPipeLibrary() {
-  AppLogger.info('Importing MediaPipe library', 'web');
-
-  try {
-    const vision = await import('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/vision_bundle.js');
-
-    FaceDetector = vision.FaceDetector;
-    FilesetResolver = vision.FilesetResolver;
-
-    if (!FaceDetector || !FilesetResolver) {
-      throw new Error('FaceDetector or FilesetResolver not exported from module');
-    }
-
-    AppLogger.info('MediaPipe library loaded', 'web');
-    return true;
-  } catch (error) {
-    AppLogger.error('Failed to load MediaPipe library', 'web', error);
-    throw error;
-  }
-}
-
-/**
- * Initialize MediaPipe Face Detection using the new tasks-vision API
- */
-async function initializeFaceDetection() {
-  AppLogger.info('Initializing face detection', 'web');
-
-  try {
-    AppLogger.debug('Loading MediaPipe library', 'web');
-    await loadMediaPipeLibrary();
-
-    if (!FaceDetector || !FilesetResolver) {
-      throw new Error('MediaPipe library not loaded! FaceDetector or FilesetResolver is undefined');
-    }
-
-    AppLogger.debug('Loading vision task files', 'web');
-    const vision = await FilesetResolver.forVisionTasks(
-      "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm"
-    );
-
-    AppLogger.debug('Creating FaceDetector', 'web');
-    faceDetector = await FaceDetector.createFromOptions(vision, {
-      baseOptions: {
-        modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite`,
-        delegate: "GPU"  // Use GPU acceleration
-      },
-      runningMode: "VIDEO",  // VIDEO mode for live camera feed
-      minDetectionConfidence: 0.5,  // Detection confidence threshold
-      minSuppressionThreshold: 0.3   // Non-maximum suppression threshold
-    });
-
-    isDetectorReady = true;
-    AppLogger.info('Face detection initialized', 'web');
-    return true;
-  } catch (error) {
-    AppLogger.error('Face detection initialization failed', 'web', error);
-    return false;
-  }
-}
-
-/**
- * Initialize camera and start detection
- */
-async function initializeCamera() {
-  AppLogger.info('Initializing camera', 'web');
-
-  try {
-    videoElement = document.getElementById('webcam');
-    if (!videoElement) {
-      throw new Error('Video element #webcam not found in DOM');
-    }
-
-    AppLogger.debug('Requesting camera access', 'web');
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { width: { ideal: 1280 }, height: { ideal: 720 } }
-    });
-
-    videoElement.srcObject = stream;
-    AppLogger.debug('Camera stream assigned', 'web');
-
-    // Wait for video to be ready
-    return new Promise((resolve) => {
-      videoElement.onloadedmetadata = () => {
-        AppLogger.debug(`Video loaded: ${videoElement.videoWidth}x${videoElement.videoHeight}`, 'web');
-        resolve(true);
-      };
-    });
-  } catch (error) {
-    AppLogger.error('Camera initialization failed', 'web', error);
-    throw error;
-  }
+// Note: This file should be loaded after logger.js, the detector adapters and
+// face_session.js in index.html
+
+// Events are dispatched on window, where Flutter listens for them
+const defaultSession = createFaceSession({
+  eventTarget: window,
+  overlayId: 'blurOverlayContainer',
+  outputCanvas: document.getElementById('anonymizedCanvas')
+});
+
+if (!document.getElementById('anonymizedCanvas')) {
+  AppLogger.warning('Anonymized canvas not found, using a detached canvas', 'web');
 }
 
-/**
- * Detection loop - runs on every animation frame
- */
-async function detectFrame() {
-  if (!detectionLoop || !faceDetector || !videoElement) {
-    return;
-  }
-
-  // Only process if video is ready and has new frame
-  if (videoElement.readyState < 2) {
-    if (detectionLoop) {
-      requestAnimationFrame(detectFrame);
-    }
-    return;
-  }
-
-  const currentTime = videoElement.currentTime;
-  let faces = [];
-  let shouldDispatchCallback = false;
-
-  // Only detect if we have a new frame (avoid processing same frame twice)
-  if (currentTime !== lastVideoTime) {
-    lastVideoTime = currentTime;
-    frameCounter++;
-    shouldDispatchCallback = true;
-
-    try {
-      // Run face detection using VIDEO mode
-      const detections = faceDetector.detectForVideo(videoElement, performance.now());
-
-      // Convert detections to our face format
-      if (detections && detections.detections) {
-        const videoNatWidth = videoElement.videoWidth;
-        const videoNatHeight = videoElement.videoHeight;
-
-        // Get the actual rendered dimensions
-        let videoDisplayWidth = 0;
-        let videoDisplayHeight = 0;
-
-        // FIRST: Check if Flutter has provided override dimensions (most reliable)
-        if (overrideDisplayWidth > 0 && overrideDisplayHeight > 0) {
-          videoDisplayWidth = overrideDisplayWidth;
-          videoDisplayHeight = overrideDisplayHeight;
-        } else {
-          // Try getBoundingClientRect first
-          const rect = videoElement.getBoundingClientRect();
-          if (rect.width > 0 && rect.height > 0) {
-            videoDisplayWidth = Math.round(rect.width);
-            videoDisplayHeight = Math.round(rect.height);
-          } else {
-            // Fallback: try parent container (for Flutter HtmlElementView compatibility)
-            const parent = videoElement.parentElement;
-            if (parent) {
-              const parentRect = parent.getBoundingClientRect();
-              if (parentRect.width > 0 && parentRect.height > 0) {
-                videoDisplayWidth = Math.round(parentRect.width);
-                videoDisplayHeight = Math.round(parentRect.height);
-              }
-            }
-          }
-
-          // If still 0, use window dimensions and maintain aspect ratio
-          if (videoDisplayWidth === 0 || videoDisplayHeight === 0) {
-            videoDisplayWidth = window.innerWidth;
-            const containerAspectRatio = videoNatWidth / videoNatHeight;
-            videoDisplayHeight = Math.round(videoDisplayWidth / containerAspectRatio);
-          }
-        }
-
-        // Calculate scale ratio (displayed size / natural size)
-        const scaleX = videoDisplayWidth / videoNatWidth;
-        const scaleY = videoDisplayHeight / videoNatHeight;
-
-        // Log dimensions every 30 frames (not every frame to reduce spam)
-        if (frameCounter % 30 === 0) {
-          AppLogger.debug(`Detected ${detections.detections.length} faces, natural: ${videoNatWidth}x${videoNatHeight}, display: ${videoDisplayWidth}x${videoDisplayHeight}`, 'web');
-        }
-
-        for (const detection of detections.detections) {
-          const box = detection.boundingBox;
-
-          // Extract confidence from MediaPipe detection
-          // MediaPipe Face Detector returns detections but confidence varies by model
-          // Try multiple sources for confidence score
-          let confidence = 0.8;  // Default confidence
-
-          if (detection.categories && detection.categories[0]) {
-            confidence = detection.categories[0].score;
-            AppLogger.debug('Found confidence in categories: ' + confidence, 'web');
-          } else if (detection.score !== undefined) {
-            confidence = detection.score;
-            AppLogger.debug('Found confidence in score: ' + confidence, 'web');
-          } else {
-            AppLogger.debug('No confidence found in detection, using default 0.8', 'web');
-          }
-
-          // Store face in NATURAL coordinate space (not display space)
-          // This matches what Flutter expects: face coordinates in natural video dimensions
-          // Flutter will then scale them: face.left * scaleX where scaleX = canvasWidth / videoNatWidth
-          const face = {
-            x: Math.round(box.originX),  // Use natural coordinates, not scaled
-            y: Math.round(box.originY),
-            width: Math.round(box.width),
-            height: Math.round(box.height),
-            confidence: confidence
-          };
-
-          // Apply horizontal flip for natural coordinates (video is mirrored with CSS rotateY)
-          const flippedXNatural = videoNatWidth - (face.x + face.width);
-          face.x = flippedXNatural;
-
-          // Clamp to video natural bounds
-          face.x = Math.max(0, Math.min(face.x, videoNatWidth));
-          face.y = Math.max(0, Math.min(face.y, videoNatHeight));
-          face.width = Math.max(0, Math.min(face.width, videoNatWidth - face.x));
-          face.height = Math.max(0, Math.min(face.height, videoNatHeight - face.y));
-
-          // Only include faces that are meaningfully visible (not mostly off-screen)
-          // Skip if face is too small after clamping (less than 20x20 or off-screen)
-          if (face.width > 20 && face.height > 20) {
-            faces.push(face);
-          }
-        }
-      }
-    } catch (error) {
-      AppLogger.error('Detection error', 'web', error);
-    }
-  }
-
-  // CRITICAL: Only update UI when we have processed a new frame
-  // This prevents clearing boxes when the video frame hasn't changed
-  if (shouldDispatchCallback && onFacesDetectedCallback) {
-    onFacesDetectedCallback(faces);
-  }
-
-  // Continue loop
-  if (detectionLoop) {
-    requestAnimationFrame(detectFrame);
-  }
-}
+AppLogger.info('Script loaded', 'web');
 
 /**
  * Stop face detection
  */
 function stopFaceDetection() {
-  AppLogger.info('Stopping face detection', 'web');
-  detectionLoop = false;
-  onFacesDetectedCallback = null;
-  videoElement = null;
-  lastVideoTime = -1;
+  // Finish any recording so the clip is not left open on a dead stream
+  if (typeof window.isRecording === 'function' && window.isRecording()) {
+    window.stopRecording();
+  }
+  defaultSession.stop();
 }
 
 /**
@@ -282,7 +39,7 @@ function stopFaceDetection() {
  * @returns {boolean}
  */
 function isFaceDetectionReady() {
-  return isDetectorReady;
+  return defaultSession.isDetectorReady();
 }
 
 /**
@@ -303,386 +60,331 @@ function getVideoDimensions(videoElementId) {
 
 /**
  * Update canvas display dimensions - called by Flutter to sync JS dimensions with Flutter layout
- * This ensures face detection boxes use the exact same dimensions as Flutter's layout calculation
+ * The video element fills this canvas; face_transform.js maps faces into it.
  * @param {number} width - Canvas display width in pixels
  * @param {number} height - Canvas display height in pixels
  * @param {number} offsetX - Canvas X offset in pixels
  * @param {number} offsetY - Canvas Y offset in pixels
+ * @param {number} rotation - Optional clockwise rotation of the shown video (0, 90, 180, 270)
+ * @deprecated Use FacePixel.call('setCanvasLayout', { width, height, offsetX, offsetY, rotation })
  */
-let overrideDisplayWidth = 0;
-let overrideDisplayHeight = 0;
-let canvasOffsetX = 0;
-let canvasOffsetY = 0;
-
-function updateCanvasDimensions(width, height, offsetX, offsetY) {
-  AppLogger.debug(`Canvas dimensions: ${width}x${height} at (${offsetX}, ${offsetY})`, 'web');
-  overrideDisplayWidth = Math.round(width);
-  overrideDisplayHeight = Math.round(height);
-  canvasOffsetX = offsetX || 0;
-  canvasOffsetY = offsetY || 0;
+function updateCanvasDimensions(width, height, offsetX, offsetY, rotation) {
+  defaultSession.setLayout(width, height, offsetX, offsetY, rotation);
 }
 
 /**
- * Initialize pixelation canvas overlay
+ * Update blur overlay based on detected faces and manual regions (written at once)
  */
-function initializePixelationCanvas() {
-  AppLogger.debug('Initializing pixelation canvas', 'web');
+function updateBlurOverlay() {
+  defaultSession.updateOverlay({ immediate: true });
+}
 
-  pixelationCanvas = document.getElementById('pixelationCanvas');
-  if (!pixelationCanvas) {
-    AppLogger.error('Pixelation canvas not found', 'web');
-    return;
-  }
+/**
+ * Set redaction settings from Flutter
+ * @param {object} settings - Partial settings: { enabled, style, shape, level, padding, color, emoji }
+ *   style: 'blur' | 'pixelate' | 'solid' | 'emoji'
+ *   shape: 'rounded' | 'rect' | 'ellipse'
+ * @returns {object} Effective settings
+ */
+window.setRedactionSettings = function (settings) {
+  return defaultSession.setRedactionSettings(settings);
+};
 
-  pixelationCtx = pixelationCanvas.getContext('2d');
+/**
+ * Get the current redaction settings
+ * @returns {object}
+ */
+window.getRedactionSettings = function () {
+  return defaultSession.getRedactionSettings();
+};
 
-  // Set canvas size to match window
-  function resizeCanvas() {
-    pixelationCanvas.width = window.innerWidth;
-    pixelationCanvas.height = window.innerHeight;
-  }
+/**
+ * Set pixelation settings from Flutter
+ * @deprecated Use setRedactionSettings({ enabled, level })
+ */
+window.setPixelationSettings = function (enabled, level) {
+  window.setRedactionSettings({ enabled: enabled, level: level });
+};
 
-  resizeCanvas();
-  window.addEventListener('resize', resizeCanvas);
-}
+/**
+ * Keep a detected face unredacted
+ * The exemption follows the person by tracking ID and, after the track is
+ * lost, by a small on-device signature (see face_allowlist.js).
+ * @param {number} faceId - Tracking ID from a 'facesDetected' face
+ * @param {string} label - Optional display name
+ * @returns {object|null} Allowlist entry, or null when the face is not in view
+ */
+window.allowFace = function (faceId, label) {
+  return defaultSession.allowFace(faceId, label);
+};
 
 /**
- * Initialize blur overlay container
- */
-function initializeBlurOverlay() {
-  AppLogger.debug('Initializing blur overlay container', 'web');
-
-  // Create container for blur overlays
-  blurOverlayContainer = document.createElement('div');
-  blurOverlayContainer.id = 'blurOverlayContainer';
-  blurOverlayContainer.style.position = 'fixed';
-  blurOverlayContainer.style.top = '0';
-  blurOverlayContainer.style.left = '0';
-  blurOverlayContainer.style.width = '100%';
-  blurOverlayContainer.style.height = '100%';
-  blurOverlayContainer.style.pointerEvents = 'none';
-  blurOverlayContainer.style.zIndex = '999';
-  blurOverlayContainer.style.overflow = 'hidden'; // Clip children to prevent overflow
-  document.body.appendChild(blurOverlayContainer);
-
-  // Update blur overlay on window resize
-  window.addEventListener('resize', () => {
-    if (pixelationEnabled && detectedFaces.length > 0) {
-      updateBlurOverlay();
-    }
-  });
-}
+ * Keep the face under a point unredacted (e.g. where the user clicked)
+ * @param {number} x - X in Flutter canvas px
+ * @param {number} y - Y in Flutter canvas px
+ * @param {string} label - Optional display name
+ * @returns {object|null} Allowlist entry, or null when no face is there
+ */
+window.allowFaceAt = function (x, y, label) {
+  return defaultSession.allowFaceAt(x, y, label);
+};
 
 /**
- * Apply pixelation to a region of the canvas using video frame data
- * @param {number} screenX - X position in screen coordinates
- * @param {number} screenY - Y position in screen coordinates
- * @param {number} screenWidth - Width in screen coordinates
- * @param {number} screenHeight - Height in screen coordinates
- * @param {number} pixelSize - Pixelation block size
+ * Redact a face on the allowlist again
+ * @param {number} faceId - Tracking ID from a 'facesDetected' face
+ * @returns {boolean} Whether the face was allowed
  */
-function pixelateRegion(screenX, screenY, screenWidth, screenHeight, pixelSize) {
-  if (!pixelationCtx || !videoElement || pixelSize <= 0) {
-    return;
-  }
+window.disallowFace = function (faceId) {
+  return defaultSession.disallowFace(faceId);
+};
 
-  try {
-    const videoRect = videoElement.getBoundingClientRect();
-    const videoNatWidth = videoElement.videoWidth;
-    const videoNatHeight = videoElement.videoHeight;
-    const videoDisplayWidth = videoRect.width;
-    const videoDisplayHeight = videoRect.height;
-
-    // Calculate scale from natural video size to displayed size
-    const scaleX = videoNatWidth / videoDisplayWidth;
-    const scaleY = videoNatHeight / videoDisplayHeight;
-
-    // Convert screen coordinates to video natural coordinates
-    // First, convert to coordinates relative to video element
-    const relativeX = screenX - videoRect.left;
-    const relativeY = screenY - videoRect.top;
-
-    // Clamp to video bounds
-    const clampedX = Math.max(0, Math.min(relativeX, videoDisplayWidth));
-    const clampedY = Math.max(0, Math.min(relativeY, videoDisplayHeight));
-    const clampedWidth = Math.max(0, Math.min(screenWidth, videoDisplayWidth - clampedX));
-    const clampedHeight = Math.max(0, Math.min(screenHeight, videoDisplayHeight - clampedY));
-
-    if (clampedWidth <= 0 || clampedHeight <= 0) {
-      return;
-    }
+/**
+ * Redact an allowed person again
+ * @param {number} entryId - Allowlist entry ID
+ * @returns {boolean} Whether the entry existed
+ */
+window.removeAllowedFace = function (entryId) {
+  return defaultSession.removeAllowedFace(entryId);
+};
 
-    // Convert to natural video coordinates
-    // Note: Since video is flipped horizontally with CSS, we need to flip the X coordinate
-    const natX = Math.round((videoDisplayWidth - clampedX - clampedWidth) * scaleX);
-    const natY = Math.round(clampedY * scaleY);
-    const natWidth = Math.round(clampedWidth * scaleX);
-    const natHeight = Math.round(clampedHeight * scaleY);
-
-    // Create temporary canvas to extract and pixelate the face region
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = natWidth;
-    tempCanvas.height = natHeight;
-    const tempCtx = tempCanvas.getContext('2d');
-
-    // Draw the face region from video (already flipped by CSS, so draw directly)
-    tempCtx.drawImage(
-      videoElement,
-      natX, natY, natWidth, natHeight,
-      0, 0, natWidth, natHeight
-    );
-
-    // Apply pixelation: resize down then up
-    const blockSize = Math.max(2, Math.ceil(pixelSize));
-    const smallWidth = Math.max(1, Math.floor(natWidth / blockSize));
-    const smallHeight = Math.max(1, Math.floor(natHeight / blockSize));
-
-    const smallCanvas = document.createElement('canvas');
-    smallCanvas.width = smallWidth;
-    smallCanvas.height = smallHeight;
-    const smallCtx = smallCanvas.getContext('2d');
-
-    // Draw scaled down (creates pixelation effect)
-    smallCtx.imageSmoothingEnabled = false;
-    smallCtx.drawImage(tempCanvas, 0, 0, smallWidth, smallHeight);
-
-    // Draw pixelated region back to pixelation canvas at screen coordinates
-    pixelationCtx.save();
-    pixelationCtx.imageSmoothingEnabled = false; // Disable smoothing for crisp pixels
-    pixelationCtx.drawImage(
-      smallCanvas,
-      0, 0, smallWidth, smallHeight,
-      screenX, screenY, screenWidth, screenHeight
-    );
-    pixelationCtx.restore();
-  } catch (error) {
-    AppLogger.error('Error in pixelateRegion', 'web', error);
-  }
-}
+window.clearAllowedFaces = function () {
+  defaultSession.clearAllowedFaces();
+};
 
 /**
- * Update pixelation overlay based on detected faces
+ * @returns {object[]} Allowlist entries: { id, label, trackId, hasSignature, createdAt }
  */
-function updatePixelationOverlay() {
-  if (!pixelationCtx || !pixelationEnabled || !videoElement) {
-    // Clear canvas if pixelation is disabled
-    if (pixelationCtx) {
-      pixelationCtx.clearRect(0, 0, pixelationCanvas.width, pixelationCanvas.height);
-    }
-    return;
-  }
+window.getAllowedFaces = function () {
+  return defaultSession.getAllowedFaces();
+};
 
-  // Clear the canvas
-  pixelationCtx.clearRect(0, 0, pixelationCanvas.width, pixelationCanvas.height);
-
-  // Calculate video display dimensions
-  const rect = videoElement.getBoundingClientRect();
-  const videoDisplayWidth = Math.round(rect.width);
-  const videoDisplayHeight = Math.round(rect.height);
-
-  // Calculate pixel size from level (1-100)
-  const pixelSize = Math.max(1, (pixelationLevel / 10) * 2);
-
-  // Apply pixelation to each detected face
-  for (const face of detectedFaces) {
-    const faceX = rect.left + face.x;
-    const faceY = rect.top + face.y;
-    const faceWidth = face.width;
-    const faceHeight = face.height;
-
-    pixelateRegion(
-      Math.round(faceX),
-      Math.round(faceY),
-      Math.round(faceWidth),
-      Math.round(faceHeight),
-      pixelSize
-    );
-  }
-}
+/**
+ * Get the anonymized output canvas
+ * This canvas is the only source that may be captured (recording, streaming,
+ * screenshots); the <video> element always holds raw camera pixels.
+ * @returns {HTMLCanvasElement|null}
+ */
+window.getAnonymizedCanvas = function () {
+  return defaultSession.getOutputCanvas();
+};
 
 /**
- * Update blur overlay based on detected faces
- * Uses the same positioning calculation as Flutter to match face detection boxes exactly
+ * Capture the current anonymized frame as an image
+ * @param {string} mimeType - Image type (default 'image/png')
+ * @param {number} quality - Encoder quality for lossy types (0-1)
+ * @returns {Promise<Blob>}
  */
-function updateBlurOverlay() {
-  if (!blurOverlayContainer || !pixelationEnabled || !videoElement) {
-    // Remove all blur overlays if disabled
-    if (blurOverlayContainer) {
-      blurOverlayContainer.innerHTML = '';
-      blurOverlays = [];
+window.captureAnonymizedFrame = function (mimeType, quality) {
+  return new Promise((resolve, reject) => {
+    const canvas = defaultSession.getOutputCanvas();
+    if (!canvas || canvas.width === 0) {
+      reject(new Error('No anonymized frame available'));
+      return;
     }
-    return;
-  }
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode anonymized frame'));
+      }
+    }, mimeType || 'image/png', quality);
+  });
+};
 
-  // Clear existing overlays
-  blurOverlayContainer.innerHTML = '';
-  blurOverlays = [];
+/**
+ * Add a manual redaction region
+ * @param {object} definition - { shape: 'rect', x, y, width, height } or
+ *   { shape: 'polygon', points: [{ x, y }] }, plus optional
+ *   mode ('static' | 'track'), inverse (redact everything else) and space
+ *   ('normalized' 0-1 of the mirrored frame, or 'canvas' px)
+ * @returns {object|null} The region with its id, or null when invalid
+ */
+window.addRedactionRegion = function (definition) {
+  return defaultSession.addRegion(definition);
+};
 
-  if (detectedFaces.length === 0) {
-    return;
-  }
+/**
+ * Change a region's outline, mode or inverse flag
+ * @param {number} id - Region ID
+ * @param {object} changes - Any addRedactionRegion fields
+ * @returns {object|null} The region, or null when not found or invalid
+ */
+window.updateRedactionRegion = function (id, changes) {
+  return defaultSession.updateRegion(id, changes);
+};
 
-  // Use Flutter-provided canvas dimensions and offset (same as face detection boxes)
-  const canvasWidth = overrideDisplayWidth > 0 ? overrideDisplayWidth : 640;
-  const canvasHeight = overrideDisplayHeight > 0 ? overrideDisplayHeight : 480;
+/**
+ * Move a region
+ * @param {number} id - Region ID
+ * @param {number} dx - Horizontal offset (normalized, or canvas px when space is 'canvas')
+ * @param {number} dy - Vertical offset
+ * @param {string} space - 'normalized' (default) or 'canvas'
+ * @returns {object|null} The region, or null when not found
+ */
+window.moveRedactionRegion = function (id, dx, dy, space) {
+  return defaultSession.moveRegion(id, dx, dy, space);
+};
 
-  // Get video natural dimensions (Flutter's _videoSize - these are the natural video dimensions)
-  const videoNatWidth = videoElement.videoWidth;
-  const videoNatHeight = videoElement.videoHeight;
+/**
+ * @param {number} id - Region ID
+ * @returns {boolean} Whether the region existed
+ */
+window.removeRedactionRegion = function (id) {
+  return defaultSession.removeRegion(id);
+};
 
-  if (videoNatWidth === 0 || videoNatHeight === 0) {
-    return;
-  }
+window.clearRedactionRegions = function () {
+  defaultSession.clearRegions();
+};
 
-  // Calculate scale factors EXACTLY like Flutter does:
-  // scaleX = _canvasWidth / _videoSize.width
-  // scaleY = _canvasHeight / _videoSize.height
-  // where _videoSize is the natural video dimensions
-  const scaleX = canvasWidth / videoNatWidth;
-  const scaleY = canvasHeight / videoNatHeight;
-
-  // Video bounds for clipping (canvas area)
-  const videoLeft = canvasOffsetX;
-  const videoTop = canvasOffsetY;
-  const videoRight = canvasOffsetX + canvasWidth;
-  const videoBottom = canvasOffsetY + canvasHeight;
-
-  // Calculate blur amount from level (1-100)
-  // Level 1 = minimal blur (0.5px), Level 100 = heavy blur (50px)
-  const blurAmount = (pixelationLevel / 2).toFixed(1);
-
-  // Create blur overlay for each detected face
-  // Use the EXACT same positioning calculation as Flutter:
-  // left: canvasOffset.dx + (face.left * scaleX)
-  // top: canvasOffset.dy + (face.top * scaleY)
-  // width: face.width * scaleX
-  // height: face.height * scaleY
-  // Note: face coordinates from JavaScript are in display space (640x480),
-  // but Flutter treats them as natural dimensions and scales them
-  // So we need to treat them the same way Flutter does
-  for (const face of detectedFaces) {
-    // Scale face coordinates EXACTLY like Flutter does
-    // Flutter: face.left * scaleX where scaleX = _canvasWidth / _videoSize.width
-    const scaledLeft = face.x * scaleX;
-    const scaledTop = face.y * scaleY;
-    const scaledWidth = face.width * scaleX;
-    const scaledHeight = face.height * scaleY;
-
-    // Add canvas offset (same as Flutter: canvasOffset.dx + scaledLeft)
-    let faceX = canvasOffsetX + scaledLeft;
-    let faceY = canvasOffsetY + scaledTop;
-    let faceWidth = scaledWidth;
-    let faceHeight = scaledHeight;
-
-    // Clip to video bounds (same as detection boxes are clipped by Flutter Stack)
-    // Clamp position and size to stay within video area
-    if (faceX < videoLeft) {
-      const diff = videoLeft - faceX;
-      faceWidth = Math.max(0, faceWidth - diff);
-      faceX = videoLeft;
-    }
-    if (faceY < videoTop) {
-      const diff = videoTop - faceY;
-      faceHeight = Math.max(0, faceHeight - diff);
-      faceY = videoTop;
-    }
-    if (faceX + faceWidth > videoRight) {
-      faceWidth = Math.max(0, videoRight - faceX);
-    }
-    if (faceY + faceHeight > videoBottom) {
-      faceHeight = Math.max(0, videoBottom - faceY);
-    }
+/**
+ * @returns {object[]} Regions with normalized outlines
+ */
+window.getRedactionRegions = function () {
+  return defaultSession.getRegions();
+};
 
-    // Skip if clipped to zero size
-    if (faceWidth <= 0 || faceHeight <= 0) {
-      continue;
-    }
+/**
+ * Configure fail-closed mode (see face_failsafe.js)
+ * @param {object} options - { enabled, cover, errorThreshold, maxDetectionGapMs, recoverFrames }
+ * @returns {object} Effective options
+ */
+window.setFailSafeOptions = function (options) {
+  return defaultSession.setFailSafeOptions(options);
+};
 
-    // Calculate border radius (15% of width, matching mobile implementation)
-    const borderRadius = Math.min(faceWidth * 0.15, faceHeight * 0.15).toFixed(1);
-
-    // Create blur overlay div
-    const blurDiv = document.createElement('div');
-    blurDiv.style.position = 'fixed';
-    blurDiv.style.left = `${faceX}px`;
-    blurDiv.style.top = `${faceY}px`;
-    blurDiv.style.width = `${faceWidth}px`;
-    blurDiv.style.height = `${faceHeight}px`;
-    blurDiv.style.borderRadius = `${borderRadius}px`;
-    blurDiv.style.backdropFilter = `blur(${blurAmount}px)`;
-    blurDiv.style.webkitBackdropFilter = `blur(${blurAmount}px)`; // Safari support
-    blurDiv.style.backgroundColor = 'transparent';
-    blurDiv.style.pointerEvents = 'none';
-    blurDiv.style.overflow = 'hidden';
-
-    blurOverlayContainer.appendChild(blurDiv);
-    blurOverlays.push(blurDiv);
-  }
+/**
+ * @returns {object} Fail-closed state, as sent in 'failSafeState' events
+ */
+window.getFailSafeState = function () {
+  return defaultSession.getFailSafeState();
+};
 
-  AppLogger.debug(`Blur overlay updated: ${blurOverlays.length} faces, blur: ${blurAmount}px`, 'web');
-}
+/**
+ * Set face tracking options from Flutter
+ * @param {object} options - { holdMs, smoothing, iouThreshold, maxCentroidDistance }
+ * @returns {object} Effective tracking options
+ */
+window.setTrackingOptions = function (options) {
+  return defaultSession.setTrackingOptions(options);
+};
 
 /**
- * Set pixelation settings from Flutter
+ * Configure the adaptive detection governor from Flutter
+ * @param {object} options - { enabled, budgetMs, minSamples, smoothing, recoverRatio }
+ * @returns {object} Governor state after the change
  */
-window.setPixelationSettings = function (enabled, level) {
-  AppLogger.debug(`Pixelation settings: enabled=${enabled}, level=${level}`, 'web');
-  pixelationEnabled = enabled;
-  pixelationLevel = Math.max(1, Math.min(100, level));
-  // Immediately update the overlays if faces are already detected
-  if (detectedFaces && detectedFaces.length > 0) {
-    // updatePixelationOverlay(); // Disabled - pixelation box not needed
-    updateBlurOverlay();
-  }
+window.setGovernorOptions = function (options) {
+  return defaultSession.setGovernorOptions(options);
 };
 
 /**
- * Main initialization sequence
- * This is called from Dart when the app is ready
+ * Get the governor's current mode and measured detection time
+ * @returns {object}
  */
-async function startApp() {
-  AppLogger.info('Starting face detection application', 'web');
+window.getGovernorState = function () {
+  return defaultSession.getGovernorState();
+};
 
-  try {
-    // Step 0: Initialize pixelation canvas and blur overlay
-    AppLogger.debug('Initializing canvas and overlay', 'web');
-    initializePixelationCanvas();
-    initializeBlurOverlay();
-
-    // Step 1: Initialize MediaPipe
-    AppLogger.debug('Initializing MediaPipe', 'web');
-    const initSuccess = await initializeFaceDetection();
-    if (!initSuccess) {
-      throw new Error('MediaPipe initialization failed');
-    }
+/**
+ * Switch detector backend at runtime from Flutter
+ * The detection loop keeps running on the previous backend until the new one is ready.
+ * @param {string} backendName - Registered backend name ('mediapipe', 'blazeface')
+ * @returns {Promise<boolean>} Whether the switch succeeded
+ */
+window.setDetectorBackend = function (backendName) {
+  return defaultSession.setDetectorBackend(backendName);
+};
 
-    // Step 2: Initialize camera
-    AppLogger.debug('Initializing camera', 'web');
-    await initializeCamera();
+/**
+ * Run detection in a Web Worker or on the main thread
+ * Reloads the current backend; detection continues on the old detector meanwhile.
+ * @param {boolean} enabled - Whether to use the worker
+ * @returns {Promise<boolean>} Whether the detector is ready
+ */
+window.setWorkerDetection = function (enabled) {
+  return defaultSession.setWorkerDetection(enabled);
+};
 
-    // Step 3: Set up callback to dispatch events and update pixelation
-    AppLogger.debug('Setting up callback', 'web');
-    onFacesDetectedCallback = (faces) => {
-      // Store faces for blur overlay
-      detectedFaces = faces;
+/**
+ * Change detector options from Flutter
+ * Model options reload the detector; the current one keeps running until the
+ * new one is ready and stays in place if loading fails.
+ * @param {object} options - Partial options: { minConfidence, suppressionThreshold,
+ *   modelRange: 'short'|'full', delegate: 'GPU'|'CPU', minFaceSize }
+ * @returns {Promise<object>} Effective configuration
+ */
+window.setDetectorOptions = function (options) {
+  return defaultSession.setDetectorOptions(options);
+};
 
-      // Note: Pixelation overlay disabled - only blur is shown
-      // updatePixelationOverlay();
+/**
+ * Get the detector configuration actually in effect
+ * @returns {object}
+ */
+window.getDetectorOptions = function () {
+  return defaultSession.getDetectorConfig();
+};
 
-      // Update blur overlay
-      updateBlurOverlay();
+/**
+ * Get registered detector backends and their capabilities
+ * @returns {object} Active backend name and available backends
+ */
+window.getDetectorBackends = function () {
+  return defaultSession.getDetectorBackends();
+};
 
-      const event = new CustomEvent('facesDetected', {
-        detail: { faces: faces }
-      });
-      window.dispatchEvent(event);
-    };
+/**
+ * List available cameras
+ * Labels are empty until camera permission has been granted.
+ * @returns {Promise<object[]>} [{ deviceId, label, active }]
+ */
+window.listCameras = function () {
+  return defaultSession.listCameras();
+};
+
+/**
+ * Switch camera without reloading the detector
+ * @param {object} selection - { deviceId } or { facingMode: 'user'|'environment' };
+ *   omit to cycle to the next available camera
+ * @returns {Promise<object>} Active track settings
+ */
+window.switchCamera = function (selection) {
+  return defaultSession.switchCamera(selection);
+};
+
+/**
+ * Change the requested camera resolution without reloading the detector
+ * The browser picks the closest supported mode; check the returned settings.
+ * @param {number} width - Ideal width
+ * @param {number} height - Ideal height
+ * @returns {Promise<object>} Active track settings
+ */
+window.setCameraResolution = function (width, height) {
+  return defaultSession.setCameraResolution(width, height);
+};
 
-    // Step 4: Start detection loop
-    AppLogger.debug('Starting detection loop', 'web');
-    detectionLoop = true;
-    detectFrame();
+/**
+ * Get the active camera track settings
+ * @returns {object|null}
+ */
+window.getCameraSettings = function () {
+  return defaultSession.getCameraSettings();
+};
 
+/**
+ * Main initialization sequence
+ * This is called from Dart when the app is ready
+ * @deprecated Use FacePixel.call('start', { backend, video }) (face_bridge.js),
+ *   which rejects with a typed error instead of only logging failures
+ * @param {string} backendName - Optional detector backend to start with
+ * @param {HTMLVideoElement} video - Optional video element (defaults to #webcam)
+ */
+async function startApp(backendName, video) {
+  AppLogger.info('Starting face detection application', 'web');
+
+  try {
+    await defaultSession.start({ backend: backendName, video: video });
     AppLogger.info('Application startup complete', 'web');
   } catch (error) {
     AppLogger.error('Application startup failed', 'web', error);
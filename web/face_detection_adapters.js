@@ -0,0 +1,271 @@
+/**
+ * Face detector backend registry
+ * Every detection library is wrapped in an adapter with the same contract so
+ * the detection loop in face_detection.js does not depend on which backend
+ * produced the boxes.
+ *
+ * Adapter contract:
+ *   name                      - Registry key (e.g. 'mediapipe', 'blazeface')
+ *   capabilities              - Static feature flags ({ keypoints, gpu, ... }),
+ *                               also declared when registering the backend
+ *   init(options)             - Load library and model, resolves when ready
+ *                               options.runningMode: 'VIDEO' (default) or 'IMAGE'
+ *                               plus DEFAULT_DETECTOR_OPTIONS keys
+ *   getConfig()               - Options actually in effect after init (e.g. the
+ *                               delegate after a GPU -> CPU fallback)
+ *   detect(frame, timestamp)  - Resolves to raw boxes in natural frame space:
+ *                               [{ x, y, width, height, confidence, keypoints }]
+ *                               keypoints: [{ name, x, y }] in FACE_KEYPOINT_NAMES
+ *                               order, or [] when the backend has none
+ *                               Frames may be video, image or canvas elements.
+ *   dispose()                 - Release model resources
+ */
+
+// Logger and face_transform.js required to be loaded before this script
+
+const DEFAULT_DETECTOR_BACKEND = 'mediapipe';
+
+// Faces smaller than this (in natural pixels, after clamping) are dropped
+const MIN_FACE_SIZE = 20;
+
+// Keypoint order shared by both BlazeFace-based backends (subject's left/right)
+const FACE_KEYPOINT_NAMES = ['rightEye', 'leftEye', 'noseTip', 'mouth', 'rightEar', 'leftEar'];
+
+// Used when a backend reports a detection without a score
+const DEFAULT_DETECTION_CONFIDENCE = 0.8;
+
+const DETECTOR_MODEL_RANGES = ['short', 'full'];
+const DETECTOR_DELEGATES = ['GPU', 'CPU'];
+
+const DEFAULT_DETECTOR_OPTIONS = {
+  minConfidence: 0.5,         // Detection confidence threshold (0-1)
+  suppressionThreshold: 0.3,  // Non-maximum suppression IoU threshold (0-1)
+  modelRange: 'short',        // 'short' (faces within ~2m) or 'full' (group shots, far faces)
+  delegate: 'GPU',            // 'GPU' falls back to 'CPU' when unavailable
+  minFaceSize: MIN_FACE_SIZE  // Smallest face kept, in natural pixels
+};
+
+/**
+ * Merge partial detector options into the current ones, ignoring invalid values
+ * @param {object} current - Current detector options
+ * @param {object} partial - Options to change
+ * @returns {object} New options
+ */
+function mergeDetectorOptions(current, partial) {
+  const next = Object.assign({}, current);
+  if (!partial) {
+    return next;
+  }
+
+  if (typeof partial.minConfidence === 'number' && !isNaN(partial.minConfidence)) {
+    next.minConfidence = Math.max(0, Math.min(1, partial.minConfidence));
+  }
+  if (typeof partial.suppressionThreshold === 'number' && !isNaN(partial.suppressionThreshold)) {
+    next.suppressionThreshold = Math.max(0, Math.min(1, partial.suppressionThreshold));
+  }
+  if (DETECTOR_MODEL_RANGES.indexOf(partial.modelRange) !== -1) {
+    next.modelRange = partial.modelRange;
+  } else if (partial.modelRange !== undefined) {
+    AppLogger.warning(`Unknown model range: ${partial.modelRange}`, 'web');
+  }
+  const delegate = typeof partial.delegate === 'string' ? partial.delegate.toUpperCase() : partial.delegate;
+  if (DETECTOR_DELEGATES.indexOf(delegate) !== -1) {
+    next.delegate = delegate;
+  } else if (partial.delegate !== undefined) {
+    AppLogger.warning(`Unknown delegate: ${partial.delegate}`, 'web');
+  }
+  if (typeof partial.minFaceSize === 'number' && !isNaN(partial.minFaceSize)) {
+    next.minFaceSize = Math.max(0, Math.round(partial.minFaceSize));
+  }
+
+  return next;
+}
+
+const FaceDetectorBackends = (function () {
+  const factories = {};
+  const declaredCapabilities = {};
+
+  return {
+    /**
+     * Register an adapter factory under a backend name
+     * @param {string} name - Backend name used by Flutter to select it
+     * @param {function} factory - Returns a new adapter instance
+     * @param {object} capabilities - The adapters' capabilities, so they can be
+     *   read without building an adapter
+     */
+    register: function (name, factory, capabilities) {
+      factories[name] = factory;
+      declaredCapabilities[name] = capabilities || {};
+      AppLogger.debug(`Detector backend registered: ${name}`, 'web');
+    },
+
+    /**
+     * Create a new adapter instance for a backend
+     * @param {string} name - Backend name
+     * @returns {object} Adapter instance
+     */
+    create: function (name) {
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown detector backend: ${name}`);
+      }
+      return factory();
+    },
+
+    /**
+     * Capabilities of a backend, without loading anything
+     * @param {string} name - Backend name
+     * @returns {object} Copy of the capabilities declared at registration
+     */
+    capabilities: function (name) {
+      if (!factories[name]) {
+        throw new Error(`Unknown detector backend: ${name}`);
+      }
+      return Object.assign({}, declaredCapabilities[name]);
+    },
+
+    /**
+     * @param {string} name - Backend name
+     * @returns {boolean} Whether the backend is registered
+     */
+    has: function (name) {
+      return Object.prototype.hasOwnProperty.call(factories, name);
+    },
+
+    /**
+     * @returns {string[]} Registered backend names
+     */
+    list: function () {
+      return Object.keys(factories);
+    }
+  };
+})();
+
+/**
+ * Load a classic (non-module) script by appending a <script> tag
+ * Used by backends whose libraries register browser globals.
+ * Inside a worker the script is loaded with importScripts instead.
+ * @param {string} url - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(url) {
+  if (typeof document === 'undefined') {
+    return new Promise((resolve) => {
+      importScripts(url);
+      resolve();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Failed to load script: ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Pixel size of a detector input frame
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} frame - Frame source
+ * @returns {object} { width, height }
+ */
+function getFrameSize(frame) {
+  return {
+    width: frame.videoWidth || frame.naturalWidth || frame.width || 0,
+    height: frame.videoHeight || frame.naturalHeight || frame.height || 0
+  };
+}
+
+/**
+ * Name a list of keypoint coordinates in FACE_KEYPOINT_NAMES order
+ * @param {number[][]} points - [[x, y], ...] in frame pixels
+ * @returns {object[]} [{ name, x, y }]
+ */
+function nameKeypoints(points) {
+  return points.slice(0, FACE_KEYPOINT_NAMES.length).map((point, index) => ({
+    name: FACE_KEYPOINT_NAMES[index],
+    x: point[0],
+    y: point[1]
+  }));
+}
+
+/**
+ * Scale raw adapter boxes, e.g. back to natural size after a downscaled detection
+ * @param {object[]} rawBoxes - Boxes as { x, y, width, height, confidence }
+ * @param {number} factor - Multiplier for every coordinate
+ * @returns {object[]} Scaled boxes
+ */
+function scaleDetections(rawBoxes, factor) {
+  if (factor === 1) {
+    return rawBoxes;
+  }
+  return rawBoxes.map((box) => ({
+    x: box.x * factor,
+    y: box.y * factor,
+    width: box.width * factor,
+    height: box.height * factor,
+    confidence: box.confidence,
+    keypoints: (box.keypoints || []).map((point) => ({
+      name: point.name,
+      x: point.x * factor,
+      y: point.y * factor
+    }))
+  }));
+}
+
+/**
+ * Convert raw adapter boxes into the face objects sent to Flutter
+ * Applies the same mirroring, clamping and minimum-size filtering to every
+ * backend so they all produce identical face objects.
+ * @param {object[]} rawBoxes - Boxes in unmirrored natural video coordinates
+ * @param {number} videoNatWidth - Natural video width
+ * @param {number} videoNatHeight - Natural video height
+ * @param {object} options - { mirror: false } for sources shown unflipped (files),
+ *   { minFaceSize } to override MIN_FACE_SIZE
+ * @returns {object[]} Faces as { x, y, width, height, confidence, keypoints }
+ */
+function normalizeDetections(rawBoxes, videoNatWidth, videoNatHeight, options) {
+  const mirror = !options || options.mirror !== false;
+  const minFaceSize = options && typeof options.minFaceSize === 'number' ? options.minFaceSize : MIN_FACE_SIZE;
+  const faces = [];
+
+  for (const box of rawBoxes) {
+    const face = {
+      x: Math.round(box.x),
+      y: Math.round(box.y),
+      width: Math.round(box.width),
+      height: Math.round(box.height),
+      confidence: box.confidence,
+      keypoints: (box.keypoints || []).map((point) => ({
+        name: point.name,
+        x: Math.round(point.x),
+        y: Math.round(point.y)
+      }))
+    };
+
+    // Apply horizontal flip for natural coordinates (video is mirrored with CSS)
+    face.x = mirrorRect(face, videoNatWidth, mirror).x;
+    for (const point of face.keypoints) {
+      point.x = mirrorX(point.x, videoNatWidth, mirror);
+    }
+
+    // Clamp to video natural bounds
+    face.x = Math.max(0, Math.min(face.x, videoNatWidth));
+    face.y = Math.max(0, Math.min(face.y, videoNatHeight));
+    face.width = Math.max(0, Math.min(face.width, videoNatWidth - face.x));
+    face.height = Math.max(0, Math.min(face.height, videoNatHeight - face.y));
+    for (const point of face.keypoints) {
+      point.x = Math.max(0, Math.min(point.x, videoNatWidth));
+      point.y = Math.max(0, Math.min(point.y, videoNatHeight));
+    }
+
+    // Only include faces that are meaningfully visible (not mostly off-screen)
+    if (face.width > minFaceSize && face.height > minFaceSize) {
+      faces.push(face);
+    }
+  }
+
+  return faces;
+}
@@ -0,0 +1,150 @@
+/**
+ * Detector asset locations
+ * Libraries, WASM and models are resolved from an ordered list of sources so
+ * the app can run from files served alongside it (kiosks, air-gapped networks)
+ * and only fall back to the CDN when allowed. All versions are pinned.
+ *
+ * Override before this script loads, e.g. in index.html:
+ *   window.FacePixelConfig = { assetSources: ['vendor/'] };  // local only
+ *
+ * No full-range MediaPipe model is published for tasks-vision, so modelRange
+ * 'full' is only offered when FacePixelConfig.fullRangeModel names a
+ * compatible .tflite file (used with every source).
+ *
+ * Also loaded inside the detection worker, so only `self` is used for globals.
+ */
+
+// Logger utility required to be loaded before this script
+
+const MEDIAPIPE_VERSION = '0.10.21';
+const TFJS_VERSION = '4.22.0';
+const BLAZEFACE_VERSION = '0.1.0';
+
+// Pinned CDN locations, used by the 'cdn' source
+const CDN_ASSETS = {
+  mediapipeBundle: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/vision_bundle.mjs`,
+  mediapipeWasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+  mediapipeModel: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite',
+  mediapipeFullRangeModel: null,  // Not published for tasks-vision, see getFullRangeModelUrl()
+  tfjs: `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@${TFJS_VERSION}/dist/tf.min.js`,
+  blazeface: `https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@${BLAZEFACE_VERSION}/dist/blazeface.min.js`,
+  blazefaceModel: null  // null = the model URL built into the pinned blazeface release
+};
+
+// Layout of a self-hosted asset directory (see fetch_web_assets.sh)
+const LOCAL_ASSET_PATHS = {
+  mediapipeBundle: 'mediapipe/vision_bundle.mjs',
+  mediapipeWasm: 'mediapipe/wasm',
+  mediapipeModel: 'models/blaze_face_short_range.tflite',
+  tfjs: 'tfjs/tf.min.js',
+  blazeface: 'tfjs/blazeface.min.js',
+  blazefaceModel: 'models/blazeface/model.json'
+};
+
+// Served app files first, pinned CDN last
+const DEFAULT_ASSET_SOURCES = ['vendor/', 'cdn'];
+
+/**
+ * Get the configured asset sources in fallback order
+ * Each entry is either 'cdn' or a base path/URL of a self-hosted asset directory.
+ * @returns {string[]}
+ */
+function getAssetSources() {
+  const config = self.FacePixelConfig || {};
+  const sources = Array.isArray(config.assetSources) ? config.assetSources : DEFAULT_ASSET_SOURCES;
+  return sources.length > 0 ? sources : DEFAULT_ASSET_SOURCES;
+}
+
+/**
+ * Base URI that relative asset sources resolve against
+ * Workers have no document; the page passes its baseURI in FacePixelConfig.
+ * @returns {string}
+ */
+function getAssetBaseUri() {
+  if (typeof document !== 'undefined') {
+    return document.baseURI;
+  }
+  const config = self.FacePixelConfig || {};
+  return config.baseURI || self.location.href;
+}
+
+/**
+ * URL of the configured full-range MediaPipe model
+ * @returns {string|null} Absolute URL, or null when FacePixelConfig.fullRangeModel is not set
+ */
+function getFullRangeModelUrl() {
+  const config = self.FacePixelConfig || {};
+  return config.fullRangeModel ? new URL(config.fullRangeModel, getAssetBaseUri()).href : null;
+}
+
+/**
+ * Resolve every asset URL for one source
+ * @param {string} source - 'cdn' or a base path ending in '/'
+ * @returns {object} Asset URLs keyed like CDN_ASSETS
+ */
+function resolveAssetUrls(source) {
+  if (source === 'cdn') {
+    return Object.assign({}, CDN_ASSETS, { mediapipeFullRangeModel: getFullRangeModelUrl() });
+  }
+
+  const base = source.endsWith('/') ? source : `${source}/`;
+  const urls = { mediapipeFullRangeModel: getFullRangeModelUrl() };
+  for (const key of Object.keys(LOCAL_ASSET_PATHS)) {
+    // Dynamic import() and WASM loading need absolute URLs, relative paths
+    // resolve against the page (respects <base href>)
+    urls[key] = new URL(base + LOCAL_ASSET_PATHS[key], getAssetBaseUri()).href;
+  }
+  return urls;
+}
+
+/**
+ * Run a loader against each asset source until one succeeds
+ * A source is used all-or-nothing so library, WASM and model versions always match.
+ * Dispatches a 'faceDetectionError' window event when every source fails.
+ * @param {string} label - Name used in logs and the error event (e.g. 'mediapipe')
+ * @param {function} loader - async (urls, source) => result, throws on failure
+ * @returns {Promise<*>} Result of the first successful loader call
+ */
+async function loadFromAssetSources(label, loader) {
+  const attempts = [];
+
+  for (const source of getAssetSources()) {
+    try {
+      AppLogger.debug(`Loading ${label} assets from ${source}`, 'web');
+      const result = await loader(resolveAssetUrls(source), source);
+      AppLogger.info(`Loaded ${label} assets from ${source}`, 'web');
+      return result;
+    } catch (error) {
+      AppLogger.warning(`Could not load ${label} assets from ${source}: ${error.message || error}`, 'web');
+      attempts.push({ source: source, error: String(error.message || error) });
+    }
+  }
+
+  AppLogger.error(`All asset sources failed for ${label}`, 'web');
+  const error = new Error(`Could not load ${label} from any configured source`);
+  error.code = 'assets-unavailable';
+  error.attempts = attempts;
+
+  // Inside a worker the detection worker client reports the failure instead
+  if (typeof window !== 'undefined') {
+    dispatchAssetError(label, error);
+  }
+
+  throw error;
+}
+
+/**
+ * Notify Flutter that a backend's assets could not be loaded from any source
+ * @param {string} label - Backend name
+ * @param {Error} error - Error thrown by loadFromAssetSources
+ */
+function dispatchAssetError(label, error) {
+  window.dispatchEvent(new CustomEvent('faceDetectionError', {
+    detail: {
+      code: 'assets-unavailable',
+      backend: label,
+      message: error.message,
+      attempts: error.attempts || []
+    }
+  }));
+}
@@ -1,162 +1,142 @@
 /**
- * TensorFlow.js BlazeFace Face Detection for Web
+ * TensorFlow.js BlazeFace Face Detection adapter
  * Alternative to MediaPipe with potentially better performance
  */
 
-// Logger utility required to be loaded before this script
+// Logger, face_detection_assets.js and face_detection_adapters.js required to be loaded before this script
 
-let blazeFaceModel = null;
-let isDetectorReady = false;
-let videoElement = null;
-let detectionLoop = null;
-let onFacesDetectedCallback = null;
+const BLAZEFACE_CAPABILITIES = {
+  keypoints: true,
+  gpu: true,
+  imageMode: true,
+  modelRanges: ['short']
+};
 
 /**
- * Initialize BlazeFace Face Detection
+ * Create a BlazeFace detector adapter
+ * @returns {object} Adapter implementing the contract in face_detection_adapters.js
  */
-async function initializeFaceDetection() {
-  AppLogger.info('Initializing BlazeFace', 'web');
-
-  try {
-    // Load BlazeFace model
-    // returnTensors: false for better performance
-    // maxFaces: 10 to detect multiple faces
-    blazeFaceModel = await blazeface.load({
-      maxFaces: 10,
-      iouThreshold: 0.3,  // Lower = more overlapping detections allowed
-      scoreThreshold: 0.5  // Confidence threshold (0-1)
-    });
-
-    isDetectorReady = true;
-    AppLogger.info('BlazeFace initialized', 'web');
-    return true;
-  } catch (error) {
-    AppLogger.error('BlazeFace initialization failed', 'web', error);
-    return false;
-  }
-}
-
-/**
- * Start face detection on a video element
- * @param {string} videoElementId - ID of the video element
- * @param {string} callbackName - Name of the global callback function (optional)
- */
-function startFaceDetection(videoElementId, callbackName) {
-  AppLogger.info(`Starting face detection on video: ${videoElementId}`, 'web');
-
-  videoElement = document.getElementById(videoElementId);
-  if (!videoElement) {
-    AppLogger.error(`Video element not found: ${videoElementId}`, 'web');
-    return false;
-  }
-
-  // Set callback - either use named function or dispatch event
-  if (callbackName && window[callbackName]) {
-    onFacesDetectedCallback = window[callbackName];
-  } else {
-    // Use custom event for callback
-    onFacesDetectedCallback = (faces) => {
-      const event = new CustomEvent('facesDetected', {
-        detail: { faces: faces }
-      });
-      window.dispatchEvent(event);
-    };
-  }
-
-  // Start detection loop (throttled to ~30 FPS)
-  const detectFrame = async () => {
-    if (blazeFaceModel && videoElement && videoElement.readyState >= 2) {
+function createBlazeFaceAdapter() {
+  let blazeFaceModel = null;
+  let config = null;
+
+  /**
+   * Select the TensorFlow.js backend for the requested delegate
+   * WebGL is tried for 'GPU' and falls back to the CPU backend when unavailable.
+   * @returns {Promise<string>} Delegate in use
+   */
+  async function selectTfBackend(delegate) {
+    if (delegate === 'GPU') {
       try {
-        // Run face detection
-        const predictions = await blazeFaceModel.estimateFaces(videoElement, false);
-
-        // Convert predictions to our face format
-        const faces = [];
-        const width = videoElement.videoWidth;
-        const height = videoElement.videoHeight;
-
-        for (const prediction of predictions) {
-          // BlazeFace returns topLeft and bottomRight coordinates
-          const topLeft = prediction.topLeft;
-          const bottomRight = prediction.bottomRight;
-
-          const face = {
-            x: Math.round(topLeft[0]),
-            y: Math.round(topLeft[1]),
-            width: Math.round(bottomRight[0] - topLeft[0]),
-            height: Math.round(bottomRight[1] - topLeft[1])
-          };
-
-          // Clamp to video bounds
-          face.x = Math.max(0, Math.min(face.x, width));
-          face.y = Math.max(0, Math.min(face.y, height));
-          face.width = Math.max(0, Math.min(face.width, width - face.x));
-          face.height = Math.max(0, Math.min(face.height, height - face.y));
-
-          faces.push(face);
-        }
-
-        // Call callback with detected faces
-        if (onFacesDetectedCallback) {
-          onFacesDetectedCallback(faces);
+        if (await tf.setBackend('webgl')) {
+          await tf.ready();
+          return 'GPU';
         }
       } catch (error) {
-        AppLogger.error('Detection error', 'web', error);
+        AppLogger.debug(`WebGL backend failed: ${error.message || error}`, 'web');
       }
+      AppLogger.warning('WebGL unavailable, falling back to CPU', 'web');
     }
 
-    // Continue loop
-    if (detectionLoop) {
-      setTimeout(() => requestAnimationFrame(detectFrame), 33); // ~30 FPS
-    }
-  };
+    await tf.setBackend('cpu');
+    await tf.ready();
+    return 'CPU';
+  }
 
-  detectionLoop = true;
-  detectFrame();
+  return {
+    name: 'blazeface',
+
+    capabilities: Object.assign({}, BLAZEFACE_CAPABILITIES),
+
+    /**
+     * Initialize BlazeFace Face Detection
+     * BlazeFace has no running modes; every frame is detected independently.
+     * Only a short-range model exists, so modelRange 'full' is reported as 'short'.
+     * @param {object} options - DEFAULT_DETECTOR_OPTIONS keys
+     */
+    init: async function (options) {
+      AppLogger.info('Initializing BlazeFace', 'web');
+      const detectorOptions = mergeDetectorOptions(DEFAULT_DETECTOR_OPTIONS, options);
+      if (detectorOptions.modelRange !== 'short') {
+        AppLogger.warning('BlazeFace has no full-range model, using short range', 'web');
+        detectorOptions.modelRange = 'short';
+      }
 
-  AppLogger.debug('Detection loop started', 'web');
-  return true;
-}
+      // Libraries are only fetched when this backend is selected
+      await loadFromAssetSources('blazeface', async (urls) => {
+        // A source that failed after loading TensorFlow.js leaves it in place;
+        // loading it again would register a second copy
+        if (typeof tf === 'undefined') {
+          AppLogger.debug('Loading TensorFlow.js', 'web');
+          await loadScript(urls.tfjs);
+        }
+        if (typeof blazeface === 'undefined') {
+          AppLogger.debug('Loading BlazeFace', 'web');
+          await loadScript(urls.blazeface);
+        }
 
-/**
- * Stop face detection
- */
-function stopFaceDetection() {
-  AppLogger.info('Stopping face detection', 'web');
-  detectionLoop = false;
-  onFacesDetectedCallback = null;
-  videoElement = null;
-}
+        const delegate = await selectTfBackend(detectorOptions.delegate);
 
-/**
- * Check if face detection is ready
- * @returns {boolean}
- */
-function isFaceDetectionReady() {
-  return isDetectorReady;
-}
+        // maxFaces: 10 to detect multiple faces
+        const modelOptions = {
+          maxFaces: 10,
+          iouThreshold: detectorOptions.suppressionThreshold,  // Lower = fewer overlapping detections
+          scoreThreshold: detectorOptions.minConfidence  // Confidence threshold (0-1)
+        };
+        if (urls.blazefaceModel) {
+          modelOptions.modelUrl = urls.blazefaceModel;
+        }
+        blazeFaceModel = await blazeface.load(modelOptions);
+        config = Object.assign({}, detectorOptions, { delegate: delegate });
+      });
 
-/**
- * Get video dimensions
- * @param {string} videoElementId - ID of the video element
- * @returns {object} Width and height
- */
-function getVideoDimensions(videoElementId) {
-  const video = document.getElementById(videoElementId);
-  if (video) {
-    return {
-      width: video.videoWidth,
-      height: video.videoHeight
-    };
-  }
-  return { width: 0, height: 0 };
-}
+      AppLogger.info('BlazeFace initialized', 'web');
+      return true;
+    },
+
+    getConfig: function () {
+      return Object.assign({}, config);
+    },
+
+    /**
+     * Run detection on a video frame
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} frame - Frame source
+     * @param {number} timestamp - Unused, BlazeFace is stateless per frame
+     * @returns {Promise<object[]>} Raw boxes in natural video coordinates
+     */
+    detect: async function (frame, timestamp) {
+      // returnTensors: false so predictions come back as plain arrays
+      const predictions = await blazeFaceModel.estimateFaces(frame, false);
+      const boxes = [];
+
+      for (const prediction of predictions) {
+        // BlazeFace returns topLeft and bottomRight coordinates
+        const topLeft = prediction.topLeft;
+        const bottomRight = prediction.bottomRight;
+        const probability = Array.isArray(prediction.probability)
+          ? prediction.probability[0]
+          : prediction.probability;
+
+        boxes.push({
+          x: topLeft[0],
+          y: topLeft[1],
+          width: bottomRight[0] - topLeft[0],
+          height: bottomRight[1] - topLeft[1],
+          confidence: probability !== undefined ? probability : DEFAULT_DETECTION_CONFIDENCE,
+          keypoints: nameKeypoints(prediction.landmarks || [])
+        });
+      }
+
+      return boxes;
+    },
 
-// Auto-initialize when the script loads
-if (typeof blazeface !== 'undefined') {
-  initializeFaceDetection().then(() => {
-    AppLogger.info('BlazeFace ready for use', 'web');
-  });
-} else {
-  AppLogger.error('BlazeFace library not loaded', 'web');
+    dispose: function () {
+      if (blazeFaceModel && blazeFaceModel.dispose) {
+        blazeFaceModel.dispose();
+      }
+      blazeFaceModel = null;
+    }
+  };
 }
+
+FaceDetectorBackends.register('blazeface', createBlazeFaceAdapter, BLAZEFACE_CAPABILITIES);
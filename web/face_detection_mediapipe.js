@@ -0,0 +1,173 @@
+/**
+ * MediaPipe Face Detection adapter (NEW TASKS-VISION API)
+ * Official implementation matching https://codepen.io/mediapipe-preview/pen/OJByWQr
+ */
+
+// Logger, face_detection_assets.js and face_detection_adapters.js required to be loaded before this script
+
+// 'full' only when a full-range model is configured (see face_detection_assets.js)
+const MEDIAPIPE_CAPABILITIES = {
+  keypoints: true,
+  gpu: true,
+  imageMode: true,
+  modelRanges: getFullRangeModelUrl() ? ['short', 'full'] : ['short']
+};
+
+/**
+ * Create a MediaPipe detector adapter
+ * @returns {object} Adapter implementing the contract in face_detection_adapters.js
+ */
+function createMediaPipeAdapter() {
+  let FaceDetector = null;
+  let FilesetResolver = null;
+  let faceDetector = null;
+  let runningMode = 'VIDEO';
+  let config = null;
+
+  /**
+   * Load MediaPipe library dynamically as ES module
+   * @param {string} bundleUrl - URL of vision_bundle.mjs
+   */
+  async function loadMediaPipeLibrary(bundleUrl) {
+    AppLogger.info('Importing MediaPipe library', 'web');
+
+    const vision = await import(bundleUrl);
+
+    FaceDetector = vision.FaceDetector;
+    FilesetResolver = vision.FilesetResolver;
+
+    if (!FaceDetector || !FilesetResolver) {
+      throw new Error('FaceDetector or FilesetResolver not exported from module');
+    }
+
+    AppLogger.info('MediaPipe library loaded', 'web');
+    return true;
+  }
+
+  /**
+   * Create the detector, retrying on the CPU when the GPU delegate is unavailable
+   * @returns {Promise<string>} Delegate in use
+   */
+  async function createDetector(vision, modelUrl, options) {
+    const create = (delegate) => FaceDetector.createFromOptions(vision, {
+      baseOptions: {
+        modelAssetPath: modelUrl,
+        delegate: delegate
+      },
+      runningMode: runningMode,  // VIDEO for live camera and video files, IMAGE for stills
+      minDetectionConfidence: options.minConfidence,  // Detection confidence threshold
+      minSuppressionThreshold: options.suppressionThreshold   // Non-maximum suppression threshold
+    });
+
+    if (options.delegate === 'GPU') {
+      try {
+        faceDetector = await create('GPU');
+        return 'GPU';
+      } catch (error) {
+        AppLogger.warning(`GPU delegate unavailable, falling back to CPU: ${error.message || error}`, 'web');
+      }
+    }
+
+    faceDetector = await create('CPU');
+    return 'CPU';
+  }
+
+  return {
+    name: 'mediapipe',
+
+    capabilities: Object.assign({}, MEDIAPIPE_CAPABILITIES),
+
+    /**
+     * Initialize MediaPipe Face Detection using the new tasks-vision API
+     * Without a configured full-range model, modelRange 'full' is reported as 'short'.
+     * @param {object} options - { runningMode: 'VIDEO' | 'IMAGE' } plus DEFAULT_DETECTOR_OPTIONS keys
+     */
+    init: async function (options) {
+      const detectorOptions = mergeDetectorOptions(DEFAULT_DETECTOR_OPTIONS, options);
+      runningMode = (options && options.runningMode) || 'VIDEO';
+      if (detectorOptions.modelRange === 'full' && !getFullRangeModelUrl()) {
+        AppLogger.warning('No full-range model configured (FacePixelConfig.fullRangeModel), using short range', 'web');
+        detectorOptions.modelRange = 'short';
+      }
+
+      await loadFromAssetSources('mediapipe', async (urls) => {
+        const modelUrl = detectorOptions.modelRange === 'full'
+          ? urls.mediapipeFullRangeModel
+          : urls.mediapipeModel;
+
+        AppLogger.debug('Loading MediaPipe library', 'web');
+        await loadMediaPipeLibrary(urls.mediapipeBundle);
+
+        AppLogger.debug('Loading vision task files', 'web');
+        const vision = await FilesetResolver.forVisionTasks(urls.mediapipeWasm);
+
+        AppLogger.debug(`Creating FaceDetector (${detectorOptions.modelRange} range, ${detectorOptions.delegate})`, 'web');
+        const delegate = await createDetector(vision, modelUrl, detectorOptions);
+        config = Object.assign({}, detectorOptions, { delegate: delegate });
+      });
+
+      return true;
+    },
+
+    getConfig: function () {
+      return Object.assign({}, config);
+    },
+
+    /**
+     * Run detection on a video frame
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} frame - Frame source
+     * @param {number} timestamp - Monotonic frame timestamp in ms (VIDEO mode only)
+     * @returns {Promise<object[]>} Raw boxes in natural video coordinates
+     */
+    detect: async function (frame, timestamp) {
+      const result = runningMode === 'IMAGE'
+        ? faceDetector.detect(frame)
+        : faceDetector.detectForVideo(frame, timestamp);
+      const frameSize = getFrameSize(frame);
+      const boxes = [];
+
+      if (!result || !result.detections) {
+        return boxes;
+      }
+
+      for (const detection of result.detections) {
+        const box = detection.boundingBox;
+
+        // MediaPipe Face Detector returns detections but confidence varies by model
+        // Try multiple sources for confidence score
+        let confidence = DEFAULT_DETECTION_CONFIDENCE;
+        if (detection.categories && detection.categories[0]) {
+          confidence = detection.categories[0].score;
+        } else if (detection.score !== undefined) {
+          confidence = detection.score;
+        }
+
+        // Keypoints are normalized to the input frame
+        const keypoints = (detection.keypoints || []).map((point) => [
+          point.x * frameSize.width,
+          point.y * frameSize.height
+        ]);
+
+        boxes.push({
+          x: box.originX,
+          y: box.originY,
+          width: box.width,
+          height: box.height,
+          confidence: confidence,
+          keypoints: nameKeypoints(keypoints)
+        });
+      }
+
+      return boxes;
+    },
+
+    dispose: function () {
+      if (faceDetector) {
+        faceDetector.close();
+        faceDetector = null;
+      }
+    }
+  };
+}
+
+FaceDetectorBackends.register('mediapipe', createMediaPipeAdapter, MEDIAPIPE_CAPABILITIES);
@@ -0,0 +1,105 @@
+/**
+ * Face detection worker
+ * Runs a detector backend off the main thread so inference never stalls
+ * Flutter's rendering. Frames arrive as transferred ImageBitmaps and results
+ * go back with the frame's id and timestamp.
+ *
+ * Messages in:
+ *   { type: 'init', backend, options, config }
+ *   { type: 'detect', frameId, timestamp, frame: ImageBitmap }
+ *   { type: 'dispose' }
+ * Messages out:
+ *   { type: 'ready', capabilities, config }
+ *   { type: 'result', frameId, timestamp, boxes }
+ *   { type: 'error', frameId, message, code, attempts }
+ *   { type: 'log', entry }   (warnings and errors, see logger.js)
+ */
+
+importScripts(
+  'logger.js',
+  'face_transform.js',
+  'face_detection_assets.js',
+  'face_detection_adapters.js',
+  'face_detection_mediapipe.js',
+  'face_detection_blazeface.js'
+);
+
+let workerDetector = null;
+
+/**
+ * Initialize the requested backend inside the worker
+ */
+async function initWorkerDetector(message) {
+  // Asset sources and the page's base URI come from the main thread
+  self.FacePixelConfig = message.config || {};
+
+  try {
+    const adapter = FaceDetectorBackends.create(message.backend);
+    await adapter.init(message.options);
+
+    if (workerDetector) {
+      workerDetector.dispose();
+    }
+    workerDetector = adapter;
+
+    self.postMessage({ type: 'ready', capabilities: adapter.capabilities, config: adapter.getConfig() });
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      frameId: null,
+      message: String(error.message || error),
+      code: error.code || 'init-failed',
+      attempts: error.attempts || []
+    });
+  }
+}
+
+/**
+ * Detect faces in one transferred frame
+ */
+async function detectWorkerFrame(message) {
+  const frame = message.frame;
+
+  try {
+    if (!workerDetector) {
+      throw new Error('Worker detector not initialized');
+    }
+    const boxes = await workerDetector.detect(frame, message.timestamp);
+    self.postMessage({
+      type: 'result',
+      frameId: message.frameId,
+      timestamp: message.timestamp,
+      boxes: boxes
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      frameId: message.frameId,
+      message: String(error.message || error),
+      code: 'detect-failed'
+    });
+  } finally {
+    // Release the bitmap's memory right away instead of waiting for GC
+    frame.close();
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'init':
+      initWorkerDetector(message);
+      break;
+    case 'detect':
+      detectWorkerFrame(message);
+      break;
+    case 'dispose':
+      if (workerDetector) {
+        workerDetector.dispose();
+        workerDetector = null;
+      }
+      self.close();
+      break;
+  }
+};
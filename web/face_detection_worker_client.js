@@ -0,0 +1,171 @@
+/**
+ * Worker-backed detector adapter
+ * Wraps any registered backend so it runs in face_detection_worker.js.
+ * Implements the same adapter contract as the backends themselves, so the
+ * detection loop does not know whether inference happens on the main thread.
+ *
+ * Results are kept however long inference took, so slow devices (CPU/WASM)
+ * still redact every detected frame. A result is dropped (detect resolves to
+ * null) only when a newer frame's result has already arrived, so boxes never
+ * move back to an older frame.
+ */
+
+// Logger, face_detection_assets.js and face_detection_adapters.js required to be loaded before this script
+
+const WORKER_SCRIPT_URL = 'face_detection_worker.js';
+
+/**
+ * Check whether this browser can run detection in a worker
+ * OffscreenCanvas is needed for the GPU delegate inside the worker.
+ * @returns {boolean}
+ */
+function supportsWorkerDetection() {
+  return typeof Worker !== 'undefined' &&
+    typeof createImageBitmap === 'function' &&
+    typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Create an adapter that runs a backend inside a Web Worker
+ * @param {string} backendName - Registered backend to run in the worker
+ * @returns {object} Adapter implementing the contract in face_detection_adapters.js
+ */
+function createWorkerDetectorAdapter(backendName) {
+  let worker = null;
+  let nextFrameId = 1;
+  // Newest frame whose result was delivered
+  let latestResultId = 0;
+  let config = null;
+  // Set when the worker crashed; later detect() calls reject with it
+  let failure = null;
+  const pending = {};
+
+  function disposedError() {
+    return new Error('Detection worker disposed');
+  }
+
+  function rejectAllPending(error) {
+    for (const frameId of Object.keys(pending)) {
+      pending[frameId].reject(error);
+      delete pending[frameId];
+    }
+  }
+
+  function handleMessage(event) {
+    const message = event.data;
+    if (message.type === 'log') {
+      AppLogger.importEntry(message.entry);
+      return;
+    }
+    const request = message.frameId !== null ? pending[message.frameId] : null;
+    if (!request) {
+      return;
+    }
+    delete pending[message.frameId];
+
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+      return;
+    }
+
+    if (message.frameId < latestResultId) {
+      AppLogger.debug(`Dropping worker result for frame ${message.frameId}, frame ${latestResultId} is newer`, 'web');
+      request.resolve(null);
+      return;
+    }
+    latestResultId = message.frameId;
+    request.resolve(message.boxes);
+  }
+
+  return {
+    name: backendName,
+
+    capabilities: Object.assign(FaceDetectorBackends.capabilities(backendName), { worker: true }),
+
+    /**
+     * Start the worker and initialize the backend inside it
+     * @param {object} options - Passed through to the backend's init()
+     */
+    init: function (options) {
+      return new Promise((resolve, reject) => {
+        worker = new Worker(WORKER_SCRIPT_URL);
+
+        worker.onmessage = (event) => {
+          const message = event.data;
+          if (message.type === 'log') {
+            AppLogger.importEntry(message.entry);
+          } else if (message.type === 'ready') {
+            worker.onmessage = handleMessage;
+            config = message.config;
+            AppLogger.info(`Detection worker ready (${backendName})`, 'web');
+            resolve(true);
+          } else if (message.type === 'error' && message.frameId === null) {
+            const error = new Error(message.message);
+            error.code = message.code;
+            error.attempts = message.attempts;
+            if (error.code === 'assets-unavailable') {
+              dispatchAssetError(backendName, error);
+            }
+            reject(error);
+          }
+        };
+        worker.onerror = (event) => {
+          const error = new Error(`Detection worker failed: ${event.message}`);
+          AppLogger.error(error.message, 'web');
+          // A crashed worker never answers again
+          failure = error;
+          worker.terminate();
+          worker = null;
+          rejectAllPending(error);
+          reject(error);
+        };
+
+        worker.postMessage({
+          type: 'init',
+          backend: backendName,
+          options: options,
+          config: Object.assign({}, window.FacePixelConfig, { baseURI: document.baseURI })
+        });
+      });
+    },
+
+    getConfig: function () {
+      return Object.assign({}, config);
+    },
+
+    /**
+     * Send a frame to the worker
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} frame - Frame source
+     * @param {number} timestamp - Monotonic frame timestamp in ms
+     * @returns {Promise<object[]|null>} Raw boxes, or null when a newer frame's result came first
+     */
+    detect: async function (frame, timestamp) {
+      if (!worker) {
+        throw failure || disposedError();
+      }
+      const bitmap = await createImageBitmap(frame);
+      // Disposed or crashed while the bitmap was being created
+      if (!worker) {
+        bitmap.close();
+        throw failure || disposedError();
+      }
+      const frameId = nextFrameId++;
+
+      return new Promise((resolve, reject) => {
+        pending[frameId] = { resolve: resolve, reject: reject };
+        worker.postMessage(
+          { type: 'detect', frameId: frameId, timestamp: timestamp, frame: bitmap },
+          [bitmap]
+        );
+      });
+    },
+
+    dispose: function () {
+      if (worker) {
+        worker.postMessage({ type: 'dispose' });
+        worker = null;
+      }
+      rejectAllPending(disposedError());
+    }
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Fail-closed privacy mode
+ * Opt-in guard that covers the whole frame (blur or black) whenever the
+ * detector cannot be trusted, instead of showing raw faces:
+ *
+ *   'not-ready' - no detector loaded yet, or its initialization failed
+ *   'error'     - the detector threw errorThreshold times in a row
+ *   'unhealthy' - no successful detection for maxDetectionGapMs (stalled
+ *                 worker, late results, frozen inference)
+ *
+ * After closing, the frame stays covered until recoverFrames detections in a
+ * row have succeeded. Frames predicted by the governor count neither way.
+ */
+
+// Logger utility required to be loaded before this script
+
+const FAILSAFE_COVERS = ['blur', 'black'];
+
+const DEFAULT_FAILSAFE_OPTIONS = {
+  enabled: false,
+  cover: 'blur',            // 'blur' (strongest blur) or 'black'
+  errorThreshold: 1,        // Consecutive detector errors before covering
+  maxDetectionGapMs: 1000,  // Longest time without a successful detection
+  recoverFrames: 3          // Successful detections in a row before uncovering
+};
+
+// Redaction settings each cover is drawn with (overlay and output canvas)
+const FAILSAFE_COVER_SETTINGS = {
+  blur: { style: 'blur', shape: 'rect', level: 100 },
+  black: { style: 'solid', shape: 'rect', level: 100, color: '#000000' }
+};
+
+/**
+ * Merge partial fail-safe options, ignoring invalid values
+ * @param {object} current - Current options
+ * @param {object} partial - Options to change
+ * @returns {object} New effective options
+ */
+function mergeFailSafeOptions(current, partial) {
+  const next = Object.assign({}, current);
+  if (!partial) {
+    return next;
+  }
+
+  if (partial.enabled !== undefined) {
+    next.enabled = Boolean(partial.enabled);
+  }
+  if (FAILSAFE_COVERS.indexOf(partial.cover) !== -1) {
+    next.cover = partial.cover;
+  } else if (partial.cover !== undefined) {
+    AppLogger.warning(`Unknown fail-safe cover: ${partial.cover}`, 'web');
+  }
+  if (typeof partial.errorThreshold === 'number' && partial.errorThreshold >= 1) {
+    next.errorThreshold = Math.round(partial.errorThreshold);
+  }
+  if (typeof partial.maxDetectionGapMs === 'number' && partial.maxDetectionGapMs > 0) {
+    next.maxDetectionGapMs = partial.maxDetectionGapMs;
+  }
+  if (typeof partial.recoverFrames === 'number' && partial.recoverFrames >= 1) {
+    next.recoverFrames = Math.round(partial.recoverFrames);
+  }
+
+  return next;
+}
+
+/**
+ * Create a fail-safe monitor fed by the detection loop
+ * @param {object} options - Initial options (see DEFAULT_FAILSAFE_OPTIONS)
+ * @returns {object} Monitor with reportSuccess(), reportError(), evaluate(),
+ *   coverStyle(), getState(), setOptions(), getOptions(), reset()
+ */
+function createFailSafeMonitor(options) {
+  let settings = mergeFailSafeOptions(DEFAULT_FAILSAFE_OPTIONS, options);
+  let consecutiveErrors = 0;
+  let consecutiveSuccesses = 0;
+  let lastSuccessTime = null;
+  let lastError = null;
+  let closed = false;
+  let reason = null;
+  let since = null;
+
+  /**
+   * Why the frame should be covered right now, or null when it is safe
+   */
+  function currentReason(ready, now) {
+    if (!ready) {
+      return 'not-ready';
+    }
+    if (consecutiveErrors >= settings.errorThreshold) {
+      return 'error';
+    }
+    if (lastSuccessTime === null) {
+      return 'not-ready';
+    }
+    if (now - lastSuccessTime > settings.maxDetectionGapMs) {
+      return 'unhealthy';
+    }
+    return null;
+  }
+
+  const monitor = {
+    /**
+     * Record a completed detection (with or without faces)
+     * @param {number} now - Timestamp in ms (performance.now())
+     */
+    reportSuccess: function (now) {
+      consecutiveErrors = 0;
+      consecutiveSuccesses++;
+      lastSuccessTime = now;
+    },
+
+    /**
+     * Record a detector failure
+     * @param {Error} error - What went wrong
+     */
+    reportError: function (error) {
+      consecutiveErrors++;
+      consecutiveSuccesses = 0;
+      lastError = error ? String(error.message || error) : null;
+    },
+
+    /**
+     * Update the covered state
+     * @param {boolean} ready - Whether a detector is loaded
+     * @param {number} now - Timestamp in ms (performance.now())
+     * @returns {boolean} Whether the state changed
+     */
+    evaluate: function (ready, now) {
+      let nextClosed = false;
+      let nextReason = null;
+
+      if (settings.enabled) {
+        nextReason = currentReason(ready, now);
+        if (nextReason === null && closed && consecutiveSuccesses < settings.recoverFrames) {
+          // Still recovering; keep the reason that closed the frame
+          nextReason = reason;
+        }
+        nextClosed = nextReason !== null;
+      }
+
+      if (nextClosed === closed && nextReason === reason) {
+        return false;
+      }
+      if (nextClosed && !closed) {
+        consecutiveSuccesses = 0;
+      }
+      closed = nextClosed;
+      reason = nextReason;
+      since = now;
+      return true;
+    },
+
+    /**
+     * @returns {string|null} Cover to draw ('blur' or 'black'), or null when open
+     */
+    coverStyle: function () {
+      return closed ? settings.cover : null;
+    },
+
+    /**
+     * @returns {object} { enabled, closed, reason, cover, since, consecutiveErrors, lastError }
+     */
+    getState: function () {
+      return {
+        enabled: settings.enabled,
+        closed: closed,
+        reason: reason,
+        cover: settings.cover,
+        since: since,
+        consecutiveErrors: consecutiveErrors,
+        lastError: lastError
+      };
+    },
+
+    /**
+     * @param {object} partial - Options to change
+     * @returns {object} Effective options
+     */
+    setOptions: function (partial) {
+      settings = mergeFailSafeOptions(settings, partial);
+      return Object.assign({}, settings);
+    },
+
+    getOptions: function () {
+      return Object.assign({}, settings);
+    },
+
+    /**
+     * Forget detection history (e.g. after the camera stopped)
+     * The covered state is kept until the next evaluate().
+     */
+    reset: function () {
+      consecutiveErrors = 0;
+      consecutiveSuccesses = 0;
+      lastSuccessTime = null;
+      lastError = null;
+    }
+  };
+
+  return monitor;
+}
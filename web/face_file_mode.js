@@ -0,0 +1,388 @@
+/**
+ * Offline file mode
+ * Anonymizes uploaded photos and recorded videos with the same detector
+ * backends, tracker and compositor as the live camera. Stills use the IMAGE
+ * running mode; video files are paused and stepped through frame by frame in
+ * VIDEO mode, then re-encoded from the anonymized canvas. A detector error
+ * fails the job: no frame that was not detected is ever exported. Exported
+ * videos have no audio track (the file is never played back).
+ *
+ * Progress is reported with 'fileProgress' window events:
+ *   { fileName, kind: 'image'|'video', state: 'loading'|'processing'|'done'|'error', progress (0-1), message }
+ */
+
+// Logger, detector adapters, face_tracking.js, face_compositor.js,
+// face_detection.js and face_recording.js required to be loaded before this script
+
+// Effect strength is scaled as if the file were shown at the preview width
+const FILE_REFERENCE_WIDTH = 640;
+
+// Frames per second of an exported video; every one of them is detected
+const FILE_FRAME_RATE = RECORDING_FRAME_RATE;
+
+// Longest wait for a video file to report its duration or finish a seek
+const FILE_VIDEO_TIMEOUT_MS = 10000;
+
+let fileJobActive = false;
+
+/**
+ * Notify Flutter about file processing progress
+ */
+function dispatchFileProgress(fileName, kind, state, progress, message) {
+  window.dispatchEvent(new CustomEvent('fileProgress', {
+    detail: {
+      fileName: fileName,
+      kind: kind,
+      state: state,
+      progress: progress,
+      message: message || null
+    }
+  }));
+}
+
+/**
+ * Create and initialize a detector instance dedicated to file processing
+ * Kept separate from the live detector so running modes and timestamps never mix.
+ * @param {string} runningMode - 'IMAGE' or 'VIDEO'
+ * @returns {Promise<object>} Initialized adapter
+ */
+async function createFileDetector(runningMode) {
+  const adapter = FaceDetectorBackends.create(defaultSession.getDetectorConfig().backend);
+  await adapter.init(Object.assign(defaultSession.getDetectorOptions(), { runningMode: runningMode }));
+  return adapter;
+}
+
+/**
+ * Redaction options for file output, always enabled regardless of the live toggle
+ */
+function fileRedactionOptions(width) {
+  return Object.assign(defaultSession.getRedactionSettings(), {
+    enabled: true,
+    displayScale: width / FILE_REFERENCE_WIDTH,
+    mirror: false
+  });
+}
+
+/**
+ * Load an image file into an <img> element
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not decode the image'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Anonymize a still image
+ * @param {File} file - Image file
+ * @param {object} options - { mimeType: 'image/png'|'image/jpeg', quality }
+ * @returns {Promise<Blob>} Redacted image
+ */
+async function anonymizeImageFile(file, options) {
+  dispatchFileProgress(file.name, 'image', 'loading', 0);
+  const image = await loadImageFile(file);
+
+  const adapter = await createFileDetector('IMAGE');
+  try {
+    dispatchFileProgress(file.name, 'image', 'processing', 0.5);
+
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const boxes = await adapter.detect(image, 0);
+    const faces = normalizeDetections(boxes, width, height, {
+      mirror: false,
+      minFaceSize: defaultSession.getDetectorOptions().minFaceSize
+    });
+
+    const fileCompositor = createFaceCompositor();
+    fileCompositor.render(image, faces, fileRedactionOptions(width));
+
+    const mimeType = options.mimeType || (file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png');
+    const blob = await new Promise((resolve, reject) => {
+      fileCompositor.canvas.toBlob((result) => {
+        if (result) {
+          resolve(result);
+        } else {
+          reject(new Error('Failed to encode redacted image'));
+        }
+      }, mimeType, options.quality);
+    });
+
+    AppLogger.info(`Image anonymized: ${faces.length} faces`, 'web');
+    return blob;
+  } finally {
+    adapter.dispose();
+  }
+}
+
+/**
+ * Wait for a step of a video file, failing on a decode error or after
+ * FILE_VIDEO_TIMEOUT_MS so a broken file cannot hold the job forever
+ * @param {HTMLVideoElement} video - File video
+ * @param {string} step - Named in the timeout error, e.g. 'seek'
+ * @param {function} begin - Called with done(); installs the handler and starts the step
+ * @returns {Promise<void>}
+ */
+function waitForVideoFile(video, step, begin) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Video ${step} timed out`)), FILE_VIDEO_TIMEOUT_MS);
+    video.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error('Could not decode the video'));
+    };
+    begin(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Duration of a loaded video
+ * Files recorded with MediaRecorder often report an infinite duration until
+ * the end has been seeked to once.
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readVideoDuration(video) {
+  if (isFinite(video.duration)) {
+    return video.duration;
+  }
+  try {
+    await waitForVideoFile(video, 'duration', (done) => {
+      video.ondurationchange = () => {
+        if (isFinite(video.duration)) {
+          done();
+        }
+      };
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+    });
+  } finally {
+    video.ondurationchange = null;
+  }
+  return video.duration;
+}
+
+/**
+ * Seek a paused video and wait until the frame at that time can be drawn
+ */
+function seekVideoFile(video, time) {
+  return waitForVideoFile(video, 'seek', (done) => {
+    video.onseeked = () => done();
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Add the canvas's current frame to the recording, shown for one frame interval
+ * @param {MediaRecorder} recorder - Paused recorder of the canvas stream
+ * @param {CanvasCaptureMediaStreamTrack} track - Track captured with frame rate 0
+ * @returns {Promise<void>} Resolves once the frame's time has been recorded
+ */
+function recordFileFrame(recorder, track) {
+  recorder.resume();
+  track.requestFrame();
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      recorder.pause();
+      resolve();
+    }, 1000 / FILE_FRAME_RATE);
+  });
+}
+
+/**
+ * Anonymize a video file frame by frame and record the output
+ * The video is paused and seeked to each frame at FILE_FRAME_RATE, so every
+ * exported frame was detected. The export has no audio track.
+ * @param {File} file - Video file
+ * @param {object} options - { mimeType, videoBitsPerSecond }
+ * @returns {Promise<Blob>} Re-encoded redacted video
+ */
+async function anonymizeVideoFile(file, options) {
+  dispatchFileProgress(file.name, 'video', 'loading', 0);
+
+  const mimeType = pickRecordingMimeType(options.mimeType);
+  if (!mimeType) {
+    throw new Error('MediaRecorder is not supported in this browser');
+  }
+
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+
+  // Listen before setting src: the data may load while the detector initializes
+  const loaded = new Promise((resolve, reject) => {
+    video.onloadeddata = () => resolve();
+    video.onerror = () => reject(new Error('Could not decode the video'));
+  });
+  // Rejections are handled after the detector is ready
+  loaded.catch(() => {});
+  video.src = url;
+
+  let adapter = null;
+  let recorder = null;
+  let stream = null;
+  const tracker = createFaceTracker();
+  const fileCompositor = createFaceCompositor();
+
+  try {
+    adapter = await createFileDetector('VIDEO');
+    await loaded;
+
+    const duration = await readVideoDuration(video);
+    const width = video.videoWidth;
+    const redaction = fileRedactionOptions(width);
+    fileCompositor.canvas.width = width;
+    fileCompositor.canvas.height = video.videoHeight;
+
+    // Frames are pushed one at a time; the recorder only runs while a
+    // finished frame is shown, so the export keeps the file's timing however
+    // long detection takes
+    stream = fileCompositor.canvas.captureStream(0);
+    const canvasTrack = stream.getVideoTracks()[0];
+    const chunks = [];
+    recorder = new MediaRecorder(stream, {
+      mimeType: mimeType,
+      videoBitsPerSecond: options.videoBitsPerSecond
+    });
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    const finished = new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+    });
+
+    recorder.start();
+    recorder.pause();
+
+    // Step through the paused video so every exported frame is detected
+    const frameCount = Math.max(1, Math.ceil(duration * FILE_FRAME_RATE));
+    let lastProgress = 0;
+
+    for (let index = 0; index < frameCount; index++) {
+      const mediaTime = index / FILE_FRAME_RATE;
+      await seekVideoFile(video, mediaTime);
+
+      let boxes;
+      try {
+        boxes = await adapter.detect(video, mediaTime * 1000);
+      } catch (error) {
+        // Fail closed: a frame that was not detected must never be exported
+        AppLogger.error('File detection error, aborting the export', 'web', error);
+        throw new Error(`Face detection failed at ${mediaTime.toFixed(2)}s, export aborted`);
+      }
+      const faces = normalizeDetections(boxes, video.videoWidth, video.videoHeight, {
+        mirror: false,
+        minFaceSize: defaultSession.getDetectorOptions().minFaceSize
+      });
+      fileCompositor.render(video, tracker.update(faces, mediaTime * 1000), redaction);
+      await recordFileFrame(recorder, canvasTrack);
+
+      // Report progress in 5% steps to avoid flooding Flutter
+      const progress = (index + 1) / frameCount;
+      if (progress - lastProgress >= 0.05) {
+        lastProgress = progress;
+        dispatchFileProgress(file.name, 'video', 'processing', progress);
+      }
+    }
+
+    recorder.stop();
+    const blob = await finished;
+
+    AppLogger.info(`Video anonymized: ${frameCount} frames, ${blob.size} bytes`, 'web');
+    return blob;
+  } finally {
+    // On failure the recording is discarded with the recorder
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+    if (stream) {
+      stream.getTracks().forEach((track) => track.stop());
+    }
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+    if (adapter) {
+      adapter.dispose();
+    }
+  }
+}
+
+/**
+ * Anonymize an uploaded image or video file
+ * @param {File} file - File from an <input type="file">
+ * @param {object} options - { download: boolean, filename, mimeType, quality, videoBitsPerSecond }
+ * @returns {Promise<Blob>} Redacted file
+ */
+window.anonymizeFile = async function (file, options) {
+  const settings = options || {};
+  const kind = file.type.startsWith('video/') ? 'video' : 'image';
+
+  if (fileJobActive) {
+    throw new Error('A file is already being processed');
+  }
+  if (!file.type.startsWith('image/') && !file.type.startsWith('video/')) {
+    throw new Error(`Unsupported file type: ${file.type || 'unknown'}`);
+  }
+
+  fileJobActive = true;
+  // File names stay out of the logs, which users attach to bug reports
+  AppLogger.info(`Anonymizing ${kind} file (${file.type})`, 'web');
+
+  try {
+    const blob = kind === 'video'
+      ? await anonymizeVideoFile(file, settings)
+      : await anonymizeImageFile(file, settings);
+
+    dispatchFileProgress(file.name, kind, 'done', 1);
+
+    if (settings.download) {
+      const extension = blob.type.split('/')[1].split(';')[0].replace('jpeg', 'jpg');
+      const baseName = file.name.replace(/\.[^.]+$/, '');
+      downloadBlob(blob, settings.filename || `${baseName}-anonymized.${extension}`);
+    }
+    return blob;
+  } catch (error) {
+    AppLogger.error(`Anonymizing ${kind} file failed`, 'web', error);
+    dispatchFileProgress(file.name, kind, 'error', 0, String(error.message || error));
+    throw error;
+  } finally {
+    fileJobActive = false;
+  }
+};
+
+/**
+ * Open a file picker and anonymize the chosen file
+ * Convenience entry point for Flutter, which cannot hand over File objects directly.
+ * @param {object} options - Same as anonymizeFile; download defaults to true
+ */
+window.pickAndAnonymizeFile = function (options) {
+  const settings = Object.assign({ download: true }, options);
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*,video/*';
+  input.onchange = () => {
+    const file = input.files && input.files[0];
+    if (file) {
+      // Errors are reported through the 'fileProgress' event
+      window.anonymizeFile(file, settings).catch(() => {});
+    }
+  };
+  input.click();
+};
@@ -0,0 +1,174 @@
+/**
+ * Adaptive detection governor
+ * Measures how long each detection takes and trades detection frequency and
+ * input resolution for speed when the device cannot keep up. Frames that are
+ * skipped are covered by the tracker's predicted boxes.
+ *
+ * Levels, cheapest last:
+ *   'full'         every frame, full resolution
+ *   'reduced-rate' every 2nd frame, full resolution
+ *   'downscaled'   every 2nd frame, 3/4 resolution
+ *   'minimal'      every 3rd frame, 1/2 resolution
+ */
+
+// Logger and face_detection_adapters.js required to be loaded before this script
+
+const GOVERNOR_LEVELS = [
+  { mode: 'full', frameInterval: 1, scale: 1 },
+  { mode: 'reduced-rate', frameInterval: 2, scale: 1 },
+  { mode: 'downscaled', frameInterval: 2, scale: 0.75 },
+  { mode: 'minimal', frameInterval: 3, scale: 0.5 }
+];
+
+const DEFAULT_GOVERNOR_OPTIONS = {
+  enabled: true,
+  budgetMs: 16,       // Target detection cost per video frame
+  minSamples: 10,     // Detections measured at a level before it can change
+  smoothing: 0.1,     // Weight of the newest sample in the moving average
+  recoverRatio: 0.6   // Step back up only when the better level would use this much of the budget
+};
+
+/**
+ * Create a detection governor
+ * @param {object} options - Overrides for DEFAULT_GOVERNOR_OPTIONS
+ * @returns {object} Governor with shouldDetect(), prepareFrame(), record(),
+ *   getState(), setOptions(), reset()
+ */
+function createDetectionGovernor(options) {
+  let settings = Object.assign({}, DEFAULT_GOVERNOR_OPTIONS, options);
+  let levelIndex = 0;
+  let averageMs = 0;
+  let samples = 0;
+  let framesSinceDetection = Infinity;
+  let scratchCanvas = null;
+
+  function currentLevel() {
+    return settings.enabled ? GOVERNOR_LEVELS[levelIndex] : GOVERNOR_LEVELS[0];
+  }
+
+  /**
+   * Estimated detection cost per video frame at a level
+   * Inference time is assumed to follow the input's pixel count.
+   */
+  function frameCostAt(level) {
+    const current = currentLevel();
+    const pixelRatio = (level.scale * level.scale) / (current.scale * current.scale);
+    return (averageMs * pixelRatio) / level.frameInterval;
+  }
+
+  function changeLevel(index) {
+    const previous = GOVERNOR_LEVELS[levelIndex];
+    levelIndex = index;
+    samples = 0;
+    AppLogger.info(`Detection governor: ${previous.mode} -> ${GOVERNOR_LEVELS[index].mode} (${averageMs.toFixed(1)}ms per detection)`, 'web');
+  }
+
+  return {
+    /**
+     * Call once per new video frame
+     * @returns {boolean} Whether this frame should run detection
+     */
+    shouldDetect: function () {
+      framesSinceDetection++;
+      if (framesSinceDetection >= currentLevel().frameInterval) {
+        framesSinceDetection = 0;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Get the detector input for the current level
+     * Boxes detected on a downscaled frame must be divided by the returned scale.
+     * @param {HTMLVideoElement|HTMLCanvasElement} video - Source frame
+     * @returns {object} { frame, scale }
+     */
+    prepareFrame: function (video) {
+      const scale = currentLevel().scale;
+      const size = getFrameSize(video);
+      if (scale >= 1 || !size.width) {
+        return { frame: video, scale: 1 };
+      }
+
+      if (!scratchCanvas) {
+        scratchCanvas = document.createElement('canvas');
+      }
+      const width = Math.round(size.width * scale);
+      const height = Math.round(size.height * scale);
+      if (scratchCanvas.width !== width || scratchCanvas.height !== height) {
+        scratchCanvas.width = width;
+        scratchCanvas.height = height;
+      }
+      scratchCanvas.getContext('2d').drawImage(video, 0, 0, width, height);
+      return { frame: scratchCanvas, scale: width / size.width };
+    },
+
+    /**
+     * Record how long a detection took and adapt the level
+     * @param {number} durationMs - Detection time in ms
+     * @returns {boolean} Whether the level changed
+     */
+    record: function (durationMs) {
+      averageMs = averageMs === 0
+        ? durationMs
+        : averageMs + settings.smoothing * (durationMs - averageMs);
+      samples++;
+
+      if (!settings.enabled || samples < settings.minSamples) {
+        return false;
+      }
+
+      if (frameCostAt(GOVERNOR_LEVELS[levelIndex]) > settings.budgetMs &&
+          levelIndex < GOVERNOR_LEVELS.length - 1) {
+        changeLevel(levelIndex + 1);
+        return true;
+      }
+
+      if (levelIndex > 0 &&
+          frameCostAt(GOVERNOR_LEVELS[levelIndex - 1]) < settings.budgetMs * settings.recoverRatio) {
+        changeLevel(levelIndex - 1);
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Current mode and measured budget, as shown in Flutter's debug UI
+     * @returns {object} { enabled, mode, frameInterval, scale, detectMs, frameCostMs, budgetMs }
+     */
+    getState: function () {
+      const level = currentLevel();
+      return {
+        enabled: settings.enabled,
+        mode: level.mode,
+        frameInterval: level.frameInterval,
+        scale: level.scale,
+        detectMs: Math.round(averageMs * 10) / 10,
+        frameCostMs: Math.round(frameCostAt(level) * 10) / 10,
+        budgetMs: settings.budgetMs
+      };
+    },
+
+    /**
+     * Update governor options
+     * @param {object} options - Partial DEFAULT_GOVERNOR_OPTIONS
+     * @returns {object} Effective options
+     */
+    setOptions: function (options) {
+      settings = Object.assign({}, settings, options);
+      samples = 0;
+      return Object.assign({}, settings);
+    },
+
+    /**
+     * Start measuring again from full quality (e.g. after a backend switch)
+     */
+    reset: function () {
+      levelIndex = 0;
+      averageMs = 0;
+      samples = 0;
+      framesSinceDetection = Infinity;
+    }
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Pooled overlay renderer
+ * Draws the on-screen redaction overlays (one element per face or region)
+ * into an overlay root without rebuilding them: elements and their mosaic
+ * canvases are kept in a pool and reused frame after frame, boxes are moved
+ * with transforms, and sizes and styles are written only when they change.
+ * Elements beyond the current count are detached and wait in the pool.
+ *
+ * update() queues the overlays and writes them in the next animation frame,
+ * so several changes within a frame cost one pass; render() writes at once
+ * (the detection loop, which already runs in an animation frame).
+ *
+ * An overlay is described by:
+ *   { rect, settings, video, naturalRegion, mirrored, clipPath }
+ * rect is the box in display px relative to the root, naturalRegion the same
+ * region in natural video pixels (drawn by 'pixelate'), clipPath an optional
+ * CSS clip-path relative to the box.
+ */
+
+// face_redaction.js required to be loaded before this script
+
+/**
+ * Create a renderer bound to an overlay root
+ * @param {HTMLElement} root - Positioned element the overlays are placed in
+ * @returns {object} Renderer with update(), render(), flush(), size(), stats() and dispose()
+ */
+function createOverlayRenderer(root) {
+  // Reused in order: overlay i is always drawn by pool[i]
+  const pool = [];
+  let shown = 0;
+  let pending = null;
+  let frameRequest = null;
+  const counters = { elements: 0, canvases: 0, writes: 0 };
+
+  function createEntry() {
+    const element = document.createElement('div');
+    element.style.position = 'absolute';
+    element.style.left = '0';
+    element.style.top = '0';
+    element.style.pointerEvents = 'none';
+    element.style.overflow = 'hidden';
+    element.style.willChange = 'transform';
+    counters.elements++;
+    // Last written value per style property, so unchanged values are skipped
+    return { element: element, applied: {}, text: '', canvas: null };
+  }
+
+  /**
+   * Write a style property only when its value changed
+   */
+  function setStyle(entry, property, value) {
+    if (entry.applied[property] !== value) {
+      entry.applied[property] = value;
+      entry.element.style[property] = value;
+      counters.writes++;
+    }
+  }
+
+  /**
+   * Canvas that shows the mosaic of a 'pixelate' overlay (created once per element)
+   */
+  function mosaicCanvas(entry, mosaic) {
+    if (!entry.canvas) {
+      entry.canvas = document.createElement('canvas');
+      entry.canvas.style.display = 'block';
+      entry.canvas.style.width = '100%';
+      entry.canvas.style.height = '100%';
+      entry.canvas.style.imageRendering = 'pixelated';
+      counters.canvases++;
+    }
+    if (entry.canvas.width !== mosaic.columns || entry.canvas.height !== mosaic.rows) {
+      entry.canvas.width = mosaic.columns;
+      entry.canvas.height = mosaic.rows;
+    }
+    if (entry.canvas.parentNode !== entry.element) {
+      entry.element.appendChild(entry.canvas);
+    }
+    return entry.canvas;
+  }
+
+  /**
+   * Bring a pooled element up to date with one overlay
+   */
+  function writeEntry(entry, overlay) {
+    const rect = overlay.rect;
+    const look = describeRedactionOverlay(overlay.settings, rect.width, rect.height);
+
+    setStyle(entry, 'transform', `translate(${rect.x}px, ${rect.y}px)`);
+    setStyle(entry, 'width', `${rect.width}px`);
+    setStyle(entry, 'height', `${rect.height}px`);
+    setStyle(entry, 'borderRadius', look.borderRadius);
+    setStyle(entry, 'backdropFilter', look.backdropFilter);
+    setStyle(entry, 'webkitBackdropFilter', look.backdropFilter); // Safari support
+    setStyle(entry, 'backgroundColor', look.backgroundColor);
+    setStyle(entry, 'clipPath', overlay.clipPath || 'none');
+
+    if (!look.mosaic && entry.canvas && entry.canvas.parentNode === entry.element) {
+      entry.canvas.remove();
+    }
+
+    if (entry.text !== look.text) {
+      entry.text = look.text;
+      entry.element.textContent = look.text;
+    }
+    if (look.text) {
+      setStyle(entry, 'display', 'flex');
+      setStyle(entry, 'alignItems', 'center');
+      setStyle(entry, 'justifyContent', 'center');
+      setStyle(entry, 'fontSize', look.fontSize);
+      setStyle(entry, 'lineHeight', '1');
+    } else {
+      setStyle(entry, 'display', 'block');
+    }
+
+    if (look.mosaic) {
+      drawOverlayMosaic(mosaicCanvas(entry, look.mosaic), overlay.video, overlay.naturalRegion, overlay.mirrored);
+    }
+  }
+
+  /**
+   * Write the pending overlays now
+   */
+  function flush() {
+    if (frameRequest !== null) {
+      cancelAnimationFrame(frameRequest);
+      frameRequest = null;
+    }
+    if (pending === null) {
+      return;
+    }
+    const overlays = pending;
+    pending = null;
+
+    for (let i = 0; i < overlays.length; i++) {
+      if (i === pool.length) {
+        pool.push(createEntry());
+      }
+      const entry = pool[i];
+      writeEntry(entry, overlays[i]);
+      if (entry.element.parentNode !== root) {
+        root.appendChild(entry.element);
+      }
+    }
+
+    // Keep spare elements for the next frame, out of the layout
+    for (let i = overlays.length; i < shown; i++) {
+      pool[i].element.remove();
+    }
+    shown = overlays.length;
+  }
+
+  return {
+    /**
+     * Queue overlays for the next animation frame, replacing any not yet written
+     * @param {object[]} overlays - Overlays as described above
+     */
+    update: function (overlays) {
+      pending = overlays;
+      if (frameRequest === null) {
+        frameRequest = requestAnimationFrame(() => {
+          frameRequest = null;
+          flush();
+        });
+      }
+    },
+
+    /**
+     * Write overlays now
+     * @param {object[]} overlays - Overlays as described above
+     */
+    render: function (overlays) {
+      pending = overlays;
+      flush();
+    },
+
+    flush: flush,
+
+    /**
+     * @returns {number} Overlays currently shown
+     */
+    size: function () {
+      return shown;
+    },
+
+    /**
+     * @returns {object} { pooled, elements, canvases, writes } - Pool size and
+     *   how many elements, canvases and style writes were made so far
+     */
+    stats: function () {
+      return Object.assign({ pooled: pool.length }, counters);
+    },
+
+    /**
+     * Drop a queued update and detach every overlay
+     */
+    dispose: function () {
+      pending = [];
+      flush();
+    }
+  };
+}
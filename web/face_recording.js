@@ -0,0 +1,151 @@
+/**
+ * Anonymized video recording
+ * Records the compositor's output canvas with MediaRecorder. The raw
+ * videoElement stream is never recorded, so clips only contain redacted frames.
+ */
+
+// Logger and face_detection.js required to be loaded before this script
+
+// Preferred container/codec order; the first one the browser supports is used
+const RECORDING_MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+  'video/mp4;codecs=avc1',
+  'video/mp4'
+];
+
+const RECORDING_FRAME_RATE = 30;
+
+let mediaRecorder = null;
+let recordedChunks = [];
+let recordingStream = null;
+
+/**
+ * Pick the first recording MIME type supported by this browser
+ * @param {string} preferred - Optional MIME type to try first
+ * @returns {string|null}
+ */
+function pickRecordingMimeType(preferred) {
+  if (typeof MediaRecorder === 'undefined') {
+    return null;
+  }
+  const candidates = preferred ? [preferred].concat(RECORDING_MIME_TYPES) : RECORDING_MIME_TYPES;
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Notify Flutter about recording state changes
+ */
+function dispatchRecordingState(state, extra) {
+  window.dispatchEvent(new CustomEvent('recordingStateChanged', {
+    detail: Object.assign({ state: state }, extra)
+  }));
+}
+
+/**
+ * Save a blob as a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Check whether a recording is in progress
+ * @returns {boolean}
+ */
+window.isRecording = function () {
+  return mediaRecorder !== null && mediaRecorder.state !== 'inactive';
+};
+
+/**
+ * Start recording the anonymized output
+ * Must be called after startApp has initialized the compositor.
+ * @param {object} options - { mimeType, videoBitsPerSecond }
+ * @returns {string} MIME type being recorded
+ */
+window.startRecording = function (options) {
+  const settings = options || {};
+
+  if (window.isRecording()) {
+    throw new Error('Recording already in progress');
+  }
+
+  const canvas = window.getAnonymizedCanvas();
+  if (!canvas || canvas.width === 0) {
+    throw new Error('Anonymized output is not ready, start the camera first');
+  }
+
+  const mimeType = pickRecordingMimeType(settings.mimeType);
+  if (!mimeType) {
+    throw new Error('MediaRecorder is not supported in this browser');
+  }
+
+  recordingStream = canvas.captureStream(RECORDING_FRAME_RATE);
+  recordedChunks = [];
+  mediaRecorder = new MediaRecorder(recordingStream, {
+    mimeType: mimeType,
+    videoBitsPerSecond: settings.videoBitsPerSecond
+  });
+
+  mediaRecorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      recordedChunks.push(event.data);
+    }
+  };
+  mediaRecorder.onerror = (event) => {
+    AppLogger.error('Recording error', 'web', event.error);
+    dispatchRecordingState('error', { message: String(event.error) });
+  };
+
+  // Emit data every second so a crash loses at most one second
+  mediaRecorder.start(1000);
+
+  AppLogger.info(`Recording started (${mimeType})`, 'web');
+  dispatchRecordingState('recording', { mimeType: mimeType });
+  return mimeType;
+};
+
+/**
+ * Stop recording and return the clip
+ * @param {object} options - { download: boolean, filename: string }
+ * @returns {Promise<Blob>} Recorded anonymized video
+ */
+window.stopRecording = function (options) {
+  const settings = options || {};
+
+  if (!window.isRecording()) {
+    return Promise.reject(new Error('No recording in progress'));
+  }
+
+  const recorder = mediaRecorder;
+  return new Promise((resolve) => {
+    recorder.onstop = () => {
+      const blob = new Blob(recordedChunks, { type: recorder.mimeType });
+      recordingStream.getTracks().forEach((track) => track.stop());
+      mediaRecorder = null;
+      recordingStream = null;
+      recordedChunks = [];
+
+      AppLogger.info(`Recording stopped: ${blob.size} bytes`, 'web');
+      dispatchRecordingState('stopped', { mimeType: blob.type, size: blob.size });
+
+      if (settings.download) {
+        const extension = blob.type.indexOf('mp4') !== -1 ? 'mp4' : 'webm';
+        downloadBlob(blob, settings.filename || `facepixel-${Date.now()}.${extension}`);
+      }
+      resolve(blob);
+    };
+    recorder.stop();
+  });
+};
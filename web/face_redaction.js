@@ -0,0 +1,196 @@
+/**
+ * Redaction styles
+ * Shared settings and drawing helpers for the on-screen blur overlay and the
+ * anonymized output canvas, so both show the same style, shape and padding.
+ *
+ * Styles: 'blur' (Gaussian), 'pixelate' (mosaic), 'solid' (filled), 'emoji' (sticker over blur)
+ * Shapes: 'rounded' (default), 'rect', 'ellipse'
+ */
+
+// Logger and face_transform.js required to be loaded before this script
+
+const REDACTION_STYLES = ['blur', 'pixelate', 'solid', 'emoji'];
+const REDACTION_SHAPES = ['rounded', 'rect', 'ellipse'];
+
+const DEFAULT_REDACTION_SETTINGS = {
+  enabled: false,
+  style: 'blur',
+  shape: 'rounded',
+  level: 10,          // Effect strength (1-100)
+  padding: 0,         // Grow each side by this fraction of the face size (0-1)
+  color: '#000000',   // Fill color for 'solid'
+  emoji: '🙂'         // Sticker for 'emoji'
+};
+
+// A face is never split into more mosaic blocks than this, whatever the level
+const MAX_MOSAIC_BLOCKS = 12;
+
+// Corner radius of the 'rounded' shape, relative to the shorter side (matches mobile)
+const ROUNDED_CORNER_RATIO = 0.15;
+
+/**
+ * Merge partial settings into the current ones, ignoring invalid values
+ * @param {object} current - Current redaction settings
+ * @param {object} partial - Settings to change
+ * @returns {object} New effective settings
+ */
+function mergeRedactionSettings(current, partial) {
+  const next = Object.assign({}, current);
+  if (!partial) {
+    return next;
+  }
+
+  if (partial.enabled !== undefined) {
+    next.enabled = Boolean(partial.enabled);
+  }
+  if (REDACTION_STYLES.indexOf(partial.style) !== -1) {
+    next.style = partial.style;
+  } else if (partial.style !== undefined) {
+    AppLogger.warning(`Unknown redaction style: ${partial.style}`, 'web');
+  }
+  if (REDACTION_SHAPES.indexOf(partial.shape) !== -1) {
+    next.shape = partial.shape;
+  } else if (partial.shape !== undefined) {
+    AppLogger.warning(`Unknown redaction shape: ${partial.shape}`, 'web');
+  }
+  if (typeof partial.level === 'number' && !isNaN(partial.level)) {
+    next.level = Math.max(1, Math.min(100, partial.level));
+  }
+  if (typeof partial.padding === 'number' && !isNaN(partial.padding)) {
+    next.padding = Math.max(0, Math.min(1, partial.padding));
+  }
+  if (typeof partial.color === 'string' && partial.color) {
+    next.color = partial.color;
+  }
+  if (typeof partial.emoji === 'string' && partial.emoji) {
+    next.emoji = partial.emoji;
+  }
+
+  return next;
+}
+
+/**
+ * Grow a face box by the padding factor, clamped to the frame
+ * @param {object} face - Box with x, y, width, height
+ * @param {number} padding - Fraction of the face size added on each side
+ * @param {number} frameWidth - Frame width in the same space as the face
+ * @param {number} frameHeight - Frame height in the same space as the face
+ * @returns {object} Padded box
+ */
+function padFaceRegion(face, padding, frameWidth, frameHeight) {
+  const padX = face.width * padding;
+  const padY = face.height * padding;
+  const x = Math.max(0, face.x - padX);
+  const y = Math.max(0, face.y - padY);
+  return {
+    x: x,
+    y: y,
+    width: Math.min(frameWidth, face.x + face.width + padX) - x,
+    height: Math.min(frameHeight, face.y + face.height + padY) - y
+  };
+}
+
+/**
+ * Blur radius in display pixels: level 1 = 0.5px, level 100 = 50px
+ */
+function redactionBlurRadius(level) {
+  return level / 2;
+}
+
+/**
+ * Mosaic block size in display pixels for a region of the given display width
+ */
+function redactionBlockSize(level, regionWidth) {
+  return Math.max(2, (level / 10) * 2, regionWidth / MAX_MOSAIC_BLOCKS);
+}
+
+/**
+ * Corner radius for the region's shape, in the region's pixel space
+ */
+function redactionCornerRadius(shape, width, height) {
+  if (shape === 'rounded') {
+    return Math.min(width, height) * ROUNDED_CORNER_RATIO;
+  }
+  return 0;
+}
+
+/**
+ * Add the region's shape as the current path of a 2D context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} shape - 'rounded', 'rect' or 'ellipse'
+ */
+function traceRedactionShape(ctx, x, y, width, height, shape) {
+  ctx.beginPath();
+
+  if (shape === 'ellipse') {
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+    return;
+  }
+
+  const radius = redactionCornerRadius(shape, width, height);
+  if (radius <= 0) {
+    ctx.rect(x, y, width, height);
+    return;
+  }
+
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * CSS for a DOM overlay over one region
+ * @param {object} settings - Redaction settings
+ * @param {number} width - Overlay width in display pixels
+ * @param {number} height - Overlay height in display pixels
+ * @returns {object} { borderRadius, backdropFilter, backgroundColor, text, fontSize, mosaic };
+ *   text is the sticker for 'emoji' ('' otherwise) and mosaic the { columns, rows }
+ *   of the block grid for 'pixelate' (null otherwise)
+ */
+function describeRedactionOverlay(settings, width, height) {
+  const usesBackdropBlur = settings.style === 'blur' || settings.style === 'emoji';
+  let mosaic = null;
+  if (settings.style === 'pixelate') {
+    const blockSize = redactionBlockSize(settings.level, width);
+    mosaic = {
+      columns: Math.max(1, Math.round(width / blockSize)),
+      rows: Math.max(1, Math.round(height / blockSize))
+    };
+  }
+
+  return {
+    borderRadius: settings.shape === 'ellipse'
+      ? '50%'
+      : `${redactionCornerRadius(settings.shape, width, height).toFixed(1)}px`,
+    backdropFilter: usesBackdropBlur ? `blur(${redactionBlurRadius(settings.level).toFixed(1)}px)` : 'none',
+    backgroundColor: settings.style === 'solid' ? settings.color : 'transparent',
+    text: settings.style === 'emoji' ? settings.emoji : '',
+    fontSize: `${(Math.min(width, height) * 0.9).toFixed(1)}px`,
+    mosaic: mosaic
+  };
+}
+
+/**
+ * Draw a region of the video into a mosaic canvas of one pixel per block
+ * CSS cannot pixelate a backdrop, so 'pixelate' overlays show this tiny copy
+ * of the region scaled up with image-rendering: pixelated.
+ * @param {HTMLCanvasElement} canvas - Canvas sized to the block grid
+ * @param {HTMLVideoElement} video - Source video
+ * @param {object} naturalRegion - Region in natural video coordinates
+ * @param {boolean} mirrored - Whether the region (and preview) is mirrored
+ */
+function drawOverlayMosaic(canvas, video, naturalRegion, mirrored) {
+  // A mirrored region is in flipped space; draw the unmirrored source flipped
+  const ctx = canvas.getContext('2d');
+  const sourceRegion = mirrorRect(naturalRegion, video.videoWidth, mirrored !== false);
+  applyMirrorTransform(ctx, canvas.width, mirrored !== false);
+  ctx.drawImage(
+    video,
+    sourceRegion.x, sourceRegion.y,
+    sourceRegion.width, sourceRegion.height,
+    0, 0, canvas.width, canvas.height
+  );
+}
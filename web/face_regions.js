@@ -0,0 +1,269 @@
+/**
+ * Manual redaction regions
+ * Rectangles and polygons the user draws over faces the detector misses
+ * (profiles, masks, tiny background faces). They are redacted in the on-screen
+ * overlay and in the anonymized output, whether or not face blur is enabled.
+ *
+ * Coordinates are normalized (0-1) to the frame in natural space (mirrored
+ * like the preview), so regions survive camera resolution changes.
+ *
+ * Region fields:
+ *   shape   - 'rect' ({ x, y, width, height }) or 'polygon' ({ points: [{ x, y }] })
+ *   mode    - 'static' (fixed zone) or 'track' (follows the face it was drawn over)
+ *   inverse - true to redact everything except this region
+ */
+
+// Logger and face_tracking.js required to be loaded before this script
+
+const REGION_SHAPES = ['rect', 'polygon'];
+const REGION_MODES = ['static', 'track'];
+
+/**
+ * Read a point given as { x, y } or [x, y]
+ */
+function readRegionPoint(point) {
+  return Array.isArray(point)
+    ? { x: Number(point[0]), y: Number(point[1]) }
+    : { x: Number(point.x), y: Number(point.y) };
+}
+
+/**
+ * Normalized outline of a region definition
+ * @param {object} definition - Rect or polygon fields
+ * @returns {object[]|null} Points, or null when the shape is invalid
+ */
+function regionOutline(definition) {
+  if (definition.shape === 'polygon') {
+    const points = (definition.points || []).map(readRegionPoint);
+    const valid = points.length >= 3 && points.every((point) => isFinite(point.x) && isFinite(point.y));
+    return valid ? points : null;
+  }
+
+  const x = Number(definition.x);
+  const y = Number(definition.y);
+  const width = Number(definition.width);
+  const height = Number(definition.height);
+  if (![x, y, width, height].every(isFinite) || width <= 0 || height <= 0) {
+    return null;
+  }
+  return [
+    { x: x, y: y },
+    { x: x + width, y: y },
+    { x: x + width, y: y + height },
+    { x: x, y: y + height }
+  ];
+}
+
+/**
+ * Bounding box of a list of points
+ * @param {object[]} points - [{ x, y }]
+ * @returns {object} { x, y, width, height }
+ */
+function pointsBounds(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const left = Math.min.apply(null, xs);
+  const top = Math.min.apply(null, ys);
+  return { x: left, y: top, width: Math.max.apply(null, xs) - left, height: Math.max.apply(null, ys) - top };
+}
+
+/**
+ * Add a polygon as the current path of a 2D context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object[]} points - [{ x, y }] in the context's space
+ */
+function tracePolygon(ctx, points) {
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.closePath();
+}
+
+/**
+ * Create a registry of manual redaction regions
+ * @returns {object} Registry with add(), update(), move(), remove(), clear(), list(), resolve()
+ */
+function createRegionRegistry() {
+  let regions = [];
+  let nextRegionId = 1;
+
+  function describe(region) {
+    return {
+      id: region.id,
+      shape: region.shape,
+      mode: region.mode,
+      inverse: region.inverse,
+      trackId: region.trackId,
+      points: region.points.map((point) => ({ x: point.x, y: point.y })),
+      bounds: pointsBounds(region.points)
+    };
+  }
+
+  function find(id) {
+    return regions.find((region) => region.id === id) || null;
+  }
+
+  /**
+   * Attach a tracking region to the face under it
+   * The region's outline is stored relative to the face box from then on.
+   */
+  function bindToFace(region, faces, width, height) {
+    const bounds = pointsBounds(region.points);
+    const box = { x: bounds.x * width, y: bounds.y * height, width: bounds.width * width, height: bounds.height * height };
+
+    let best = null;
+    let bestScore = 0;
+    for (const face of faces) {
+      const score = boxIoU(box, face);
+      if (score > bestScore) {
+        bestScore = score;
+        best = face;
+      }
+    }
+    if (!best || best.width <= 0 || best.height <= 0) {
+      return;
+    }
+
+    region.trackId = best.id;
+    region.relativePoints = region.points.map((point) => ({
+      x: (point.x * width - best.x) / best.width,
+      y: (point.y * height - best.y) / best.height
+    }));
+    AppLogger.debug(`Region ${region.id} follows face ${best.id}`, 'web');
+  }
+
+  return {
+    /**
+     * Add a region
+     * @param {object} definition - { shape, x, y, width, height } or { shape: 'polygon', points },
+     *   plus optional mode and inverse
+     * @returns {object|null} The region, or null when the definition is invalid
+     */
+    add: function (definition) {
+      const shape = REGION_SHAPES.indexOf(definition && definition.shape) !== -1 ? definition.shape : 'rect';
+      const points = definition ? regionOutline(Object.assign({}, definition, { shape: shape })) : null;
+      if (!points) {
+        AppLogger.warning(`Invalid redaction region: ${JSON.stringify(definition)}`, 'web');
+        return null;
+      }
+
+      const region = {
+        id: nextRegionId++,
+        shape: shape,
+        mode: REGION_MODES.indexOf(definition.mode) !== -1 ? definition.mode : 'static',
+        inverse: Boolean(definition.inverse),
+        points: points,
+        trackId: null,
+        relativePoints: null
+      };
+      regions.push(region);
+      return describe(region);
+    },
+
+    /**
+     * Replace a region's outline or options
+     * @param {number} id - Region ID
+     * @param {object} changes - Any add() fields
+     * @returns {object|null} The region, or null when not found or invalid
+     */
+    update: function (id, changes) {
+      const region = find(id);
+      if (!region || !changes) {
+        return null;
+      }
+
+      const outlineChanged = ['x', 'y', 'width', 'height', 'points', 'shape'].some((key) => changes[key] !== undefined);
+      if (outlineChanged) {
+        const bounds = pointsBounds(region.points);
+        const definition = Object.assign({ shape: region.shape, points: region.points }, bounds, changes);
+        const points = regionOutline(definition);
+        if (!points) {
+          AppLogger.warning(`Invalid redaction region update: ${JSON.stringify(changes)}`, 'web');
+          return null;
+        }
+        region.shape = REGION_SHAPES.indexOf(definition.shape) !== -1 ? definition.shape : region.shape;
+        region.points = points;
+        region.trackId = null;
+        region.relativePoints = null;
+      }
+      if (REGION_MODES.indexOf(changes.mode) !== -1) {
+        region.mode = changes.mode;
+        region.trackId = null;
+        region.relativePoints = null;
+      }
+      if (changes.inverse !== undefined) {
+        region.inverse = Boolean(changes.inverse);
+      }
+      return describe(region);
+    },
+
+    /**
+     * Move a region by a normalized offset
+     * @returns {object|null} The region, or null when not found
+     */
+    move: function (id, dx, dy) {
+      const region = find(id);
+      if (!region) {
+        return null;
+      }
+      region.points = region.points.map((point) => ({ x: point.x + (dx || 0), y: point.y + (dy || 0) }));
+      region.trackId = null;
+      region.relativePoints = null;
+      return describe(region);
+    },
+
+    /**
+     * @returns {boolean} Whether a region was removed
+     */
+    remove: function (id) {
+      const count = regions.length;
+      regions = regions.filter((region) => region.id !== id);
+      return regions.length !== count;
+    },
+
+    clear: function () {
+      regions = [];
+    },
+
+    /**
+     * @returns {object[]} All regions with normalized outlines and bounds
+     */
+    list: function () {
+      return regions.map(describe);
+    },
+
+    /**
+     * Follow tracked faces and get every region in natural pixels
+     * A tracking region whose face is gone stays where it was last seen
+     * until another face appears under it.
+     * @param {object[]} faces - Tracked faces for the current frame
+     * @param {number} width - Frame width in natural pixels
+     * @param {number} height - Frame height in natural pixels
+     * @returns {object[]} [{ id, inverse, points, bounds }] in natural pixels
+     */
+    resolve: function (faces, width, height) {
+      return regions.map((region) => {
+        if (region.mode === 'track') {
+          if (region.trackId === null) {
+            bindToFace(region, faces, width, height);
+          }
+          const face = region.trackId !== null ? faces.find((candidate) => candidate.id === region.trackId) : null;
+          if (face) {
+            region.points = region.relativePoints.map((point) => ({
+              x: (face.x + point.x * face.width) / width,
+              y: (face.y + point.y * face.height) / height
+            }));
+          } else {
+            // Track ended; pick up whichever face shows up under the region next
+            region.trackId = null;
+            region.relativePoints = null;
+          }
+        }
+
+        const points = region.points.map((point) => ({ x: point.x * width, y: point.y * height }));
+        return { id: region.id, inverse: region.inverse, points: points, bounds: pointsBounds(points) };
+      });
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Detection result schema
+ * Builds the versioned payload of the 'facesDetected' window event so Flutter
+ * (and features like eye-bar redaction or head pose) never parse raw detector
+ * output. Pixel coordinates are in the source's natural space, mirrored like
+ * the preview; normalized coordinates are the same values divided by the
+ * source size.
+ *
+ * Version 2:
+ *   {
+ *     version: 2,
+ *     frame: { index, timestamp, mediaTime, width, height, mirrored, detected },
+ *     faces: [{
+ *       id, confidence, missedFrames, allowed,
+ *       x, y, width, height,                     // pixels (version 1 fields)
+ *       normalized: { x, y, width, height },     // 0-1
+ *       canvas: { x, y, width, height } | null,  // Flutter canvas px (see face_transform.js)
+ *       keypoints: [{ name, x, y, normalized: { x, y } }]
+ *     }]
+ *   }
+ * frame.detected is false when the governor skipped detection and the boxes
+ * were predicted by the tracker. allowed is true for faces on the allowlist
+ * (left unredacted, see face_allowlist.js).
+ */
+
+// face_transform.js required to be loaded before this script
+
+const DETECTION_RESULT_VERSION = 2;
+
+/**
+ * Round a normalized coordinate to a stable precision for the event payload
+ */
+function roundNormalized(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Build a versioned detection result
+ * @param {object[]} faces - Tracked faces in natural pixel coordinates
+ * @param {object} frame - { index, timestamp, mediaTime, width, height, mirrored, detected }
+ * @param {object} transform - Optional view transform; fills each face's canvas rect
+ * @returns {object} Result as documented above
+ */
+function buildDetectionResult(faces, frame, transform) {
+  const mapsToCanvas = Boolean(transform && transform.isValid());
+  const width = frame.width || 1;
+  const height = frame.height || 1;
+
+  return {
+    version: DETECTION_RESULT_VERSION,
+    frame: {
+      index: frame.index,
+      timestamp: frame.timestamp,
+      mediaTime: frame.mediaTime,
+      width: frame.width,
+      height: frame.height,
+      mirrored: frame.mirrored,
+      detected: frame.detected
+    },
+    faces: faces.map((face) => ({
+      id: face.id,
+      confidence: face.confidence,
+      missedFrames: face.missedFrames,
+      allowed: Boolean(face.allowed),
+      x: face.x,
+      y: face.y,
+      width: face.width,
+      height: face.height,
+      normalized: {
+        x: roundNormalized(face.x / width),
+        y: roundNormalized(face.y / height),
+        width: roundNormalized(face.width / width),
+        height: roundNormalized(face.height / height)
+      },
+      canvas: mapsToCanvas ? transform.naturalToCanvasRect(face) : null,
+      keypoints: (face.keypoints || []).map((point) => ({
+        name: point.name,
+        x: point.x,
+        y: point.y,
+        normalized: {
+          x: roundNormalized(point.x / width),
+          y: roundNormalized(point.y / height)
+        }
+      }))
+    }))
+  };
+}
@@ -0,0 +1,1628 @@
+/**
+ * Face anonymization session
+ * One video source with its own detector, tracker, overlay root, output
+ * canvas and settings. Several sessions can run side by side on one page
+ * (two cameras, or a camera and a playing file); face_detection.js keeps a
+ * default session for Flutter and the window API.
+ *
+ *   const session = createFaceSession({ video, container });
+ *   session.addEventListener('facesDetected', (event) => render(event.detail));
+ *   await session.start({ backend: 'mediapipe' });
+ *   session.setRedactionSettings({ enabled: true, style: 'pixelate' });
+ *
+ * Events ('facesDetected', 'cameraStatus', 'detectionStats', ...; the same
+ * payloads as the window events) are dispatched on the session's event
+ * target: a private EventTarget unless one is given (the default session
+ * uses window).
+ *
+ * Overlays: with a container, the overlay root is placed inside it and boxes
+ * are laid out over the video's box in the container, so they follow it
+ * through scrolling and layout changes. Without one the root covers the
+ * viewport (position: fixed) and the layout comes from setLayout(), as
+ * Flutter does.
+ *
+ * Lifecycle (every step is idempotent; 'sessionState' events report changes):
+ *
+ *   idle --start()--> starting --> running <--pause()/resume()--> paused
+ *     ^                                |                              |
+ *     +------------- stop() -----------+------------------------------+
+ *   dispose() stops and makes the session unusable ('disposed').
+ *
+ * stop() releases everything start() acquired: camera tracks, the detector
+ * (WASM/GPU memory, worker), the overlay root and the page listeners, so a
+ * session can be started and stopped any number of times. pause() keeps
+ * them but stops detecting and turns the camera's frames off; sessions pause
+ * by themselves while the page is hidden (pauseWhenHidden).
+ */
+
+// Logger, detector adapters, face_detection_worker_client.js, face_transform.js,
+// face_tracking.js, face_governor.js, face_telemetry.js, face_failsafe.js,
+// face_results.js, face_redaction.js, face_regions.js, face_allowlist.js,
+// face_compositor.js and face_camera.js required to be loaded before this script
+
+// Canvas size used until a layout is known
+const DEFAULT_SESSION_LAYOUT = { width: 640, height: 480 };
+
+const SESSION_STATES = Object.freeze({
+  IDLE: 'idle',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  DISPOSED: 'disposed'
+});
+
+let nextFaceSessionId = 1;
+
+/**
+ * Create a session
+ * @param {object} options
+ * @param {HTMLVideoElement} options.video - Video to anonymize (default: #webcam at start)
+ * @param {boolean} options.camera - Open the camera into the video (default true);
+ *   false anonymizes whatever the video already plays (a file, a remote stream)
+ * @param {boolean} options.mirrored - Whether a non-camera video is shown mirrored (default false)
+ * @param {object} options.cameraOptions - Initial camera options (see DEFAULT_CAMERA_OPTIONS)
+ * @param {HTMLElement} options.container - Element the overlays are scoped to
+ * @param {string} options.overlayId - id of the overlay root element
+ * @param {HTMLCanvasElement} options.outputCanvas - Anonymized output (default: a detached canvas)
+ * @param {EventTarget} options.eventTarget - Receives the session's events
+ * @param {string} options.backend - Detector backend (default DEFAULT_DETECTOR_BACKEND)
+ * @param {object} options.detectorOptions - See DEFAULT_DETECTOR_OPTIONS
+ * @param {boolean} options.useWorker - Run inference in a worker (default FacePixelConfig.useWorker)
+ * @param {object} options.redaction - See DEFAULT_REDACTION_SETTINGS
+ * @param {object} options.tracking - See createFaceTracker
+ * @param {object} options.failSafe - See DEFAULT_FAILSAFE_OPTIONS (enabled defaults to
+ *   FacePixelConfig.failClosed)
+ * @param {boolean} options.pauseWhenHidden - Pause while the page is hidden (default true)
+ * @returns {object} Session
+ */
+function createFaceSession(options) {
+  const settings = options || {};
+  const config = window.FacePixelConfig || {};
+  const sessionId = nextFaceSessionId++;
+  const eventTarget = settings.eventTarget || new EventTarget();
+  const container = settings.container || null;
+  const useCamera = settings.camera !== false;
+  const pauseWhenHidden = settings.pauseWhenHidden !== false;
+
+  let state = SESSION_STATES.IDLE;
+  // Why the session is paused: 'hidden' (page in background) or 'user'
+  let pauseReason = null;
+  let pendingStart = null;
+  // Bumped by stop() so a start still in progress gives up what it acquires
+  let startGeneration = 0;
+  // Bumped whenever the loop stops so a frame still awaiting the detector is dropped
+  let loopGeneration = 0;
+  let frameRequest = null;
+  // The session paused a playing (non-camera) video and plays it again on resume
+  let pausedPlayback = false;
+  // Page listeners added while started: [{ target, type, listener }]
+  let pageListeners = [];
+
+  let detector = null;
+  let detectorBackend = settings.backend || DEFAULT_DETECTOR_BACKEND;
+  let detectorOptions = mergeDetectorOptions(DEFAULT_DETECTOR_OPTIONS, settings.detectorOptions);
+  let isDetectorReady = false;
+  // Run inference in face_detection_worker.js (opt in; falls back to the main thread)
+  let useWorkerDetection = Boolean(settings.useWorker !== undefined ? settings.useWorker : config.useWorker);
+  // Backend, worker and option changes run one after another, see queueDetectorChange()
+  let detectorChanges = Promise.resolve();
+  let videoElement = null;
+  let detectionLoop = false;
+  let lastVideoTime = -1;
+  let frameCounter = 0;
+
+  // Output and redaction state
+  let compositor = null;
+  let detectedFaces = [];
+  // Full-resolution copy of the frame sent to the detector, reused every frame
+  let detectedFrame = null;
+  // Frame the current faces belong to: detectedFrame after a detection, the
+  // live video after a prediction or without a detector
+  let outputFrame = null;
+  let redactionSettings = mergeRedactionSettings(DEFAULT_REDACTION_SETTINGS, settings.redaction);
+
+  // Overlay state
+  let overlayRoot = null;
+  let overlayRenderer = null;
+
+  // Canvas the video is laid out in; null follows the video's box in the container
+  let layout = null;
+  let displayRotation = 0;
+
+  // Tracks faces across frames so redaction survives missed detections
+  const faceTracker = createFaceTracker(settings.tracking);
+
+  // Manual regions drawn by the user, see face_regions.js
+  const redactionRegions = createRegionRegistry();
+
+  // People the user chose to leave unredacted, see face_allowlist.js
+  const faceAllowlist = createFaceAllowlist();
+
+  // Adapts detection frequency and resolution to the device's speed
+  const detectionGovernor = createDetectionGovernor();
+
+  // Per-stage timings, published as 'detectionStats' events
+  const pipelineTelemetry = createPipelineTelemetry(eventTarget);
+
+  // Covers the whole frame when detection cannot be trusted (opt in)
+  const failSafe = createFailSafeMonitor(Object.assign({ enabled: Boolean(config.failClosed) }, settings.failSafe));
+
+  const camera = createCameraSource({
+    eventTarget: eventTarget,
+    camera: settings.cameraOptions,
+    onReopened: function () {
+      // Old tracks describe a different picture
+      faceTracker.reset();
+      lastVideoTime = -1;
+    }
+  });
+
+  function emit(type, detail) {
+    eventTarget.dispatchEvent(new CustomEvent(type, { detail: detail }));
+  }
+
+  /**
+   * Move to a lifecycle state and notify listeners
+   * @param {string} next - One of SESSION_STATES
+   * @param {string} reason - Optional cause ('hidden', 'user', ...)
+   */
+  function setState(next, reason) {
+    if (state === next) {
+      return;
+    }
+    state = next;
+    AppLogger.debug(`Session ${sessionId}: ${next}${reason ? ` (${reason})` : ''}`, 'web');
+    emit('sessionState', { id: sessionId, state: next, reason: reason || null });
+  }
+
+  /**
+   * Start the detection loop
+   */
+  function startLoop() {
+    detectionLoop = true;
+    lastVideoTime = -1;
+    detectFrame();
+  }
+
+  /**
+   * Stop the detection loop, dropping the queued frame and any frame in flight
+   */
+  function stopLoop() {
+    detectionLoop = false;
+    loopGeneration++;
+    if (frameRequest !== null) {
+      cancelAnimationFrame(frameRequest);
+      frameRequest = null;
+    }
+  }
+
+  function scheduleFrame() {
+    frameRequest = requestAnimationFrame(detectFrame);
+  }
+
+  /**
+   * Add a listener that stop() removes again
+   */
+  function listen(target, type, listener) {
+    target.addEventListener(type, listener);
+    pageListeners.push({ target: target, type: type, listener: listener });
+  }
+
+  function removePageListeners() {
+    for (const entry of pageListeners) {
+      entry.target.removeEventListener(entry.type, entry.listener);
+    }
+    pageListeners = [];
+  }
+
+  /**
+   * Pause while the page is hidden and resume when it is shown again
+   */
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      if (state === SESSION_STATES.RUNNING) {
+        session.pause('hidden');
+      }
+    } else if (state === SESSION_STATES.PAUSED && pauseReason === 'hidden') {
+      session.resume();
+    }
+  }
+
+  /**
+   * Dispose the detector, freeing its model (WASM/GPU memory or worker)
+   */
+  function releaseDetector() {
+    if (detector) {
+      detector.dispose();
+      detector = null;
+    }
+    isDetectorReady = false;
+  }
+
+  /**
+   * Whether the shown video is mirrored (user-facing cameras)
+   */
+  function isMirrored() {
+    return useCamera ? camera.isMirrored() : Boolean(settings.mirrored);
+  }
+
+  /**
+   * Initialize the selected face detector backend
+   * @param {string} backendName - Registered backend name (defaults to current)
+   * @param {object} nextOptions - Detector options (defaults to current)
+   * @returns {Promise<boolean>} Whether the detector is ready
+   */
+  async function initializeFaceDetection(backendName, nextOptions) {
+    const name = backendName || detectorBackend;
+    const initOptions = nextOptions || detectorOptions;
+    AppLogger.info(`Initializing face detection (${name}), session ${sessionId}`, 'web');
+
+    const generation = startGeneration;
+    try {
+      const adapter = await createInitializedDetector(name, initOptions);
+
+      // Stopped while loading: do not keep a detector nobody will release
+      if (generation !== startGeneration) {
+        adapter.dispose();
+        return false;
+      }
+
+      // Swap only after the new backend is ready so a failed switch keeps the old one
+      if (detector) {
+        detector.dispose();
+      }
+      detector = adapter;
+      detectorBackend = name;
+      detectorOptions = initOptions;
+      detectionGovernor.reset();
+
+      isDetectorReady = true;
+      AppLogger.info('Face detection initialized', 'web');
+      dispatchDetectorConfig();
+      return true;
+    } catch (error) {
+      AppLogger.error('Face detection initialization failed', 'web', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run a detector change after the ones already requested
+   * Each change reads the state the previous one left, so concurrent calls
+   * never load detectors side by side or apply options to the wrong backend.
+   * @param {function} change - async () => result
+   * @returns {Promise<*>} Result of the change
+   */
+  function queueDetectorChange(change) {
+    const result = detectorChanges.then(change);
+    detectorChanges = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create and initialize a detector adapter
+   * Uses the worker when enabled and supported; if the worker cannot start,
+   * the same backend is loaded on the main thread instead.
+   * @param {string} name - Registered backend name
+   * @param {object} initOptions - Detector options passed to init()
+   * @returns {Promise<object>} Ready adapter
+   */
+  async function createInitializedDetector(name, initOptions) {
+    if (useWorkerDetection && supportsWorkerDetection()) {
+      const workerAdapter = createWorkerDetectorAdapter(name);
+      try {
+        await workerAdapter.init(initOptions);
+        return workerAdapter;
+      } catch (error) {
+        workerAdapter.dispose();
+        if (error.code === 'assets-unavailable') {
+          throw error;
+        }
+        AppLogger.warning(`Detection worker unavailable (${error.message}), running on the main thread`, 'web');
+      }
+    } else if (useWorkerDetection) {
+      AppLogger.warning('Web Workers with OffscreenCanvas not supported, running on the main thread', 'web');
+    }
+
+    const adapter = FaceDetectorBackends.create(name);
+    await adapter.init(initOptions);
+    return adapter;
+  }
+
+  /**
+   * Describe the detector configuration actually in effect
+   * @returns {object} { backend, worker, minConfidence, suppressionThreshold, modelRange, delegate, minFaceSize }
+   */
+  function describeDetectorConfig() {
+    const effective = detector ? detector.getConfig() : Object.assign({}, detectorOptions);
+    return Object.assign(effective, {
+      backend: detectorBackend,
+      worker: Boolean(detector && detector.capabilities.worker),
+      minFaceSize: detectorOptions.minFaceSize
+    });
+  }
+
+  function dispatchDetectorConfig() {
+    emit('detectorConfigChanged', describeDetectorConfig());
+  }
+
+  function dispatchGovernorState() {
+    emit('detectionGovernor', detectionGovernor.getState());
+  }
+
+  /**
+   * Attach the video source: open the camera, or wait for the video's size
+   */
+  async function initializeVideo(video) {
+    AppLogger.info('Initializing video source', 'web');
+
+    videoElement = video || settings.video || document.getElementById('webcam');
+    if (!videoElement) {
+      throw new Error('Video element #webcam not found in DOM');
+    }
+
+    try {
+      if (useCamera) {
+        // Device, facing mode and resolution come from face_camera.js
+        AppLogger.debug('Requesting camera access', 'web');
+        await camera.attach(videoElement);
+      } else if (videoElement.readyState < 1) {
+        await new Promise((resolve) => videoElement.addEventListener('loadedmetadata', resolve, { once: true }));
+      }
+      pipelineTelemetry.observeVideo(videoElement);
+    } catch (error) {
+      AppLogger.error('Camera initialization failed', 'web', error);
+      videoElement = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Detection loop - runs on every animation frame
+   */
+  async function detectFrame() {
+    frameRequest = null;
+    if (!detectionLoop || !videoElement) {
+      return;
+    }
+    const loop = loopGeneration;
+
+    refreshFailSafe();
+
+    if (!detector) {
+      // Only in fail-closed mode, where start() keeps the camera running
+      // without a detector: keep the covered output in step with the video
+      if (videoElement.readyState >= 2 && videoElement.currentTime !== lastVideoTime) {
+        lastVideoTime = videoElement.currentTime;
+        outputFrame = null;
+        renderAnonymizedFrame();
+      }
+      scheduleFrame();
+      return;
+    }
+
+    // Only process if video is ready and has new frame
+    if (videoElement.readyState < 2) {
+      scheduleFrame();
+      return;
+    }
+
+    const currentTime = videoElement.currentTime;
+
+    // Only detect if we have a new frame (avoid processing same frame twice)
+    // This keeps boxes on screen while the video frame hasn't changed
+    if (currentTime !== lastVideoTime) {
+      lastVideoTime = currentTime;
+      frameCounter++;
+
+      const frameStart = performance.now();
+      const frame = await detectOrPredictFaces();
+
+      // Paused or stopped while detecting
+      if (loop !== loopGeneration) {
+        return;
+      }
+
+      // A worker result overtaken by a newer frame; keep showing the tracked faces
+      if (frame !== null) {
+        const mirrored = isMirrored();
+        const postProcessStart = performance.now();
+        const faces = faceAllowlist.apply(frame.faces, frame.source || videoElement, mirrored);
+        const result = buildDetectionResult(faces, {
+          index: frameCounter,
+          timestamp: performance.now(),
+          mediaTime: currentTime,
+          width: videoElement.videoWidth,
+          height: videoElement.videoHeight,
+          mirrored: mirrored,
+          detected: frame.detected
+        }, getViewTransform());
+        const renderStart = performance.now();
+        pipelineTelemetry.record('postProcess', frame.postProcessMs + renderStart - postProcessStart);
+
+        // Store faces for the overlay and output canvas
+        detectedFaces = result.faces;
+        outputFrame = frame.source;
+        const overlayStart = performance.now();
+        updateOverlay({ immediate: true });
+        pipelineTelemetry.record('overlay', performance.now() - overlayStart);
+
+        // Versioned payload, see face_results.js
+        emit('facesDetected', result);
+
+        // Keep the anonymized output in step with the video, drawing the frame
+        // the faces were found in so a moving face never slides out of its box
+        renderAnonymizedFrame();
+
+        const frameEnd = performance.now();
+        pipelineTelemetry.record('render', frameEnd - renderStart);
+        pipelineTelemetry.record('total', frameEnd - frameStart);
+        pipelineTelemetry.countFrame('processed');
+        pipelineTelemetry.publish(detectionGovernor.getState());
+      }
+    }
+
+    scheduleFrame();
+  }
+
+  /**
+   * Detect faces in the current frame, or predict them when the governor skips it
+   * Records capture, inference and tracking time in the pipeline telemetry.
+   * @returns {Promise<object|null>} { faces, detected, postProcessMs, source }, or
+   *   null when a newer frame's worker result arrived first. source is the
+   *   frame the faces belong to.
+   */
+  async function detectOrPredictFaces() {
+    if (!detectionGovernor.shouldDetect()) {
+      // Skipped by the governor: move boxes along their tracked motion
+      const predictStart = performance.now();
+      const predicted = faceTracker.predict();
+      pipelineTelemetry.countFrame('predicted');
+      return { faces: predicted, detected: false, postProcessMs: performance.now() - predictStart, source: null };
+    }
+
+    let faces = [];
+    let postProcessMs = 0;
+    let source = null;
+    try {
+      // Hold references so a backend switch or stop mid-await does not change them
+      const activeDetector = detector;
+      const video = videoElement;
+      const captureStart = performance.now();
+      source = captureDetectedFrame(video);
+      const input = detectionGovernor.prepareFrame(source);
+      const started = performance.now();
+      pipelineTelemetry.record('capture', started - captureStart);
+
+      const boxes = await watchDetection(activeDetector.detect(input.frame, started));
+      const inferenceEnd = performance.now();
+      pipelineTelemetry.record('inference', inferenceEnd - started);
+
+      if (boxes === null) {
+        pipelineTelemetry.countFrame('stale');
+        return null;
+      }
+      failSafe.reportSuccess(inferenceEnd);
+
+      if (detectionGovernor.record(inferenceEnd - started)) {
+        dispatchGovernorState();
+      }
+
+      const videoNatWidth = video.videoWidth;
+      const videoNatHeight = video.videoHeight;
+
+      // Log dimensions every 30 frames (not every frame to reduce spam)
+      if (frameCounter % 30 === 0) {
+        AppLogger.debug(`Detected ${boxes.length} faces (${activeDetector.name}), natural: ${videoNatWidth}x${videoNatHeight}`, 'web');
+        dispatchGovernorState();
+      }
+
+      // Store faces in NATURAL coordinate space (not display space)
+      // Flutter maps them to its canvas with the rect computed by face_transform.js
+      faces = normalizeDetections(
+        scaleDetections(boxes, 1 / input.scale),
+        videoNatWidth,
+        videoNatHeight,
+        { mirror: isMirrored(), minFaceSize: detectorOptions.minFaceSize }
+      );
+      postProcessMs = performance.now() - inferenceEnd;
+    } catch (error) {
+      // A detector disposed by stop() rejects its pending frame
+      if (!detectionLoop) {
+        return null;
+      }
+      AppLogger.error('Detection error', 'web', error);
+      failSafe.reportError(error);
+      // Cover this frame already, not only from the next one
+      refreshFailSafe();
+    }
+
+    // Run the tracker even when detection failed so held faces stay blurred
+    const trackStart = performance.now();
+    const tracked = faceTracker.update(faces, trackStart);
+    pipelineTelemetry.countFrame('detected');
+    return { faces: tracked, detected: true, postProcessMs: postProcessMs + performance.now() - trackStart, source: source };
+  }
+
+  /**
+   * Copy the current video frame for the detector and the output canvas
+   * The video keeps playing while a detection is awaited (worker, slow
+   * backends); the output then draws this copy with the boxes found in it.
+   * @returns {HTMLCanvasElement}
+   */
+  function captureDetectedFrame(video) {
+    if (!detectedFrame) {
+      detectedFrame = document.createElement('canvas');
+    }
+    if (detectedFrame.width !== video.videoWidth || detectedFrame.height !== video.videoHeight) {
+      detectedFrame.width = video.videoWidth;
+      detectedFrame.height = video.videoHeight;
+    }
+    detectedFrame.getContext('2d').drawImage(video, 0, 0, video.videoWidth, video.videoHeight);
+    return detectedFrame;
+  }
+
+  /**
+   * Wait for a detection while fail-closed mode keeps being checked
+   * The loop waits for each result, so a detector that stops answering would
+   * otherwise leave the last boxes on screen and never reach the 'unhealthy'
+   * check.
+   * @param {Promise} detection - Pending detect() call
+   * @returns {Promise} The same result
+   */
+  async function watchDetection(detection) {
+    if (!failSafe.getOptions().enabled) {
+      return detection;
+    }
+    const watchdog = setInterval(() => {
+      if (detectionLoop) {
+        refreshFailSafe();
+      } else {
+        // Paused or stopped; a hung detection may never settle
+        clearInterval(watchdog);
+      }
+    }, failSafe.getOptions().maxDetectionGapMs / 2);
+    try {
+      return await detection;
+    } finally {
+      clearInterval(watchdog);
+    }
+  }
+
+  /**
+   * Re-evaluate fail-closed mode and notify listeners when it changes
+   * Listeners receive a 'failSafeState' event with the monitor state
+   * (see face_failsafe.js for the reasons).
+   */
+  function refreshFailSafe() {
+    if (!failSafe.evaluate(isDetectorReady && detector !== null, performance.now())) {
+      return;
+    }
+
+    const state = failSafe.getState();
+    if (state.closed) {
+      AppLogger.warning(`Fail-closed: covering the frame (${state.reason})`, 'web');
+    } else {
+      AppLogger.info('Fail-closed: detection healthy, frame uncovered', 'web');
+    }
+    updateOverlay();
+    renderAnonymizedFrame();
+    emit('failSafeState', state);
+  }
+
+  /**
+   * Canvas the video is shown in: set with setLayout(), or the video's box
+   * in the container
+   */
+  function currentLayout() {
+    if (layout) {
+      return layout;
+    }
+    if (container && videoElement && videoElement.clientWidth > 0 && videoElement.clientHeight > 0) {
+      return {
+        width: videoElement.clientWidth,
+        height: videoElement.clientHeight,
+        offsetX: videoElement.offsetLeft || 0,
+        offsetY: videoElement.offsetTop || 0
+      };
+    }
+    return { width: DEFAULT_SESSION_LAYOUT.width, height: DEFAULT_SESSION_LAYOUT.height, offsetX: 0, offsetY: 0 };
+  }
+
+  /**
+   * Build the transform between natural video space and the canvas
+   * The fit mode is read from the video's computed style, so inline styles and
+   * media queries are both honored.
+   * @returns {object|null} Transform from createViewTransform, or null without a video
+   */
+  function getViewTransform() {
+    if (!videoElement) {
+      return null;
+    }
+
+    const canvas = currentLayout();
+    return createViewTransform({
+      naturalWidth: videoElement.videoWidth,
+      naturalHeight: videoElement.videoHeight,
+      canvasWidth: canvas.width,
+      canvasHeight: canvas.height,
+      offsetX: canvas.offsetX,
+      offsetY: canvas.offsetY,
+      fit: window.getComputedStyle(videoElement).objectFit,
+      rotation: displayRotation,
+      devicePixelRatio: window.devicePixelRatio
+    });
+  }
+
+  /**
+   * Create the output compositor (once per session) and the overlay root
+   * The root and its resize listener are removed again by stop().
+   */
+  function initializeOutput() {
+    if (!compositor) {
+      AppLogger.debug('Initializing anonymized output canvas', 'web');
+      compositor = createFaceCompositor(settings.outputCanvas);
+    }
+    if (overlayRoot) {
+      return;
+    }
+
+    AppLogger.debug('Initializing overlay root', 'web');
+    overlayRoot = document.createElement('div');
+    overlayRoot.className = 'facepixel-overlay-root';
+    if (settings.overlayId) {
+      overlayRoot.id = settings.overlayId;
+    }
+    overlayRoot.style.top = '0';
+    overlayRoot.style.left = '0';
+    overlayRoot.style.width = '100%';
+    overlayRoot.style.height = '100%';
+    overlayRoot.style.pointerEvents = 'none';
+    overlayRoot.style.zIndex = '999';
+    overlayRoot.style.overflow = 'hidden'; // Clip children to prevent overflow
+
+    if (container) {
+      // Overlays are positioned relative to the container
+      const position = window.getComputedStyle(container).position;
+      if (!position || position === 'static') {
+        container.style.position = 'relative';
+      }
+      overlayRoot.style.position = 'absolute';
+      container.appendChild(overlayRoot);
+    } else {
+      overlayRoot.style.position = 'fixed';
+      document.body.appendChild(overlayRoot);
+    }
+    overlayRenderer = createOverlayRenderer(overlayRoot);
+
+    // Layout may change with the window
+    listen(window, 'resize', () => {
+      if (overlayRenderer.size() > 0) {
+        updateOverlay();
+      }
+    });
+  }
+
+  /**
+   * Remove the overlay root and its overlays from the page
+   */
+  function removeOverlayRoot() {
+    if (overlayRenderer) {
+      overlayRenderer.dispose();
+      overlayRenderer = null;
+    }
+    if (overlayRoot) {
+      overlayRoot.remove();
+      overlayRoot = null;
+    }
+  }
+
+  /**
+   * Detected faces that are not on the allowlist
+   * @returns {object[]}
+   */
+  function redactedFaces() {
+    return detectedFaces.filter((face) => !face.allowed);
+  }
+
+  /**
+   * Manual regions for the current frame in natural pixels
+   * @returns {object[]} Resolved regions (see createRegionRegistry)
+   */
+  function resolveRedactionRegions() {
+    if (!videoElement || !videoElement.videoWidth || !videoElement.videoHeight) {
+      return [];
+    }
+    return redactionRegions.resolve(detectedFaces, videoElement.videoWidth, videoElement.videoHeight);
+  }
+
+  /**
+   * Draw the frame the current faces belong to, redacted, into the output canvas
+   */
+  function renderAnonymizedFrame() {
+    if (!compositor || !videoElement) {
+      return;
+    }
+
+    // Natural pixels per displayed pixel, so the effect matches the on-screen overlay
+    const displayScale = getViewTransform().naturalPerCanvasPixel();
+
+    compositor.render(outputFrame || videoElement, redactedFaces(), Object.assign({}, redactionSettings, {
+      displayScale: displayScale,
+      mirror: isMirrored(),
+      regions: resolveRedactionRegions(),
+      cover: failSafe.coverStyle() ? FAILSAFE_COVER_SETTINGS[failSafe.coverStyle()] : null
+    }));
+
+    // Feed MediaStreams opened on this output (face_stream.js)
+    if (typeof pushAnonymizedStreamFrame === 'function') {
+      pushAnonymizedStreamFrame(compositor.canvas);
+    }
+  }
+
+  /**
+   * Add an overlay over a visible canvas rect (see face_overlay_renderer.js)
+   * @param {object[]} overlays - Overlays of the frame being built
+   * @param {string} clipPath - Optional clip-path relative to the overlay
+   */
+  function appendOverlay(overlays, visible, transform, redaction, clipPath) {
+    overlays.push({
+      rect: transform.canvasToDisplayRect(visible),
+      settings: redaction,
+      video: videoElement,
+      naturalRegion: transform.canvasToNaturalRect(visible),
+      mirrored: isMirrored(),
+      clipPath: clipPath
+    });
+  }
+
+  /**
+   * Add overlays for manual regions
+   * A region overlay covers the region's visible bounds and is cut to its
+   * outline with clip-path. Inverse regions share one overlay over the whole
+   * visible frame with the kept regions cut out.
+   */
+  function appendRegionOverlays(overlays, regions, transform) {
+    const toCanvas = (points) => points.map((point) => transform.naturalToCanvasPoint(point));
+    const redaction = Object.assign({}, redactionSettings, { shape: 'rect' });
+    // Clip paths are relative to the overlay
+    const formatPoint = (point, origin, unit) =>
+      `${(point.x - origin.x).toFixed(1)}${unit} ${(point.y - origin.y).toFixed(1)}${unit}`;
+
+    for (const region of regions) {
+      if (region.inverse) {
+        continue;
+      }
+      const points = toCanvas(region.points);
+      const visible = transform.clipToCanvas(pointsBounds(points));
+      if (visible) {
+        appendOverlay(overlays, visible, transform, redaction,
+          `polygon(${points.map((point) => formatPoint(point, visible, 'px')).join(', ')})`);
+      }
+    }
+
+    const kept = regions.filter((region) => region.inverse);
+    if (kept.length === 0) {
+      return;
+    }
+    const frame = transform.clipToCanvas(transform.naturalToCanvasRect({
+      x: 0, y: 0, width: videoElement.videoWidth, height: videoElement.videoHeight
+    }));
+    if (!frame) {
+      return;
+    }
+    // evenodd: the frame rect minus every kept outline (overlapping kept
+    // regions are redacted where they overlap, unlike the output canvas)
+    const holes = kept.map((region) =>
+      `M ${toCanvas(region.points).map((point) => formatPoint(point, frame, '')).join(' L ')} Z`);
+    appendOverlay(overlays, frame, transform, redaction,
+      `path(evenodd, "M 0 0 H ${frame.width.toFixed(1)} V ${frame.height.toFixed(1)} H 0 Z ${holes.join(' ')}")`);
+  }
+
+  /**
+   * Cover the whole visible frame (fail-closed mode)
+   * @param {string} cover - 'blur' or 'black'
+   */
+  function appendCoverOverlay(overlays, cover) {
+    const transform = getViewTransform();
+    if (!transform.isValid()) {
+      return;
+    }
+    const visible = transform.clipToCanvas(transform.naturalToCanvasRect({
+      x: 0, y: 0, width: videoElement.videoWidth, height: videoElement.videoHeight
+    }));
+    if (visible) {
+      appendOverlay(overlays, visible, transform, FAILSAFE_COVER_SETTINGS[cover]);
+    }
+  }
+
+  /**
+   * Update the overlay from detected faces and manual regions
+   * Boxes are placed with the same transform that positions Flutter's boxes.
+   * Writes are batched into the next animation frame unless options.immediate
+   * is set (the detection loop, which already runs in one).
+   * @param {object} options - { immediate }
+   */
+  function updateOverlay(options) {
+    if (!overlayRenderer) {
+      return;
+    }
+
+    const overlays = collectOverlays();
+    if (options && options.immediate) {
+      overlayRenderer.render(overlays);
+    } else {
+      overlayRenderer.update(overlays);
+    }
+  }
+
+  /**
+   * Overlays for the current faces, regions and fail-closed cover
+   * @returns {object[]}
+   */
+  function collectOverlays() {
+    const overlays = [];
+    if (!videoElement) {
+      return overlays;
+    }
+
+    const cover = failSafe.coverStyle();
+    if (cover) {
+      appendCoverOverlay(overlays, cover);
+      return overlays;
+    }
+
+    // Manual regions stay redacted when face blur is off
+    const faces = redactionSettings.enabled ? redactedFaces() : [];
+    const regions = resolveRedactionRegions();
+    if (faces.length === 0 && regions.length === 0) {
+      return overlays;
+    }
+
+    const transform = getViewTransform();
+    if (!transform.isValid()) {
+      return overlays;
+    }
+
+    const videoNatWidth = videoElement.videoWidth;
+    const videoNatHeight = videoElement.videoHeight;
+
+    for (const detectedFace of faces) {
+      // Grow the region by the configured padding before mapping to the screen
+      const face = padFaceRegion(detectedFace, redactionSettings.padding, videoNatWidth, videoNatHeight);
+
+      // Clip to the visible canvas ('cover' crops the video, the Flutter Stack clips boxes)
+      const visible = transform.clipToCanvas(transform.naturalToCanvasRect(face));
+      if (visible) {
+        appendOverlay(overlays, visible, transform, redactionSettings);
+      }
+    }
+
+    appendRegionOverlays(overlays, regions, transform);
+
+    AppLogger.debug(`Overlay updated: ${faces.length} faces, ${regions.length} regions, ` +
+      `style: ${redactionSettings.style}`, 'web');
+    return overlays;
+  }
+
+  /**
+   * Redraw the overlay and output after a settings change
+   */
+  function redraw() {
+    updateOverlay();
+    renderAnonymizedFrame();
+  }
+
+  /**
+   * Notify listeners and redraw after the allowlist changed
+   */
+  function onAllowlistChanged() {
+    const allowedIds = new Set(faceAllowlist.list().map((entry) => entry.trackId));
+    detectedFaces = detectedFaces.map((face) =>
+      Object.assign({}, face, { allowed: allowedIds.has(face.id) }));
+    redraw();
+    emit('allowlistChanged', { entries: faceAllowlist.list() });
+  }
+
+  /**
+   * Convert a region drawn on the canvas to normalized natural space
+   * @param {object} definition - Region fields with coordinates in canvas px
+   * @returns {object|null} Definition with normalized coordinates, or null without a video
+   */
+  function regionFromCanvas(definition) {
+    const transform = getViewTransform();
+    if (!transform || !transform.isValid()) {
+      return null;
+    }
+
+    const width = videoElement.videoWidth;
+    const height = videoElement.videoHeight;
+    const normalize = (point) => {
+      const natural = transform.canvasToNaturalPoint(readRegionPoint(point));
+      return { x: natural.x / width, y: natural.y / height };
+    };
+
+    if (definition.shape === 'polygon') {
+      return Object.assign({}, definition, { points: (definition.points || []).map(normalize) });
+    }
+    if (definition.x === undefined) {
+      return definition;
+    }
+    // A rotated view turns the rect's corners around; keep its bounds
+    const bounds = pointsBounds([
+      normalize({ x: definition.x, y: definition.y }),
+      normalize({ x: definition.x + definition.width, y: definition.y + definition.height })
+    ]);
+    return Object.assign({}, definition, bounds);
+  }
+
+  /**
+   * Read a region definition
+   * definition.space is 'normalized' (default) or 'canvas' (canvas px).
+   */
+  function readRegionDefinition(definition) {
+    if (definition && definition.space === 'canvas') {
+      return regionFromCanvas(definition);
+    }
+    return definition || null;
+  }
+
+  /**
+   * Refresh the overlay and output after a region change and notify listeners
+   */
+  function onRedactionRegionsChanged() {
+    redraw();
+    emit('redactionRegionsChanged', { regions: redactionRegions.list() });
+  }
+
+  /**
+   * Acquire the output, detector and video, then start the loop
+   * Gives up quietly when stop() ran in the meantime (generation changed);
+   * stop() has released what was acquired by then.
+   * @param {number} generation - startGeneration of this start
+   * @param {object} startSettings - { backend, video }
+   */
+  async function runStartSequence(generation, startSettings) {
+    const cancelled = () => generation !== startGeneration;
+
+    try {
+      // Step 0: Initialize output canvas and overlay root
+      initializeOutput();
+
+      // Step 1: Initialize detector backend
+      AppLogger.debug('Initializing detector backend', 'web');
+      // Queued so backend and option changes requested earlier apply first
+      const initSuccess = await queueDetectorChange(() => !cancelled() && initializeFaceDetection(startSettings.backend));
+      if (cancelled()) {
+        return;
+      }
+      if (!initSuccess) {
+        if (!failSafe.getOptions().enabled) {
+          const error = new Error('Face detector initialization failed');
+          error.startupStage = 'detector';
+          throw error;
+        }
+        // Fail-closed: show the camera fully covered rather than nothing
+        AppLogger.warning('Face detector unavailable, starting with the frame covered', 'web');
+      }
+
+      // Step 2: Initialize camera (or the given video)
+      try {
+        await initializeVideo(startSettings.video);
+      } catch (error) {
+        if (cancelled()) {
+          return;
+        }
+        error.startupStage = 'camera';
+        throw error;
+      }
+      if (cancelled()) {
+        return;
+      }
+    } catch (error) {
+      // Leave nothing behind from a failed start
+      releaseResources();
+      setState(SESSION_STATES.IDLE, 'failed');
+      throw error;
+    } finally {
+      if (!cancelled()) {
+        pendingStart = null;
+      }
+    }
+
+    // Step 3: Start detection loop
+    AppLogger.debug('Starting detection loop', 'web');
+    if (pauseWhenHidden) {
+      listen(document, 'visibilitychange', onVisibilityChange);
+    }
+    setState(SESSION_STATES.RUNNING);
+    startLoop();
+
+    // Started from a background tab
+    if (pauseWhenHidden && document.visibilityState === 'hidden') {
+      session.pause('hidden');
+    }
+  }
+
+  /**
+   * Release everything a start acquired
+   */
+  function releaseResources() {
+    stopLoop();
+    pendingStart = null;
+
+    if (compositor && typeof closeStreamOutputs === 'function') {
+      closeStreamOutputs(compositor.canvas);
+    }
+    if (useCamera) {
+      camera.release();
+    }
+    pausedPlayback = false;
+    pauseReason = null;
+
+    releaseDetector();
+    removePageListeners();
+    removeOverlayRoot();
+
+    videoElement = null;
+    detectedFaces = [];
+    detectedFrame = null;
+    outputFrame = null;
+    lastVideoTime = -1;
+    faceTracker.reset();
+    detectionGovernor.reset();
+    failSafe.reset();
+    pipelineTelemetry.observeVideo(null);
+  }
+
+  const session = {
+    id: sessionId,
+
+    /**
+     * Initialize output, detector and video, then start the detection loop
+     * Failures are thrown; an error from the detector or camera step carries
+     * startupStage ('detector' or 'camera') so callers can tell them apart.
+     * Calling start() while starting returns the same promise; while running
+     * it resolves at once, and while paused it resumes.
+     * @param {object} startOptions - { backend, video }, both optional
+     * @returns {Promise<void>}
+     */
+    start: function (startOptions) {
+      if (state === SESSION_STATES.DISPOSED) {
+        return Promise.reject(new Error(`Session ${sessionId} has been disposed`));
+      }
+      if (state === SESSION_STATES.STARTING) {
+        return pendingStart;
+      }
+      if (state === SESSION_STATES.PAUSED) {
+        session.resume();
+      }
+      if (state !== SESSION_STATES.IDLE) {
+        return Promise.resolve();
+      }
+
+      const generation = ++startGeneration;
+      setState(SESSION_STATES.STARTING);
+      pendingStart = runStartSequence(generation, startOptions || {});
+      return pendingStart;
+    },
+
+    /**
+     * Pause detection, keeping the camera and detector for a quick resume
+     * The camera's frames are turned off; a video the session does not own is paused.
+     * @param {string} reason - Optional cause reported in 'sessionState' (default 'user')
+     * @returns {boolean} Whether the session was running
+     */
+    pause: function (reason) {
+      if (state !== SESSION_STATES.RUNNING) {
+        return false;
+      }
+
+      stopLoop();
+      pauseReason = reason || 'user';
+      if (useCamera) {
+        camera.setEnabled(false);
+      } else if (videoElement && !videoElement.paused) {
+        videoElement.pause();
+        pausedPlayback = true;
+      }
+      setState(SESSION_STATES.PAUSED, pauseReason);
+      return true;
+    },
+
+    /**
+     * Resume a paused session
+     * @returns {boolean} Whether the session was paused
+     */
+    resume: function () {
+      if (state !== SESSION_STATES.PAUSED) {
+        return false;
+      }
+
+      if (useCamera) {
+        camera.setEnabled(true);
+      } else if (pausedPlayback) {
+        pausedPlayback = false;
+        Promise.resolve(videoElement.play()).catch((error) => {
+          AppLogger.warning(`Could not resume the video: ${error.message}`, 'web');
+        });
+      }
+      pauseReason = null;
+      setState(SESSION_STATES.RUNNING);
+      startLoop();
+      return true;
+    },
+
+    /**
+     * Stop detection and release the camera, the detector and the overlay root
+     * Also cancels a start in progress.
+     * @param {string} reason - Optional cause reported in 'sessionState'
+     */
+    stop: function (reason) {
+      if (state === SESSION_STATES.IDLE || state === SESSION_STATES.DISPOSED) {
+        return;
+      }
+
+      AppLogger.info(`Stopping session ${sessionId}`, 'web');
+      startGeneration++;
+      releaseResources();
+      setState(SESSION_STATES.IDLE, reason);
+    },
+
+    /**
+     * Stop the session for good and drop its output, regions and allowlist
+     */
+    dispose: function () {
+      if (state === SESSION_STATES.DISPOSED) {
+        return;
+      }
+
+      session.stop();
+      // A canvas the session created is freed; the page's own canvas is only cleared
+      if (compositor) {
+        compositor.clear();
+        if (!settings.outputCanvas) {
+          compositor.canvas.width = 0;
+          compositor.canvas.height = 0;
+        }
+        compositor = null;
+      }
+      redactionRegions.clear();
+      faceAllowlist.clear();
+      setState(SESSION_STATES.DISPOSED);
+    },
+
+    /**
+     * @returns {string} One of SESSION_STATES
+     */
+    getState: function () {
+      return state;
+    },
+
+    /**
+     * @returns {boolean} Whether the detection loop is running (not starting or paused)
+     */
+    isRunning: function () {
+      return state === SESSION_STATES.RUNNING;
+    },
+
+    /**
+     * @returns {boolean} Whether the detector is loaded
+     */
+    isDetectorReady: function () {
+      return isDetectorReady;
+    },
+
+    /**
+     * @returns {HTMLVideoElement|null} Video being anonymized, while running
+     */
+    getVideo: function () {
+      return videoElement;
+    },
+
+    /**
+     * @returns {object[]} Faces of the latest frame (see face_results.js)
+     */
+    getFaces: function () {
+      return detectedFaces.slice();
+    },
+
+    /**
+     * Set where the video is laid out, replacing the container measurement
+     * @param {number} width - Canvas width in px
+     * @param {number} height - Canvas height in px
+     * @param {number} offsetX - Canvas X offset in px
+     * @param {number} offsetY - Canvas Y offset in px
+     * @param {number} rotation - Optional clockwise rotation of the shown video (0, 90, 180, 270)
+     */
+    setLayout: function (width, height, offsetX, offsetY, rotation) {
+      AppLogger.debug(`Canvas dimensions: ${width}x${height} at (${offsetX}, ${offsetY})`, 'web');
+      layout = {
+        width: Math.round(width),
+        height: Math.round(height),
+        offsetX: offsetX || 0,
+        offsetY: offsetY || 0
+      };
+      if (rotation !== undefined) {
+        displayRotation = rotation || 0;
+      }
+    },
+
+    getViewTransform: getViewTransform,
+
+    /**
+     * Redraw the overlay for the current faces, regions and layout
+     * @param {object} options - { immediate }: write now instead of in the next animation frame
+     */
+    updateOverlay: updateOverlay,
+
+    // Redaction
+
+    /**
+     * @param {object} partial - { enabled, style, shape, level, padding, color, emoji }
+     * @returns {object} Effective settings
+     */
+    setRedactionSettings: function (partial) {
+      redactionSettings = mergeRedactionSettings(redactionSettings, partial);
+      AppLogger.debug(`Redaction settings: ${JSON.stringify(redactionSettings)}`, 'web');
+
+      // Redraw the overlays (next animation frame) if anything is redacted
+      if (detectedFaces.length > 0 || redactionRegions.list().length > 0) {
+        redraw();
+      }
+      return Object.assign({}, redactionSettings);
+    },
+
+    getRedactionSettings: function () {
+      return Object.assign({}, redactionSettings);
+    },
+
+    // Output
+
+    /**
+     * @returns {HTMLCanvasElement|null} Anonymized output, once started
+     */
+    getOutputCanvas: function () {
+      return compositor ? compositor.canvas : null;
+    },
+
+    /**
+     * Open a MediaStream of the anonymized output (see face_stream.js)
+     * @param {object} streamOptions - { source: 'auto' | 'canvas' | 'generator' }
+     * @returns {MediaStream}
+     */
+    openStream: function (streamOptions) {
+      return openStreamOutput(session.getOutputCanvas(), streamOptions);
+    },
+
+    // Detector
+
+    /**
+     * Switch detector backend; detection keeps running on the previous one until the new one is ready
+     * @param {string} backendName - Registered backend name
+     * @returns {Promise<boolean>} Whether the switch succeeded
+     */
+    setDetectorBackend: async function (backendName) {
+      AppLogger.info(`Detector backend requested: ${backendName}`, 'web');
+
+      if (!FaceDetectorBackends.has(backendName)) {
+        AppLogger.error(`Unknown detector backend: ${backendName}`, 'web');
+        return false;
+      }
+      return queueDetectorChange(async () => {
+        if (detector && detectorBackend === backendName) {
+          return true;
+        }
+        // Before start, only remember the choice
+        if (!detector) {
+          detectorBackend = backendName;
+          return true;
+        }
+        return initializeFaceDetection(backendName);
+      });
+    },
+
+    /**
+     * Run detection in a Web Worker or on the main thread
+     * @param {boolean} enabled - Whether to use the worker
+     * @returns {Promise<boolean>} Whether the detector is ready
+     */
+    setWorkerDetection: async function (enabled) {
+      return queueDetectorChange(async () => {
+        useWorkerDetection = Boolean(enabled);
+        AppLogger.info(`Worker detection ${useWorkerDetection ? 'enabled' : 'disabled'}`, 'web');
+
+        if (!detector) {
+          return true;
+        }
+        return initializeFaceDetection(detectorBackend);
+      });
+    },
+
+    /**
+     * Change detector options
+     * Model options reload the detector; the current one keeps running until the
+     * new one is ready and stays in place if loading fails.
+     * @param {object} partial - { minConfidence, suppressionThreshold, modelRange, delegate, minFaceSize }
+     * @returns {Promise<object>} Effective configuration
+     */
+    setDetectorOptions: async function (partial) {
+      return queueDetectorChange(async () => {
+        const nextOptions = mergeDetectorOptions(detectorOptions, partial);
+        AppLogger.info(`Detector options requested: ${JSON.stringify(nextOptions)}`, 'web');
+
+        // Before start, or when only post-processing changed, no reload is needed
+        const modelKeys = ['minConfidence', 'suppressionThreshold', 'modelRange', 'delegate'];
+        const needsReload = modelKeys.some((key) => nextOptions[key] !== detectorOptions[key]);
+        if (!detector || !needsReload) {
+          detectorOptions = nextOptions;
+          dispatchDetectorConfig();
+          return describeDetectorConfig();
+        }
+
+        const success = await initializeFaceDetection(detectorBackend, nextOptions);
+        if (!success) {
+          throw new Error('Detector could not be reloaded with the requested options; previous configuration kept');
+        }
+        return describeDetectorConfig();
+      });
+    },
+
+    /**
+     * @returns {object} Requested detector options (see DEFAULT_DETECTOR_OPTIONS)
+     */
+    getDetectorOptions: function () {
+      return Object.assign({}, detectorOptions);
+    },
+
+    /**
+     * @returns {object} Detector configuration actually in effect, with the backend name
+     */
+    getDetectorConfig: describeDetectorConfig,
+
+    /**
+     * @returns {object} Active backend name and available backends
+     */
+    getDetectorBackends: function () {
+      return {
+        active: detectorBackend,
+        worker: Boolean(detector && detector.capabilities.worker),
+        available: FaceDetectorBackends.list().map((name) => ({
+          name: name,
+          capabilities: FaceDetectorBackends.capabilities(name)
+        }))
+      };
+    },
+
+    /**
+     * @param {object} partial - { holdMs, smoothing, iouThreshold, maxCentroidDistance }
+     * @returns {object} Effective tracking options
+     */
+    setTrackingOptions: function (partial) {
+      const effective = faceTracker.setOptions(partial || {});
+      AppLogger.debug(`Tracking options: hold=${effective.holdMs}ms, smoothing=${effective.smoothing}`, 'web');
+      return effective;
+    },
+
+    /**
+     * @param {object} partial - { enabled, budgetMs, minSamples, smoothing, recoverRatio }
+     * @returns {object} Governor state after the change
+     */
+    setGovernorOptions: function (partial) {
+      detectionGovernor.setOptions(partial || {});
+      const state = detectionGovernor.getState();
+      AppLogger.debug(`Governor options: enabled=${state.enabled}, budget=${state.budgetMs}ms`, 'web');
+      dispatchGovernorState();
+      return state;
+    },
+
+    getGovernorState: function () {
+      return detectionGovernor.getState();
+    },
+
+    /**
+     * @param {object} partial - { enabled, cover, errorThreshold, maxDetectionGapMs, recoverFrames }
+     * @returns {object} Effective options
+     */
+    setFailSafeOptions: function (partial) {
+      const effective = failSafe.setOptions(partial || {});
+      AppLogger.info(`Fail-closed options: ${JSON.stringify(effective)}`, 'web');
+      if (detectionLoop) {
+        refreshFailSafe();
+        // A changed cover style does not change the state; redraw anyway
+        updateOverlay();
+      }
+      return effective;
+    },
+
+    getFailSafeState: function () {
+      return failSafe.getState();
+    },
+
+    // Camera
+
+    /**
+     * @returns {Promise<object[]>} [{ deviceId, label, active }]
+     */
+    listCameras: function () {
+      const active = camera.describe();
+      return listCameraDevices(active ? active.deviceId : null);
+    },
+
+    /**
+     * @param {object} selection - { deviceId } or { facingMode }; omit to cycle cameras
+     * @returns {Promise<object|null>} Active track settings
+     */
+    switchCamera: function (selection) {
+      return camera.select(selection);
+    },
+
+    /**
+     * The browser picks the closest supported mode; check the returned settings.
+     * @returns {Promise<object|null>} Active track settings
+     */
+    setCameraResolution: function (width, height) {
+      return camera.reopen({ width: width, height: height });
+    },
+
+    getCameraSettings: function () {
+      return camera.describe();
+    },
+
+    // Manual regions (see face_regions.js)
+
+    /**
+     * @param {object} definition - { shape: 'rect', x, y, width, height } or
+     *   { shape: 'polygon', points: [{ x, y }] }, plus optional
+     *   mode ('static' | 'track'), inverse (redact everything else) and space
+     *   ('normalized' 0-1 of the mirrored frame, or 'canvas' px)
+     * @returns {object|null} The region with its id, or null when invalid
+     */
+    addRegion: function (definition) {
+      const normalized = readRegionDefinition(definition);
+      const region = normalized ? redactionRegions.add(normalized) : null;
+      if (region) {
+        AppLogger.info(`Redaction region ${region.id} added (${region.shape}, ${region.mode}` +
+          `${region.inverse ? ', inverse' : ''})`, 'web');
+        onRedactionRegionsChanged();
+      }
+      return region;
+    },
+
+    /**
+     * @returns {object|null} The region, or null when not found or invalid
+     */
+    updateRegion: function (id, changes) {
+      const normalized = readRegionDefinition(changes);
+      const region = normalized ? redactionRegions.update(id, normalized) : null;
+      if (region) {
+        onRedactionRegionsChanged();
+      }
+      return region;
+    },
+
+    /**
+     * @param {string} space - 'normalized' (default) or 'canvas' for dx/dy
+     * @returns {object|null} The region, or null when not found
+     */
+    moveRegion: function (id, dx, dy, space) {
+      let offset = { x: dx || 0, y: dy || 0 };
+      if (space === 'canvas') {
+        const origin = regionFromCanvas({ shape: 'polygon', points: [{ x: 0, y: 0 }, { x: offset.x, y: offset.y }] });
+        if (!origin) {
+          return null;
+        }
+        offset = { x: origin.points[1].x - origin.points[0].x, y: origin.points[1].y - origin.points[0].y };
+      }
+
+      const region = redactionRegions.move(id, offset.x, offset.y);
+      if (region) {
+        onRedactionRegionsChanged();
+      }
+      return region;
+    },
+
+    removeRegion: function (id) {
+      const removed = redactionRegions.remove(id);
+      if (removed) {
+        onRedactionRegionsChanged();
+      }
+      return removed;
+    },
+
+    clearRegions: function () {
+      redactionRegions.clear();
+      onRedactionRegionsChanged();
+    },
+
+    getRegions: function () {
+      return redactionRegions.list();
+    },
+
+    // Allowlist (see face_allowlist.js)
+
+    /**
+     * Keep a detected face unredacted
+     * @param {number} faceId - Tracking ID from a 'facesDetected' face
+     * @param {string} label - Optional display name
+     * @returns {object|null} Allowlist entry, or null when the face is not in view
+     */
+    allowFace: function (faceId, label) {
+      const face = detectedFaces.find((candidate) => candidate.id === faceId);
+      if (!face || !videoElement) {
+        AppLogger.warning(`Cannot allow face ${faceId}: not in view`, 'web');
+        return null;
+      }
+
+      const entry = faceAllowlist.enroll(face, outputFrame || videoElement, isMirrored(), label);
+      AppLogger.info(`Face ${faceId} allowed as entry ${entry.id}`, 'web');
+      onAllowlistChanged();
+      return entry;
+    },
+
+    /**
+     * Keep the face under a point (canvas px) unredacted
+     * @returns {object|null} Allowlist entry, or null when no face is there
+     */
+    allowFaceAt: function (x, y, label) {
+      const transform = getViewTransform();
+      if (!transform || !transform.isValid()) {
+        return null;
+      }
+
+      const point = transform.canvasToNaturalPoint({ x: x, y: y });
+      const hits = detectedFaces.filter((face) =>
+        point.x >= face.x && point.x <= face.x + face.width &&
+        point.y >= face.y && point.y <= face.y + face.height);
+      if (hits.length === 0) {
+        return null;
+      }
+
+      // Overlapping boxes: the smallest is the one in front
+      hits.sort((a, b) => a.width * a.height - b.width * b.height);
+      return session.allowFace(hits[0].id, label);
+    },
+
+    /**
+     * @param {number} faceId - Tracking ID
+     * @returns {boolean} Whether the face was allowed
+     */
+    disallowFace: function (faceId) {
+      const entry = faceAllowlist.list().find((candidate) => candidate.trackId === faceId);
+      return entry ? session.removeAllowedFace(entry.id) : false;
+    },
+
+    /**
+     * @param {number} entryId - Allowlist entry ID
+     * @returns {boolean} Whether the entry existed
+     */
+    removeAllowedFace: function (entryId) {
+      const removed = faceAllowlist.remove(entryId);
+      if (removed) {
+        onAllowlistChanged();
+      }
+      return removed;
+    },
+
+    clearAllowedFaces: function () {
+      faceAllowlist.clear();
+      onAllowlistChanged();
+    },
+
+    getAllowedFaces: function () {
+      return faceAllowlist.list();
+    },
+
+    // Events
+
+    addEventListener: function (type, listener, listenerOptions) {
+      eventTarget.addEventListener(type, listener, listenerOptions);
+    },
+
+    removeEventListener: function (type, listener, listenerOptions) {
+      eventTarget.removeEventListener(type, listener, listenerOptions);
+    }
+  };
+
+  return session;
+}
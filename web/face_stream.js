@@ -0,0 +1,192 @@
+/**
+ * Anonymized MediaStream output
+ * Exposes the compositor's output canvas as a live MediaStream that can be
+ * handed to RTCPeerConnection, a <video> element or another page's
+ * MediaRecorder. Like recording, only redacted frames ever reach the stream.
+ *
+ * Two sources are supported:
+ *   'canvas'    - canvas.captureStream(); every rendered frame is pushed with
+ *                 requestFrame() so the stream follows the camera's cadence
+ *   'generator' - insertable streams (MediaStreamTrackGenerator, Chromium);
+ *                 each rendered frame is written as a VideoFrame
+ * 'auto' (default) picks 'canvas' where available.
+ *
+ * Streams belong to one output canvas: each session (face_session.js) pushes
+ * its own frames, and window.getAnonymizedStream() uses the default session.
+ */
+
+// Logger required to be loaded before this script; face_detection.js is used at call time
+
+const STREAM_SOURCES = ['auto', 'canvas', 'generator'];
+
+// Used when the browser cannot push frames on demand (no requestFrame())
+const STREAM_FALLBACK_FRAME_RATE = 30;
+
+// Open outputs fed by pushAnonymizedStreamFrame(): [{ canvas, source, track, stream, push }]
+let streamOutputs = [];
+
+/**
+ * Which stream sources this browser supports
+ * @returns {object} { canvas, generator }
+ */
+function getStreamSupport() {
+  return {
+    canvas: typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function',
+    generator: typeof MediaStreamTrackGenerator !== 'undefined' && typeof VideoFrame !== 'undefined'
+  };
+}
+
+/**
+ * Stream fed by canvas.captureStream()
+ */
+function createCanvasStreamOutput(canvas) {
+  const probe = canvas.captureStream(0);
+  const probeTrack = probe.getVideoTracks()[0];
+
+  // Without requestFrame() a zero-rate stream never emits; capture at a fixed rate instead
+  if (!probeTrack || typeof probeTrack.requestFrame !== 'function') {
+    if (probeTrack) {
+      probeTrack.stop();
+    }
+    const stream = canvas.captureStream(STREAM_FALLBACK_FRAME_RATE);
+    return { canvas: canvas, source: 'canvas', track: stream.getVideoTracks()[0], stream: stream, push: function () {} };
+  }
+
+  return {
+    canvas: canvas,
+    source: 'canvas',
+    track: probeTrack,
+    stream: probe,
+    push: function () {
+      probeTrack.requestFrame();
+    }
+  };
+}
+
+/**
+ * Stream fed by MediaStreamTrackGenerator (insertable streams)
+ */
+function createGeneratorStreamOutput(canvas) {
+  const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+  const writer = generator.writable.getWriter();
+  let writing = false;
+
+  return {
+    canvas: canvas,
+    source: 'generator',
+    track: generator,
+    stream: new MediaStream([generator]),
+    push: function () {
+      // Drop the frame while the consumer is behind rather than queue them
+      if (writing || (writer.desiredSize !== null && writer.desiredSize <= 0)) {
+        return;
+      }
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(performance.now() * 1000) });
+      writing = true;
+      writer.write(frame)
+        .catch((error) => AppLogger.debug(`Stream frame dropped: ${error.message}`, 'web'))
+        .finally(() => {
+          frame.close();
+          writing = false;
+        });
+    }
+  };
+}
+
+/**
+ * Push the frame just rendered into a canvas to every stream open on it
+ * Called by face_session.js after each render; streams stopped by their
+ * consumer are dropped here.
+ * @param {HTMLCanvasElement} canvas - Output canvas that was rendered
+ */
+function pushAnonymizedStreamFrame(canvas) {
+  if (streamOutputs.length === 0) {
+    return;
+  }
+
+  streamOutputs = streamOutputs.filter((output) => {
+    if (output.track.readyState === 'ended') {
+      AppLogger.info(`Anonymized stream closed (${output.source})`, 'web');
+      return false;
+    }
+    return true;
+  });
+  for (const output of streamOutputs) {
+    if (output.canvas === canvas) {
+      output.push();
+    }
+  }
+}
+
+/**
+ * Open a MediaStream of an output canvas
+ * @param {HTMLCanvasElement} canvas - Output canvas with at least one rendered frame
+ * @param {object} options - { source: 'auto' | 'canvas' | 'generator' }
+ * @returns {MediaStream} Stream with one video track
+ */
+function openStreamOutput(canvas, options) {
+  const settings = options || {};
+  if (!canvas || canvas.width === 0) {
+    throw new Error('Anonymized output is not ready, start the camera first');
+  }
+
+  const requested = STREAM_SOURCES.indexOf(settings.source) !== -1 ? settings.source : 'auto';
+  const support = getStreamSupport();
+  const source = requested === 'auto' ? (support.canvas ? 'canvas' : 'generator') : requested;
+  if (!support[source]) {
+    throw new Error(`MediaStream source '${source}' is not supported in this browser`);
+  }
+
+  const output = source === 'generator' ? createGeneratorStreamOutput(canvas) : createCanvasStreamOutput(canvas);
+  streamOutputs.push(output);
+  output.push();
+
+  AppLogger.info(`Anonymized stream opened (${source}), ${streamOutputs.length} open`, 'web');
+  return output.stream;
+}
+
+/**
+ * Stop the streams open on a canvas
+ * @param {HTMLCanvasElement} canvas - Output canvas; omit to stop every stream
+ */
+function closeStreamOutputs(canvas) {
+  streamOutputs = streamOutputs.filter((output) => {
+    if (canvas && output.canvas !== canvas) {
+      return true;
+    }
+    output.track.stop();
+    return false;
+  });
+}
+
+/**
+ * Open a MediaStream of the anonymized output
+ * Stop its track (track.stop()) when done. Must be called after startApp has
+ * initialized the compositor.
+ * @param {object} options - { source: 'auto' | 'canvas' | 'generator' }
+ * @returns {MediaStream} Stream with one video track
+ */
+window.getAnonymizedStream = function (options) {
+  return openStreamOutput(window.getAnonymizedCanvas(), options);
+};
+
+/**
+ * Stop every anonymized stream opened with getAnonymizedStream()
+ */
+window.stopAnonymizedStreams = function () {
+  const canvas = window.getAnonymizedCanvas();
+  if (canvas) {
+    closeStreamOutputs(canvas);
+  }
+};
+
+/**
+ * @returns {object} { canvas, generator, open } - Supported sources and open stream count
+ */
+window.getAnonymizedStreamSupport = function () {
+  const canvas = window.getAnonymizedCanvas();
+  return Object.assign(getStreamSupport(), {
+    open: streamOutputs.filter((output) => output.canvas === canvas).length
+  });
+};
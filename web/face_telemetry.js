@@ -0,0 +1,219 @@
+/**
+ * Detection pipeline telemetry
+ * Collects per-frame stage timings from the detection loop, aggregates them
+ * into percentiles over a sliding window and publishes a 'detectionStats'
+ * event every STATS_PUBLISH_INTERVAL_MS:
+ *
+ *   {
+ *     windowMs,
+ *     fps: { video, processed, detection },
+ *     frames: { video, processed, detected, predicted, stale, dropped },
+ *     timings: { capture, inference, postProcess, overlay, render, total },
+ *     governor
+ *   }
+ *
+ * Each timing is { count, mean, p50, p90, p99, max } in ms. Stages:
+ *   capture     - preparing the detector input (downscale copy)
+ *   inference   - the detector call (worker round trip included)
+ *   postProcess - normalization, tracking and result building
+ *   overlay     - rebuilding the on-screen blur overlay DOM
+ *   render      - overlay, 'facesDetected' dispatch and output canvas
+ *   total       - whole loop iteration for a new video frame
+ * frames.video and frames.dropped need requestVideoFrameCallback; they are
+ * null in browsers without it.
+ */
+
+// Logger utility required to be loaded before this script
+
+const TELEMETRY_STAGES = ['capture', 'inference', 'postProcess', 'overlay', 'render', 'total'];
+
+// Samples kept per stage for percentiles
+const TELEMETRY_WINDOW_SIZE = 300;
+
+const STATS_PUBLISH_INTERVAL_MS = 2000;
+
+// Every this many publications the stats are also written to AppLogger
+const STATS_LOG_EVERY = 15;
+
+/**
+ * Percentile of a sorted array (nearest rank)
+ * @param {number[]} sorted - Ascending values
+ * @param {number} percentile - 0-100
+ * @returns {number}
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(sorted.length - 1, rank))];
+}
+
+/**
+ * Summarize a list of durations
+ * @param {number[]} samples - Durations in ms
+ * @returns {object} { count, mean, p50, p90, p99, max }
+ */
+function summarizeTimings(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const round = (value) => Math.round(value * 100) / 100;
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    count: sorted.length,
+    mean: round(sorted.length > 0 ? sum / sorted.length : 0),
+    p50: round(percentileOf(sorted, 50)),
+    p90: round(percentileOf(sorted, 90)),
+    p99: round(percentileOf(sorted, 99)),
+    max: round(sorted.length > 0 ? sorted[sorted.length - 1] : 0)
+  };
+}
+
+/**
+ * Create a telemetry collector for the detection loop
+ * @param {EventTarget} eventTarget - Receives 'detectionStats' (default window)
+ * @returns {object} Collector with record(), countFrame(), observeVideo(),
+ *   publish(), snapshot(), reset()
+ */
+function createPipelineTelemetry(eventTarget) {
+  const target = eventTarget || window;
+  let samples = {};
+  let counters = {};
+  let windowStart = performance.now();
+  let publications = 0;
+  let observedVideo = null;
+  let videoFrames = null;
+  let lastPresentedFrames = null;
+
+  function resetWindow() {
+    samples = {};
+    for (const stage of TELEMETRY_STAGES) {
+      samples[stage] = [];
+    }
+    counters = { processed: 0, detected: 0, predicted: 0, stale: 0 };
+    videoFrames = observedVideo && observedVideo.requestVideoFrameCallback ? 0 : null;
+    windowStart = performance.now();
+  }
+
+  resetWindow();
+
+  const telemetry = {
+    /**
+     * Record one stage duration
+     * @param {string} stage - One of TELEMETRY_STAGES
+     * @param {number} durationMs - Duration in ms
+     */
+    record: function (stage, durationMs) {
+      const list = samples[stage];
+      if (!list) {
+        return;
+      }
+      list.push(durationMs);
+      if (list.length > TELEMETRY_WINDOW_SIZE) {
+        list.shift();
+      }
+    },
+
+    /**
+     * Count a processed frame
+     * @param {string} kind - 'processed', 'detected', 'predicted' or 'stale'
+     */
+    countFrame: function (kind) {
+      if (counters[kind] !== undefined) {
+        counters[kind]++;
+      }
+    },
+
+    /**
+     * Count presented video frames to measure cadence and drops
+     * @param {HTMLVideoElement|null} video - Video to observe, null to stop
+     */
+    observeVideo: function (video) {
+      observedVideo = video;
+      lastPresentedFrames = null;
+      videoFrames = video && video.requestVideoFrameCallback ? 0 : null;
+      if (!video || !video.requestVideoFrameCallback) {
+        return;
+      }
+
+      const onFrame = (now, metadata) => {
+        if (observedVideo !== video) {
+          return;
+        }
+        // presentedFrames also counts frames presented while the page was busy
+        if (lastPresentedFrames !== null && videoFrames !== null) {
+          videoFrames += Math.max(1, metadata.presentedFrames - lastPresentedFrames);
+        }
+        lastPresentedFrames = metadata.presentedFrames;
+        video.requestVideoFrameCallback(onFrame);
+      };
+      video.requestVideoFrameCallback(onFrame);
+    },
+
+    /**
+     * Aggregate the current window
+     * @param {object} governorState - Optional governor state to include
+     * @returns {object} Stats as documented above
+     */
+    snapshot: function (governorState) {
+      const windowMs = performance.now() - windowStart;
+      const perSecond = (count) => windowMs > 0 ? Math.round((count / windowMs) * 10000) / 10 : 0;
+      const timings = {};
+      for (const stage of TELEMETRY_STAGES) {
+        timings[stage] = summarizeTimings(samples[stage]);
+      }
+
+      return {
+        windowMs: Math.round(windowMs),
+        fps: {
+          video: videoFrames !== null ? perSecond(videoFrames) : null,
+          processed: perSecond(counters.processed),
+          detection: perSecond(counters.detected)
+        },
+        frames: {
+          video: videoFrames,
+          processed: counters.processed,
+          detected: counters.detected,
+          predicted: counters.predicted,
+          stale: counters.stale,
+          dropped: videoFrames !== null ? Math.max(0, videoFrames - counters.processed) : null
+        },
+        timings: timings,
+        governor: governorState || null
+      };
+    },
+
+    /**
+     * Publish and restart the window once STATS_PUBLISH_INTERVAL_MS has passed
+     * @param {object} governorState - Optional governor state to include
+     * @returns {object|null} Published stats, or null when not due yet
+     */
+    publish: function (governorState) {
+      if (performance.now() - windowStart < STATS_PUBLISH_INTERVAL_MS) {
+        return null;
+      }
+
+      const stats = telemetry.snapshot(governorState);
+      target.dispatchEvent(new CustomEvent('detectionStats', { detail: stats }));
+
+      publications++;
+      if (publications % STATS_LOG_EVERY === 0) {
+        AppLogger.info(`Detection stats: ${JSON.stringify(stats)}`, 'telemetry');
+      } else {
+        AppLogger.debug(`Detection stats: inference p50 ${stats.timings.inference.p50}ms, ` +
+          `render p50 ${stats.timings.render.p50}ms, dropped ${stats.frames.dropped}`, 'telemetry');
+      }
+
+      resetWindow();
+      return stats;
+    },
+
+    /**
+     * Start a fresh window (e.g. after the camera changed)
+     */
+    reset: function () {
+      resetWindow();
+    }
+  };
+
+  return telemetry;
+}
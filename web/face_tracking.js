@@ -0,0 +1,314 @@
+/**
+ * Face tracking across frames
+ * Associates each frame's detections with existing tracks (IoU first, then
+ * centroid distance), gives every track a stable ID, smooths its box and keeps
+ * it alive for holdMs after the detector last saw it. A single missed
+ * detection therefore never un-blurs a face.
+ *
+ * Smoothing only steadies jitter: the reported box always covers both the
+ * smoothed box and the latest raw detection, so it never trails a moving face.
+ *
+ * When detection does not run on every frame, predict() moves each box along
+ * its measured velocity so redaction stays aligned until the next detection.
+ */
+
+// Logger utility required to be loaded before this script
+
+const DEFAULT_TRACKING_OPTIONS = {
+  iouThreshold: 0.3,       // Minimum overlap to continue a track
+  maxCentroidDistance: 0.6, // Fallback match distance, relative to the track's size
+  smoothing: 0.5,          // 0 = frozen box, 1 = raw detections (no smoothing)
+  holdMs: 350,             // Time a track stays blurred after its last detection
+  maxPredictFrames: 6      // Frames a box keeps moving between detections
+};
+
+/**
+ * Intersection over union of two boxes
+ * @param {object} a - Box with x, y, width, height
+ * @param {object} b - Box with x, y, width, height
+ * @returns {number} Overlap ratio in [0, 1]
+ */
+function boxIoU(a, b) {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+  const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Distance between box centers, relative to the size of the first box
+ * @param {object} a - Reference box
+ * @param {object} b - Candidate box
+ * @returns {number} Center distance divided by the reference box diagonal
+ */
+function relativeCentroidDistance(a, b) {
+  const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+  const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+  const diagonal = Math.hypot(a.width, a.height);
+  return diagonal > 0 ? Math.hypot(dx, dy) / diagonal : Infinity;
+}
+
+/**
+ * Merge partial tracking options, ignoring invalid values
+ * @param {object} current - Current options
+ * @param {object} partial - Options to change
+ * @returns {object} New effective options
+ */
+function mergeTrackingOptions(current, partial) {
+  const next = Object.assign({}, current);
+  if (!partial) {
+    return next;
+  }
+
+  if (typeof partial.iouThreshold === 'number' && !isNaN(partial.iouThreshold)) {
+    next.iouThreshold = Math.max(0, Math.min(1, partial.iouThreshold));
+  }
+  if (typeof partial.maxCentroidDistance === 'number' && !isNaN(partial.maxCentroidDistance)) {
+    next.maxCentroidDistance = Math.max(0, partial.maxCentroidDistance);
+  }
+  if (typeof partial.smoothing === 'number' && !isNaN(partial.smoothing)) {
+    next.smoothing = Math.max(0, Math.min(1, partial.smoothing));
+  }
+  if (typeof partial.holdMs === 'number' && !isNaN(partial.holdMs)) {
+    next.holdMs = Math.max(0, partial.holdMs);
+  }
+  if (typeof partial.maxPredictFrames === 'number' && !isNaN(partial.maxPredictFrames)) {
+    next.maxPredictFrames = Math.max(0, Math.round(partial.maxPredictFrames));
+  }
+
+  return next;
+}
+
+/**
+ * Create a face tracker
+ * @param {object} options - Overrides for DEFAULT_TRACKING_OPTIONS
+ * @returns {object} Tracker with update(), predict(), setOptions(), reset()
+ */
+function createFaceTracker(options) {
+  let settings = mergeTrackingOptions(DEFAULT_TRACKING_OPTIONS, options);
+  let tracks = [];
+  let nextTrackId = 1;
+
+  /**
+   * Find the best unmatched detection for a track
+   * @returns {object} { index into detections or -1, byCentroid }
+   */
+  function findMatch(track, detections, used) {
+    let bestIndex = -1;
+    let bestIoU = settings.iouThreshold;
+
+    for (let i = 0; i < detections.length; i++) {
+      if (used[i]) continue;
+      const iou = boxIoU(track.box, detections[i]);
+      if (iou >= bestIoU) {
+        bestIoU = iou;
+        bestIndex = i;
+      }
+    }
+
+    if (bestIndex !== -1) {
+      return { index: bestIndex, byCentroid: false };
+    }
+
+    // Fast motion can drop IoU to zero, fall back to the nearest center
+    let bestDistance = settings.maxCentroidDistance;
+    for (let i = 0; i < detections.length; i++) {
+      if (used[i]) continue;
+      const distance = relativeCentroidDistance(track.box, detections[i]);
+      if (distance <= bestDistance) {
+        bestDistance = distance;
+        bestIndex = i;
+      }
+    }
+
+    return { index: bestIndex, byCentroid: bestIndex !== -1 };
+  }
+
+  /**
+   * Smallest box containing both boxes
+   */
+  function unionBox(a, b) {
+    const left = Math.min(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    return {
+      x: left,
+      y: top,
+      width: Math.max(a.x + a.width, b.x + b.width) - left,
+      height: Math.max(a.y + a.height, b.y + b.height) - top
+    };
+  }
+
+  function rawBox(detection) {
+    return { x: detection.x, y: detection.y, width: detection.width, height: detection.height };
+  }
+
+  function moveBox(box, velocity) {
+    return {
+      x: box.x + velocity.x,
+      y: box.y + velocity.y,
+      width: Math.max(1, box.width + velocity.width),
+      height: Math.max(1, box.height + velocity.height)
+    };
+  }
+
+  function smooth(previous, next) {
+    const alpha = settings.smoothing;
+    return previous + alpha * (next - previous);
+  }
+
+  function copyKeypoints(detection) {
+    return (detection.keypoints || []).map((point) => ({ name: point.name, x: point.x, y: point.y }));
+  }
+
+  function exportTracks() {
+    return tracks
+      .slice()
+      .sort((a, b) => a.id - b.id)
+      .map((track) => {
+        // Redact the smoothed box and the raw detection alike
+        const cover = unionBox(track.box, track.detection);
+        return {
+          id: track.id,
+          x: Math.round(cover.x),
+          y: Math.round(cover.y),
+          width: Math.round(cover.width),
+          height: Math.round(cover.height),
+          confidence: track.confidence,
+          missedFrames: track.missedFrames,
+          centroidMatched: track.centroidMatched,
+          keypoints: track.keypoints.map((point) => ({
+            name: point.name,
+            x: Math.round(point.x),
+            y: Math.round(point.y)
+          }))
+        };
+      });
+  }
+
+  return {
+    /**
+     * Feed one frame of detections and get the tracked faces to redact
+     * @param {object[]} detections - Faces as { x, y, width, height, confidence, keypoints }
+     * @param {number} now - Frame time in ms, measures the hold time
+     * @returns {object[]} Tracked faces with id, box, confidence, missedFrames,
+     *   the keypoints of the latest matching detection and centroidMatched, true
+     *   when this frame continued the track by centroid distance alone
+     */
+    update: function (detections, now) {
+      const used = new Array(detections.length).fill(false);
+
+      // Continue the most established tracks first so they win contested detections
+      tracks.sort((a, b) => b.hits - a.hits);
+
+      for (const track of tracks) {
+        const match = findMatch(track, detections, used);
+        const index = match.index;
+        track.centroidMatched = match.byCentroid;
+
+        if (index === -1) {
+          // Hold a lost face in place rather than letting it drift away
+          track.missedFrames++;
+          track.velocity = null;
+          continue;
+        }
+
+        used[index] = true;
+        const detection = detections[index];
+        const box = {
+          x: smooth(track.box.x, detection.x),
+          y: smooth(track.box.y, detection.y),
+          width: smooth(track.box.width, detection.width),
+          height: smooth(track.box.height, detection.height)
+        };
+
+        // Per-frame motion since the previous detection, used by predict()
+        const elapsed = track.framesSinceUpdate + 1;
+        track.velocity = {
+          x: (box.x - track.anchor.x) / elapsed,
+          y: (box.y - track.anchor.y) / elapsed,
+          width: (box.width - track.anchor.width) / elapsed,
+          height: (box.height - track.anchor.height) / elapsed
+        };
+        track.box = box;
+        track.anchor = box;
+        track.detection = rawBox(detection);
+        track.framesSinceUpdate = 0;
+        track.keypoints = copyKeypoints(detection);
+        track.confidence = detection.confidence;
+        track.missedFrames = 0;
+        track.lastSeen = now;
+        track.hits++;
+      }
+
+      // Drop tracks that have been missing for longer than the hold time. A
+      // single miss is always held, however slow the detector is
+      tracks = tracks.filter((track) => track.missedFrames <= 1 || now - track.lastSeen <= settings.holdMs);
+
+      // Start new tracks for unmatched detections
+      for (let i = 0; i < detections.length; i++) {
+        if (used[i]) continue;
+        const detection = detections[i];
+        const box = rawBox(detection);
+        tracks.push({
+          id: nextTrackId++,
+          box: box,
+          anchor: box,
+          detection: box,
+          velocity: null,
+          framesSinceUpdate: 0,
+          keypoints: copyKeypoints(detection),
+          confidence: detection.confidence,
+          missedFrames: 0,
+          centroidMatched: false,
+          lastSeen: now,
+          hits: 1
+        });
+      }
+
+      return exportTracks();
+    },
+
+    /**
+     * Advance tracks by one frame without a detection
+     * Boxes move along their last measured velocity for up to maxPredictFrames.
+     * @returns {object[]} Tracked faces, same shape as update()
+     */
+    predict: function () {
+      for (const track of tracks) {
+        track.framesSinceUpdate++;
+        track.centroidMatched = false;
+        if (!track.velocity || track.framesSinceUpdate > settings.maxPredictFrames) {
+          continue;
+        }
+        track.box = moveBox(track.box, track.velocity);
+        track.detection = moveBox(track.detection, track.velocity);
+        for (const point of track.keypoints) {
+          point.x += track.velocity.x;
+          point.y += track.velocity.y;
+        }
+      }
+      return exportTracks();
+    },
+
+    /**
+     * Update tracking options (hold time, smoothing, thresholds)
+     * @param {object} options - Partial DEFAULT_TRACKING_OPTIONS
+     * @returns {object} Effective options
+     */
+    setOptions: function (options) {
+      settings = mergeTrackingOptions(settings, options);
+      return Object.assign({}, settings);
+    },
+
+    /**
+     * Forget all tracks (e.g. when the video source changes)
+     */
+    reset: function () {
+      tracks = [];
+    }
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * Coordinate transforms
+ * The single place that maps face coordinates between the spaces used by the
+ * web app. Every overlay, the output canvas and the 'facesDetected' event go
+ * through it, so boxes line up for any fit mode, mirror state and rotation.
+ *
+ * Spaces:
+ *   source  - raw pixels of the frame as the detector sees it (never mirrored)
+ *   natural - source pixels, flipped horizontally when the preview is mirrored;
+ *             this is the space of face objects and events
+ *   canvas  - CSS pixels inside the Flutter canvas (the video element's box),
+ *             after object-fit ('cover', 'contain' or 'fill') and rotation
+ *   display - CSS pixels in the page (canvas plus the canvas offset)
+ *   device  - display pixels times devicePixelRatio
+ */
+
+// No dependencies; also loaded inside the detection worker
+
+/**
+ * Map a rect between source and natural space (the mapping is its own inverse)
+ * @param {object} rect - { x, y, width, height }
+ * @param {number} frameWidth - Source frame width
+ * @param {boolean} mirrored - Whether natural space is mirrored
+ * @returns {object} Rect in the other space
+ */
+function mirrorRect(rect, frameWidth, mirrored) {
+  if (!mirrored) {
+    return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+  }
+  return { x: frameWidth - (rect.x + rect.width), y: rect.y, width: rect.width, height: rect.height };
+}
+
+/**
+ * Map a point's x between source and natural space
+ * @param {number} x - X coordinate
+ * @param {number} frameWidth - Source frame width
+ * @param {boolean} mirrored - Whether natural space is mirrored
+ * @returns {number}
+ */
+function mirrorX(x, frameWidth, mirrored) {
+  return mirrored ? frameWidth - x : x;
+}
+
+/**
+ * Set a 2D context to draw source pixels in natural space
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} frameWidth - Width of the target in natural pixels
+ * @param {boolean} mirrored - Whether natural space is mirrored
+ */
+function applyMirrorTransform(ctx, frameWidth, mirrored) {
+  if (mirrored) {
+    ctx.setTransform(-1, 0, 0, 1, frameWidth, 0);
+  } else {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+}
+
+/**
+ * Normalize an object-fit value to the modes the transform supports
+ * 'none' and 'scale-down' are treated as 'contain' (never cropped).
+ */
+function normalizeFitMode(fit) {
+  if (fit === 'cover' || fit === 'fill') {
+    return fit;
+  }
+  return 'contain';
+}
+
+/**
+ * Create a transform between natural video space and the on-screen canvas
+ * @param {object} layout
+ * @param {number} layout.naturalWidth - Frame width in natural pixels
+ * @param {number} layout.naturalHeight - Frame height in natural pixels
+ * @param {number} layout.canvasWidth - Width of the element showing the frame, CSS px
+ * @param {number} layout.canvasHeight - Height of the element showing the frame, CSS px
+ * @param {number} layout.offsetX - Canvas position in the page, CSS px
+ * @param {number} layout.offsetY - Canvas position in the page, CSS px
+ * @param {string} layout.fit - object-fit of the element ('cover', 'contain', 'fill')
+ * @param {number} layout.rotation - Clockwise rotation of the shown frame (0, 90, 180, 270)
+ * @param {number} layout.devicePixelRatio - Device pixels per CSS pixel
+ * @returns {object} Transform with mapping functions
+ */
+function createViewTransform(layout) {
+  const naturalWidth = layout.naturalWidth || 0;
+  const naturalHeight = layout.naturalHeight || 0;
+  const canvasWidth = layout.canvasWidth || 0;
+  const canvasHeight = layout.canvasHeight || 0;
+  const offsetX = layout.offsetX || 0;
+  const offsetY = layout.offsetY || 0;
+  const fit = normalizeFitMode(layout.fit);
+  const rotation = ((Math.round((layout.rotation || 0) / 90) * 90) % 360 + 360) % 360;
+  const devicePixelRatio = layout.devicePixelRatio || 1;
+
+  // Frame size after rotation, as laid out by object-fit
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const rotatedWidth = quarterTurn ? naturalHeight : naturalWidth;
+  const rotatedHeight = quarterTurn ? naturalWidth : naturalHeight;
+
+  let scaleX = 0;
+  let scaleY = 0;
+  if (rotatedWidth > 0 && rotatedHeight > 0) {
+    if (fit === 'fill') {
+      scaleX = canvasWidth / rotatedWidth;
+      scaleY = canvasHeight / rotatedHeight;
+    } else {
+      const pick = fit === 'cover' ? Math.max : Math.min;
+      scaleX = pick(canvasWidth / rotatedWidth, canvasHeight / rotatedHeight);
+      scaleY = scaleX;
+    }
+  }
+
+  // Centered like object-position: 50% 50%; negative when 'cover' crops
+  const contentX = (canvasWidth - rotatedWidth * scaleX) / 2;
+  const contentY = (canvasHeight - rotatedHeight * scaleY) / 2;
+
+  function rotatePoint(x, y) {
+    switch (rotation) {
+      case 90: return { x: naturalHeight - y, y: x };
+      case 180: return { x: naturalWidth - x, y: naturalHeight - y };
+      case 270: return { x: y, y: naturalWidth - x };
+      default: return { x: x, y: y };
+    }
+  }
+
+  function unrotatePoint(x, y) {
+    switch (rotation) {
+      case 90: return { x: y, y: naturalHeight - x };
+      case 180: return { x: naturalWidth - x, y: naturalHeight - y };
+      case 270: return { x: naturalWidth - y, y: x };
+      default: return { x: x, y: y };
+    }
+  }
+
+  function rectFromPoints(a, b) {
+    const left = Math.min(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    return { x: left, y: top, width: Math.abs(a.x - b.x), height: Math.abs(a.y - b.y) };
+  }
+
+  const transform = {
+    fit: fit,
+    rotation: rotation,
+    devicePixelRatio: devicePixelRatio,
+
+    /**
+     * Whether the transform can map anything (frame and canvas have a size)
+     */
+    isValid: function () {
+      return scaleX > 0 && scaleY > 0;
+    },
+
+    /**
+     * Natural pixels per canvas pixel (horizontal), for matching effect strength
+     */
+    naturalPerCanvasPixel: function () {
+      return scaleX > 0 ? 1 / scaleX : 1;
+    },
+
+    /**
+     * @param {object} point - { x, y } in natural space
+     * @returns {object} Point in canvas space
+     */
+    naturalToCanvasPoint: function (point) {
+      const rotated = rotatePoint(point.x, point.y);
+      return { x: contentX + rotated.x * scaleX, y: contentY + rotated.y * scaleY };
+    },
+
+    /**
+     * @param {object} point - { x, y } in canvas space
+     * @returns {object} Point in natural space (may lie outside the frame)
+     */
+    canvasToNaturalPoint: function (point) {
+      const x = scaleX > 0 ? (point.x - contentX) / scaleX : 0;
+      const y = scaleY > 0 ? (point.y - contentY) / scaleY : 0;
+      return unrotatePoint(x, y);
+    },
+
+    /**
+     * @param {object} rect - { x, y, width, height } in natural space
+     * @returns {object} Rect in canvas space (unclipped)
+     */
+    naturalToCanvasRect: function (rect) {
+      return rectFromPoints(
+        transform.naturalToCanvasPoint({ x: rect.x, y: rect.y }),
+        transform.naturalToCanvasPoint({ x: rect.x + rect.width, y: rect.y + rect.height })
+      );
+    },
+
+    /**
+     * @param {object} rect - { x, y, width, height } in canvas space
+     * @returns {object} Rect in natural space
+     */
+    canvasToNaturalRect: function (rect) {
+      return rectFromPoints(
+        transform.canvasToNaturalPoint({ x: rect.x, y: rect.y }),
+        transform.canvasToNaturalPoint({ x: rect.x + rect.width, y: rect.y + rect.height })
+      );
+    },
+
+    /**
+     * @param {object} rect - Rect in canvas space
+     * @returns {object} Rect in display (page) space
+     */
+    canvasToDisplayRect: function (rect) {
+      return { x: rect.x + offsetX, y: rect.y + offsetY, width: rect.width, height: rect.height };
+    },
+
+    /**
+     * @param {object} point - { x, y } in display (page) space, e.g. a click
+     * @returns {object} Point in natural space
+     */
+    displayToNaturalPoint: function (point) {
+      return transform.canvasToNaturalPoint({ x: point.x - offsetX, y: point.y - offsetY });
+    },
+
+    /**
+     * @param {object} rect - { x, y, width, height } in natural space
+     * @returns {object} Rect in display (page) space (unclipped)
+     */
+    naturalToDisplayRect: function (rect) {
+      return transform.canvasToDisplayRect(transform.naturalToCanvasRect(rect));
+    },
+
+    /**
+     * Clip a canvas-space rect to the visible canvas ('cover' crops the frame)
+     * @param {object} rect - Rect in canvas space
+     * @returns {object|null} Visible part, or null when nothing is visible
+     */
+    clipToCanvas: function (rect) {
+      const left = Math.max(0, rect.x);
+      const top = Math.max(0, rect.y);
+      const right = Math.min(canvasWidth, rect.x + rect.width);
+      const bottom = Math.min(canvasHeight, rect.y + rect.height);
+      if (right <= left || bottom <= top) {
+        return null;
+      }
+      return { x: left, y: top, width: right - left, height: bottom - top };
+    },
+
+    /**
+     * @param {object} rect - Rect in display space
+     * @returns {object} Rect in device pixels
+     */
+    displayToDeviceRect: function (rect) {
+      return {
+        x: rect.x * devicePixelRatio,
+        y: rect.y * devicePixelRatio,
+        width: rect.width * devicePixelRatio,
+        height: rect.height * devicePixelRatio
+      };
+    }
+  };
+
+  return transform;
+}
@@ -1,6 +1,16 @@
 /**
  * Professional JavaScript logging utility
- * Logs are only shown in debug builds (when debugging is enabled)
+ * Console output is only shown in debug builds (when debugging is enabled).
+ * Every build keeps the latest entries in a ring buffer so users can attach
+ * them to bug reports. Warnings and errors are also persisted to IndexedDB
+ * (when available) so they survive a reload; info and debug entries only
+ * ever stay in memory. Inside the detection worker, warnings and errors are
+ * posted to the page ({ type: 'log', entry }), which adds them with
+ * AppLogger.importEntry().
+ *
+ *   AppLogger.setLevel('debug')             // Runtime filter for the buffer, persisted
+ *   AppLogger.exportLogs()                  // Promise<string> JSON report
+ *   AppLogger.downloadLogs('facepixel.log') // Save the report as a file
  */
 
 // Check if we're in debug mode
@@ -9,50 +19,378 @@ const DEBUG_MODE = typeof window !== 'undefined' &&
                     window.location.hostname === '127.0.0.1' ||
                     localStorage.getItem('DEBUG_MODE') === 'true');
 
-const AppLogger = {
+// Severity order used by the runtime level filter
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warning: 30,
+  error: 40
+};
+
+// Entries kept in memory and in IndexedDB
+const LOG_BUFFER_SIZE = 1000;
+
+const LOG_DB_NAME = 'facepixel-logs';
+const LOG_STORE_NAME = 'entries';
+
+// New entries are written to IndexedDB in batches
+const LOG_FLUSH_DELAY_MS = 1000;
+
+// Lowest level written to IndexedDB; lower levels stay in this session's memory
+const LOG_PERSIST_LEVEL = 'warning';
+
+// Only the page persists entries
+const LOG_PERSISTS = typeof window !== 'undefined';
+
+// A worker forwards the entries the page would persist, so exported reports include them
+const LOG_FORWARDS = !LOG_PERSISTS && typeof self !== 'undefined' && typeof self.postMessage === 'function';
+
+const AppLogger = (function () {
+  const sessionStart = Date.now();
+  const buffer = [];
+  let pendingWrites = [];
+  let flushTimer = null;
+  let dbPromise = null;
+
+  function readStoredLevel() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('LOG_LEVEL') : null;
+      if (stored && LOG_LEVELS[stored] !== undefined) {
+        return stored;
+      }
+    } catch (error) {
+      // Storage blocked (private mode, sandboxed iframe)
+    }
+    return DEBUG_MODE ? 'debug' : 'info';
+  }
+
+  let level = readStoredLevel();
+
   /**
-   * Log info message
+   * Open the log database; resolves to null where IndexedDB is unavailable
    */
-  info: function(message, tag = '') {
-    if (DEBUG_MODE) {
-      const tagStr = tag ? ` [${tag}]` : '';
-      console.log(`[App]${tagStr}: ${message}`);
+  function openDatabase() {
+    if (dbPromise) {
+      return dbPromise;
     }
-  },
+    dbPromise = new Promise((resolve) => {
+      if (!LOG_PERSISTS || typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      try {
+        const request = indexedDB.open(LOG_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(LOG_STORE_NAME, { autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+    return dbPromise;
+  }
 
   /**
-   * Log error message
+   * Write pending entries and drop the oldest beyond LOG_BUFFER_SIZE
+   * @returns {Promise<void>}
    */
-  error: function(message, tag = '', error = null) {
-    if (DEBUG_MODE) {
-      const tagStr = tag ? ` [${tag}]` : '';
-      console.error(`[App]${tagStr} ERROR: ${message}`);
-      if (error) {
-        console.error('  Exception:', error);
-        if (error.stack) {
-          console.error('  Stack:', error.stack);
-        }
+  async function flush() {
+    flushTimer = null;
+    const db = await openDatabase();
+    const entries = pendingWrites;
+    pendingWrites = [];
+    if (!db || entries.length === 0) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      const transaction = db.transaction(LOG_STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(LOG_STORE_NAME);
+      for (const entry of entries) {
+        store.add(entry);
       }
+
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - LOG_BUFFER_SIZE;
+        if (excess <= 0) {
+          return;
+        }
+        store.openKeyCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess > 0) {
+            store.delete(cursor.primaryKey);
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+      transaction.onabort = () => resolve();
+    });
+  }
+
+  function scheduleFlush() {
+    if (flushTimer === null) {
+      flushTimer = setTimeout(flush, LOG_FLUSH_DELAY_MS);
     }
-  },
+  }
 
   /**
-   * Log warning message
+   * Keep a structured entry if it passes the level filter
    */
-  warning: function(message, tag = '') {
-    if (DEBUG_MODE) {
-      const tagStr = tag ? ` [${tag}]` : '';
-      console.warn(`[App]${tagStr} WARNING: ${message}`);
+  function record(entryLevel, message, tag, error) {
+    if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) {
+      return;
     }
-  },
+
+    const entry = {
+      timestamp: Date.now(),
+      level: entryLevel,
+      tag: tag || '',
+      message: String(message),
+      error: error ? {
+        name: error.name || null,
+        message: String(error.message || error),
+        stack: error.stack || null
+      } : null
+    };
+
+    keep(entry);
+  }
 
   /**
-   * Log debug message
+   * Add an entry to the buffer and persist or forward it by its level
    */
-  debug: function(message, tag = '') {
-    if (DEBUG_MODE) {
-      const tagStr = tag ? ` [${tag}]` : '';
-      console.log(`[App]${tagStr} DEBUG: ${message}`);
+  function keep(entry) {
+    buffer.push(entry);
+    if (buffer.length > LOG_BUFFER_SIZE) {
+      buffer.shift();
+    }
+    if (LOG_LEVELS[entry.level] < LOG_LEVELS[LOG_PERSIST_LEVEL]) {
+      return;
+    }
+    if (LOG_PERSISTS) {
+      pendingWrites.push(entry);
+      scheduleFlush();
+    } else if (LOG_FORWARDS) {
+      self.postMessage({ type: 'log', entry: entry });
     }
   }
-};
+
+  /**
+   * Read the persisted entries of previous sessions followed by this
+   * session's buffer, oldest first
+   * @returns {Promise<object[]>}
+   */
+  async function readEntries() {
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+    }
+    await flush();
+
+    const db = await openDatabase();
+    if (!db) {
+      return buffer.slice();
+    }
+    const stored = await new Promise((resolve) => {
+      const request = db.transaction(LOG_STORE_NAME, 'readonly').objectStore(LOG_STORE_NAME).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve([]);
+    });
+    // This session's warnings and errors are in the buffer as well
+    return stored.filter((entry) => entry.timestamp < sessionStart).concat(buffer);
+  }
+
+  return {
+    /**
+     * Log info message
+     */
+    info: function(message, tag = '') {
+      record('info', message, tag);
+      if (DEBUG_MODE) {
+        const tagStr = tag ? ` [${tag}]` : '';
+        console.log(`[App]${tagStr}: ${message}`);
+      }
+    },
+
+    /**
+     * Log error message
+     */
+    error: function(message, tag = '', error = null) {
+      record('error', message, tag, error);
+      if (DEBUG_MODE) {
+        const tagStr = tag ? ` [${tag}]` : '';
+        console.error(`[App]${tagStr} ERROR: ${message}`);
+        if (error) {
+          console.error('  Exception:', error);
+          if (error.stack) {
+            console.error('  Stack:', error.stack);
+          }
+        }
+      }
+    },
+
+    /**
+     * Log warning message
+     */
+    warning: function(message, tag = '', error = null) {
+      record('warning', message, tag, error);
+      if (DEBUG_MODE) {
+        const tagStr = tag ? ` [${tag}]` : '';
+        console.warn(`[App]${tagStr} WARNING: ${message}`);
+      }
+    },
+
+    /**
+     * Log debug message
+     */
+    debug: function(message, tag = '') {
+      record('debug', message, tag);
+      if (DEBUG_MODE) {
+        const tagStr = tag ? ` [${tag}]` : '';
+        console.log(`[App]${tagStr} DEBUG: ${message}`);
+      }
+    },
+
+    /**
+     * Keep an entry logged elsewhere (a worker's forwarded warnings and errors)
+     * @param {object} entry - Entry as built by the other logger
+     */
+    importEntry: function(entry) {
+      if (entry && LOG_LEVELS[entry.level] !== undefined && LOG_LEVELS[entry.level] >= LOG_LEVELS[level]) {
+        keep(entry);
+      }
+    },
+
+    /**
+     * Set the lowest level kept in the buffer (remembered across reloads)
+     * @param {string} nextLevel - 'debug', 'info', 'warning' or 'error'
+     * @returns {string} Effective level
+     */
+    setLevel: function(nextLevel) {
+      if (LOG_LEVELS[nextLevel] === undefined) {
+        return level;
+      }
+      level = nextLevel;
+      try {
+        localStorage.setItem('LOG_LEVEL', level);
+      } catch (error) {
+        // Not persisted; the level still applies to this session
+      }
+      return level;
+    },
+
+    /**
+     * @returns {string} Current buffer level
+     */
+    getLevel: function() {
+      return level;
+    },
+
+    /**
+     * Entries of this session still in memory, oldest first
+     * @returns {object[]}
+     */
+    getEntries: function() {
+      return buffer.slice();
+    },
+
+    /**
+     * Build a JSON report of this session's entries and earlier persisted ones
+     * @returns {Promise<string>}
+     */
+    exportLogs: async function() {
+      const entries = await readEntries();
+      return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+        url: typeof location !== 'undefined' ? location.href : null,
+        level: level,
+        entries: entries.map((entry) => Object.assign({}, entry, {
+          time: new Date(entry.timestamp).toISOString()
+        }))
+      }, null, 2);
+    },
+
+    /**
+     * Save the JSON report as a file
+     * @param {string} filename - Download name (default facepixel-logs-<time>.json)
+     * @returns {Promise<string>} The exported JSON
+     */
+    downloadLogs: async function(filename) {
+      const json = await this.exportLogs();
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `facepixel-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      return json;
+    },
+
+    /**
+     * Drop all buffered and persisted entries
+     * @returns {Promise<void>}
+     */
+    clear: async function() {
+      buffer.length = 0;
+      pendingWrites = [];
+      const db = await openDatabase();
+      if (!db) {
+        return;
+      }
+      await new Promise((resolve) => {
+        const transaction = db.transaction(LOG_STORE_NAME, 'readwrite');
+        transaction.objectStore(LOG_STORE_NAME).clear();
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => resolve();
+      });
+    }
+  };
+})();
+
+// Entry points for Flutter's debug panel
+if (typeof window !== 'undefined') {
+  /**
+   * Export logs as JSON, optionally downloading them
+   * @param {object} options - { download: boolean, filename }
+   * @returns {Promise<string>} JSON report
+   */
+  window.exportLogs = function (options) {
+    if (options && options.download) {
+      return AppLogger.downloadLogs(options.filename);
+    }
+    return AppLogger.exportLogs();
+  };
+
+  /**
+   * Set the lowest level kept in the log buffer
+   * @param {string} level - 'debug', 'info', 'warning' or 'error'
+   * @returns {string} Effective level
+   */
+  window.setLogLevel = function (level) {
+    return AppLogger.setLevel(level);
+  };
+
+  /**
+   * @returns {string} Lowest level kept in the log buffer
+   */
+  window.getLogLevel = function () {
+    return AppLogger.getLevel();
+  };
+
+  // Uncaught errors are the most useful part of a bug report
+  window.addEventListener('error', (event) => {
+    AppLogger.error(`Uncaught: ${event.message}`, 'window', event.error);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    AppLogger.error('Unhandled promise rejection', 'window', event.reason);
+  });
+}